@@ -9,9 +9,14 @@ const PRECACHE_ASSETS = [
   '/',
   '/about',
   '/blogs',
+  '/search',
   '/offline',
 ];
 
+// Search index shards are content-hashed; the manifest is the only mutable file.
+const SEARCH_INDEX_PREFIX = '/search-index/';
+const SEARCH_MANIFEST = '/search-index/manifest.json';
+
 // Install: precache core assets
 self.addEventListener('install', (event) => {
   event.waitUntil(
@@ -36,6 +41,34 @@ self.addEventListener('activate', (event) => {
   self.clients.claim();
 });
 
+// The /search page sends the full shard list once the manifest loads; fetch
+// what is missing and drop shards from older builds.
+self.addEventListener('message', (event) => {
+  const data = event.data || {};
+  if (data.type !== 'warm-search-index' || !Array.isArray(data.urls)) return;
+  const wanted = new Set(data.urls.map((u) => new URL(u, self.location.origin).href));
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(async (cache) => {
+      const keys = await cache.keys();
+      const have = new Set();
+      for (const request of keys) {
+        if (!new URL(request.url).pathname.startsWith(SEARCH_INDEX_PREFIX)) continue;
+        if (wanted.has(request.url)) have.add(request.url);
+        else await cache.delete(request);
+      }
+      for (const url of wanted) {
+        if (have.has(url)) continue;
+        try {
+          const response = await fetch(url);
+          if (response.ok) await cache.put(url, response);
+        } catch {
+          return; // offline again; the next visit to /search resumes
+        }
+      }
+    })
+  );
+});
+
 // Fetch: stale-while-revalidate for pages, cache-first for assets
 self.addEventListener('fetch', (event) => {
   const { request } = event;
@@ -68,6 +101,23 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
+  // Search index shards never change under the same URL: cache-first.
+  if (url.pathname.startsWith(SEARCH_INDEX_PREFIX) && url.pathname !== SEARCH_MANIFEST) {
+    event.respondWith(
+      caches.match(request).then((cached) => {
+        if (cached) return cached;
+        return fetch(request).then((response) => {
+          if (response.ok) {
+            const clone = response.clone();
+            caches.open(CACHE_NAME).then((cache) => cache.put(request, clone));
+          }
+          return response;
+        });
+      })
+    );
+    return;
+  }
+
   // Static assets: cache-first
   if (
     url.pathname.match(/\.(js|css|png|jpg|jpeg|svg|gif|webp|woff2?)$/) ||
@@ -0,0 +1,291 @@
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { loadBlogsFile, writeBlogsFile, findDuplicateBlog, suggestBlogId } from './lib/blogs-file.js';
+import { CATEGORY_SLUGS, isCategorySlug } from './lib/categories.js';
+import { loadFetchConfig } from './lib/fetch-config.js';
+import { createDateResolver, normalizeDate } from './lib/fetch/dates.js';
+import { getFeedCandidates, looksLikeSubstack } from './lib/fetch/discover.js';
+import { coerceToString, createExcerpt, decodeHtmlEntities, stripHtml } from './lib/fetch/html.js';
+import {
+  BROWSER_USER_AGENT,
+  fetchFeedDocument,
+  fetchViaRssProxy,
+  shouldRetryViaProxy,
+} from './lib/fetch/http.js';
+import { createFeedParser } from './lib/fetch/parser.js';
+import { isSubstackFeed, normalizeUrl } from './lib/fetch/urls.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const BLOGS_PATH = join(__dirname, '../data/blogs.json');
+const MIN_GOOD_EXCERPT = 80;
+
+const USAGE = `Usage: npm run add-blog -- <homepage-url> --category <slug[,slug]> [options]
+
+Options:
+  --category <slugs>     Comma-separated categories (${CATEGORY_SLUGS.join(', ')})
+  --id <slug>            Blog id (default: suggested from the hostname)
+  --name <name>          Display name (default: feed title)
+  --description <text>   Short description (default: feed description)
+  --feed <url>           Skip autodiscovery and validate this feed URL
+  --dry-run              Print the report without writing data/blogs.json`;
+
+function getFlagValue(flag, args) {
+  const idx = args.indexOf(flag);
+  if (idx === -1) return null;
+  const value = args[idx + 1];
+  if (!value || value.startsWith('--')) return null;
+  return value;
+}
+
+function getPositional(args) {
+  const valueFlags = new Set(['--category', '--id', '--name', '--description', '--feed']);
+  for (let i = 0; i < args.length; i++) {
+    if (valueFlags.has(args[i])) {
+      i++;
+      continue;
+    }
+    if (!args[i].startsWith('--')) return args[i];
+  }
+  return null;
+}
+
+function toSiteUrl(rawUrl) {
+  const url = new URL(rawUrl);
+  return url.pathname === '/' && !url.search ? url.origin : normalizeUrl(url.toString());
+}
+
+async function fetchHomepage(url, timeoutMs) {
+  try {
+    const response = await fetch(url, {
+      headers: { 'User-Agent': BROWSER_USER_AGENT },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok) return { url, html: '', error: `Status code ${response.status}` };
+    return { url: response.url || url, html: await response.text(), error: null };
+  } catch (error) {
+    return { url, html: '', error: error.message };
+  }
+}
+
+// The site worker's proxy (worker/index.js) answers 400 with this error for
+// feeds missing from the blogs.json it was deployed with, i.e. every new blog.
+const UNLISTED_FEED_ERROR = 'Feed is not listed in data/blogs.json';
+
+// Direct fetch first; fall back to each configured RSS proxy in turn.
+async function loadFeed(feedUrl, parser, config) {
+  try {
+    const { body } = await fetchFeedDocument(feedUrl, { timeoutMs: config.FEED_TIMEOUT_MS });
+    return { feed: await parser.parseString(body), viaProxy: false };
+  } catch (error) {
+    if (!shouldRetryViaProxy(error)) throw error;
+    const unlisted = [];
+    let lastError = error;
+    for (const { url: proxyUrl } of config.PROXIES) {
+      try {
+        const { body } = await fetchViaRssProxy(feedUrl, { proxyUrl, timeoutMs: config.FEED_TIMEOUT_MS });
+        return { feed: await parser.parseString(body), viaProxy: true };
+      } catch (proxyError) {
+        if (proxyError.message.includes(UNLISTED_FEED_ERROR)) unlisted.push(proxyUrl);
+        lastError = proxyError;
+      }
+    }
+    if (unlisted.length === config.PROXIES.length) {
+      throw new Error(
+        `direct fetch failed (${error.message}), and the proxy can't be checked until the blog is deployed: ` +
+        `${unlisted.join(', ')} only serves feeds in the deployed data/blogs.json. ` +
+        'Set PROXY_URL to the Pages proxy to check it now'
+      );
+    }
+    throw lastError;
+  }
+}
+
+async function discoverFeed(candidates, parser, config) {
+  const attempts = [];
+  for (const candidate of candidates) {
+    try {
+      const result = await loadFeed(candidate, parser, config);
+      if (result.feed?.items?.length) return { feedUrl: candidate, ...result, attempts };
+      attempts.push(`${candidate}: no items`);
+    } catch (error) {
+      attempts.push(`${candidate}: ${error.message}`);
+    }
+  }
+  return { feedUrl: null, feed: null, viaProxy: false, attempts };
+}
+
+function analyzeFeed(feed, blog, config, nowMs = Date.now()) {
+  const { resolvePostDate } = createDateResolver({
+    maxFutureDays: config.MAX_FUTURE_DAYS,
+    recentPrimaryDays: config.RECENT_PRIMARY_DAYS,
+    inferredDateMaxDiffDays: config.INFERRED_DATE_MAX_DIFF_DAYS,
+  });
+
+  const items = feed.items || [];
+  let primaryDates = 0;
+  let resolvedDates = 0;
+  const resolved = [];
+  const excerptLengths = [];
+
+  items.forEach((item, index) => {
+    const primary = normalizeDate(
+      item.isoDate || item.pubDate || item.published || item.updated || item['dc:date'] || item.date
+    );
+    if (primary) primaryDates++;
+    const date = resolvePostDate(item, feed, blog, index, null, nowMs);
+    if (date) {
+      resolvedDates++;
+      resolved.push(date);
+    }
+    const excerpt = createExcerpt(coerceToString(item.contentSnippet || item.content || item.summary || ''));
+    excerptLengths.push(excerpt.length);
+  });
+
+  resolved.sort();
+  const goodExcerpts = excerptLengths.filter((len) => len >= MIN_GOOD_EXCERPT).length;
+  const emptyExcerpts = excerptLengths.filter((len) => len === 0).length;
+  const avgExcerpt = excerptLengths.length
+    ? Math.round(excerptLengths.reduce((sum, len) => sum + len, 0) / excerptLengths.length)
+    : 0;
+
+  return {
+    itemCount: items.length,
+    primaryDates,
+    resolvedDates,
+    missingDates: items.length - resolvedDates,
+    oldest: resolved[0] || null,
+    newest: resolved[resolved.length - 1] || null,
+    goodExcerpts,
+    emptyExcerpts,
+    avgExcerpt,
+  };
+}
+
+function printReport(entry, stats, notes) {
+  console.log('\n--- Feed report ---');
+  console.log(`Feed:        ${entry.feed}`);
+  console.log(`Items:       ${stats.itemCount}`);
+  console.log(`Dates:       ${stats.primaryDates}/${stats.itemCount} from feed, ${stats.resolvedDates}/${stats.itemCount} resolved`);
+  if (stats.oldest && stats.newest) {
+    console.log(`Date range:  ${stats.oldest.slice(0, 10)} → ${stats.newest.slice(0, 10)}`);
+  }
+  console.log(`Excerpts:    ${stats.goodExcerpts}/${stats.itemCount} ≥${MIN_GOOD_EXCERPT} chars, ${stats.emptyExcerpts} empty, avg ${stats.avgExcerpt} chars`);
+  for (const note of notes) console.log(`  ! ${note}`);
+
+  console.log('\n--- Entry ---');
+  console.log(JSON.stringify(entry, null, 2));
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const homepage = getPositional(args);
+  if (!homepage || args.includes('--help')) {
+    console.log(USAGE);
+    process.exitCode = homepage ? 0 : 1;
+    return;
+  }
+
+  const dryRun = args.includes('--dry-run');
+  const categories = (getFlagValue('--category', args) || '')
+    .split(',')
+    .map((c) => c.trim().toLowerCase())
+    .filter(Boolean);
+  const invalidCategories = categories.filter((c) => !isCategorySlug(c));
+  if (invalidCategories.length > 0) {
+    throw new Error(`Unknown categories: ${invalidCategories.join(', ')} (expected ${CATEGORY_SLUGS.join(', ')})`);
+  }
+  if (!dryRun && categories.length === 0) {
+    throw new Error('Pass --category <slug> (or --dry-run to only print the report)');
+  }
+
+  let siteUrl;
+  try {
+    siteUrl = toSiteUrl(homepage);
+  } catch {
+    throw new Error(`Invalid homepage URL: ${homepage}`);
+  }
+
+  const blogsData = loadBlogsFile(BLOGS_PATH);
+  const takenIds = new Set(blogsData.blogs.map((b) => b.id));
+  const explicitId = getFlagValue('--id', args);
+  const explicitFeed = getFlagValue('--feed', args);
+  const explicitDescription = getFlagValue('--description', args);
+
+  const earlyDuplicate = findDuplicateBlog(blogsData.blogs, { id: explicitId, feed: explicitFeed });
+  if (earlyDuplicate) throw new Error(`Duplicate: ${earlyDuplicate.reason}`);
+
+  const config = loadFetchConfig(process.env);
+  const parser = createFeedParser({ timeoutMs: config.FEED_TIMEOUT_MS });
+
+  console.log(`Inspecting ${siteUrl}...`);
+  const page = await fetchHomepage(siteUrl, config.FEED_TIMEOUT_MS);
+  if (page.error) console.log(`  → Homepage fetch failed (${page.error}); trying common feed paths`);
+
+  const candidates = explicitFeed ? [explicitFeed] : getFeedCandidates(page.html, page.url);
+  const { feedUrl, feed, viaProxy, attempts } = await discoverFeed(candidates, parser, config);
+  if (!feed) {
+    for (const attempt of attempts) console.log(`  ✗ ${attempt}`);
+    throw new Error('No working feed found. Pass --feed <url> if you know it.');
+  }
+  console.log(`  ✓ Using ${feedUrl}${viaProxy ? ' [via proxy]' : ''}`);
+
+  const id = explicitId || suggestBlogId(siteUrl, takenIds);
+  if (!id) throw new Error('Could not suggest an id; pass --id <slug>');
+  const duplicate = findDuplicateBlog(blogsData.blogs, { id, feed: feedUrl });
+  if (duplicate) throw new Error(`Duplicate: ${duplicate.reason}`);
+
+  const notes = [];
+  const substackHost = isSubstackFeed(feedUrl);
+  const substackCustomDomain = !substackHost && (
+    /substack/i.test(coerceToString(feed.generator)) || looksLikeSubstack(page.html)
+  );
+  const needsProxy = viaProxy || substackCustomDomain;
+  if (substackHost) notes.push('Substack feed: fetched via the proxy automatically');
+  if (substackCustomDomain) notes.push('Custom-domain Substack detected: setting "proxy": true');
+  else if (viaProxy) notes.push('Direct fetch was blocked and the proxy worked: setting "proxy": true');
+
+  const entry = {
+    id,
+    name: getFlagValue('--name', args) || decodeHtmlEntities(coerceToString(feed.title)).trim() || id,
+    url: siteUrl,
+    feed: feedUrl,
+    categories,
+    description: explicitDescription || createExcerpt(stripHtml(feed.description), 160),
+  };
+  if (needsProxy) entry.proxy = true;
+
+  const stats = analyzeFeed(feed, entry, config);
+  if (stats.missingDates === stats.itemCount) {
+    notes.push('No item dates could be resolved: consider "datePolicy": { "missingDates": "fallback" }');
+  } else if (stats.missingDates > 0) {
+    notes.push(`${stats.missingDates} items have no usable date and will be skipped`);
+  }
+  if (stats.primaryDates < stats.resolvedDates) {
+    notes.push('Some dates are inferred from links: check them, or set "datePolicy": { "linkDates": "never" }');
+  }
+  if (stats.goodExcerpts === 0) {
+    notes.push('Feed has no usable summaries: excerpts will depend on page fetches');
+  }
+  if (!explicitDescription) {
+    notes.push('Description taken from the feed: edit it to match the tone of blogs.json');
+  }
+
+  printReport(entry, stats, notes);
+
+  if (dryRun) {
+    console.log('\nDry run: data/blogs.json not modified.');
+    return;
+  }
+
+  blogsData.blogs.push(entry);
+  writeBlogsFile(BLOGS_PATH, blogsData);
+  console.log(`\nAdded "${entry.id}" to data/blogs.json (${blogsData.blogs.length} blogs).`);
+}
+
+main()
+  .catch((error) => {
+    console.error(`add-blog: ${error.message}`);
+    process.exitCode = 1;
+  });
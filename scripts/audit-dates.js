@@ -0,0 +1,131 @@
+import { existsSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { openDb, getDbPath, loadPostsForDateAudit, loadRecentRuns } from './lib/db.js';
+import { getMigrationStatus } from './lib/migrate.js';
+import { loadBlogsFile } from './lib/blogs-file.js';
+import { checkDatePolicy } from './lib/fetch/dates.js';
+import {
+  DEFAULT_LATE_DAYS,
+  compareLinkDates,
+  findDateMoves,
+  findLateArrivals,
+  findSyntheticClusters,
+  suggestDatePolicies,
+} from './lib/date-audit.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const BLOGS_PATH = join(__dirname, '../data/blogs.json');
+const POSTS_CACHE_PATH = join(__dirname, '../data/cache/posts.json');
+const CHANGES_CACHE_PATH = join(__dirname, '../data/cache/changes.json');
+
+const LIST_LIMIT = 20;
+
+function getFlagValue(flag, args) {
+  const idx = args.indexOf(flag);
+  if (idx === -1) return null;
+  const value = args[idx + 1];
+  if (!value || value.startsWith('--')) return null;
+  return value;
+}
+
+function parsePositiveInt(value, fallback) {
+  const parsed = Number.parseInt(value || '', 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+const args = process.argv.slice(2);
+// --days N: how far a post's date may trail its first fetch before it is flagged.
+const lateDays = parsePositiveInt(getFlagValue('--days', args), DEFAULT_LATE_DAYS);
+// --runs N: how many recorded runs to scan for date changes.
+const runLimit = parsePositiveInt(getFlagValue('--runs', args), 500);
+const only = getFlagValue('--only', args)?.split(',').map((id) => id.trim()).filter(Boolean) || null;
+const jsonOutput = args.includes('--json');
+
+// Posts with first-fetch times and the run history come from SQLite. Without
+// an up-to-date database the audit reads posts.json and changes.json, which
+// have no fetch times and only the last runs.
+function loadAuditData() {
+  if (existsSync(getDbPath())) {
+    const db = openDb({ migrate: false });
+    try {
+      if (getMigrationStatus(db).pending.length === 0) {
+        return { source: 'SQLite', posts: loadPostsForDateAudit(db), runs: loadRecentRuns(db, runLimit) };
+      }
+      console.error('The schema has pending migrations (npm run migrate-db); auditing the cache files instead.');
+    } finally {
+      db.close();
+    }
+  }
+  const posts = JSON.parse(readFileSync(POSTS_CACHE_PATH, 'utf-8')).posts || [];
+  const runs = existsSync(CHANGES_CACHE_PATH) ? JSON.parse(readFileSync(CHANGES_CACHE_PATH, 'utf-8')).runs || [] : [];
+  return { source: 'cache', posts, runs };
+}
+
+function printSection(title, entries, format) {
+  console.log(`\n${title} (${entries.length}):`);
+  if (entries.length === 0) console.log('  none');
+  for (const entry of entries.slice(0, LIST_LIMIT)) console.log(`  ${format(entry)}`);
+  if (entries.length > LIST_LIMIT) console.log(`  … and ${entries.length - LIST_LIMIT} more`);
+}
+
+const day = (iso) => String(iso).slice(0, 10);
+const short = (title) => String(title).substring(0, 60);
+
+function main() {
+  if (args.includes('--only') && !only) throw new Error('--only needs a comma-separated list of blog ids');
+  const { blogs: allBlogs } = loadBlogsFile(BLOGS_PATH);
+  const unknown = (only || []).filter((id) => !allBlogs.some((blog) => blog.id === id));
+  if (unknown.length) throw new Error(`Unknown blog id(s): ${unknown.join(', ')}`);
+  const blogs = only ? allBlogs.filter((blog) => only.includes(blog.id)) : allBlogs;
+  const blogIds = new Set(blogs.map((blog) => blog.id));
+
+  const data = loadAuditData();
+  const posts = data.posts.filter((post) => blogIds.has(post.blogId));
+  const invalidPolicies = blogs.flatMap((blog) => checkDatePolicy(blog).map((problem) => ({ blogId: blog.id, problem })));
+  const moves = findDateMoves(data.runs).filter((move) => blogIds.has(move.blogId));
+  const clusters = findSyntheticClusters(posts, blogs);
+  const lateArrivals = findLateArrivals(posts, lateDays);
+  const linkDates = compareLinkDates(posts, blogs);
+  const suggestions = suggestDatePolicies({ blogs, moves, clusters, linkDates });
+
+  if (jsonOutput) {
+    console.log(JSON.stringify({ source: data.source, lateDays, invalidPolicies, moves, clusters, lateArrivals, linkDates, suggestions }, null, 2));
+    return;
+  }
+
+  console.log(`=== Date audit: ${blogs.length} blogs, ${posts.length} posts, ${data.runs.length} runs (${data.source}) ===`);
+  if (invalidPolicies.length) printSection('Invalid datePolicy entries', invalidPolicies, (e) => `${e.blogId}: ${e.problem}`);
+  printSection('Dates that moved between runs', moves, (m) => `${m.blogId}: ${short(m.title)} ${day(m.from)} → ${day(m.to)} (run ${m.runAt})`);
+  printSection('Synthetic-looking date clusters', clusters.filter((c) => !c.expected), (c) =>
+    `${c.blogId}: ${c.count} posts ${c.spacing === 'identical' ? 'dated identically' : 'a minute apart'}, ${c.from} – ${c.to}`
+  );
+  const expectedCounts = new Map();
+  for (const { blogId, expected } of clusters) {
+    if (expected) expectedCounts.set(blogId, (expectedCounts.get(blogId) || 0) + 1);
+  }
+  for (const [blogId, count] of expectedCounts) {
+    console.log(`  (${blogId}: ${count} more, expected with missingDates "fallback")`);
+  }
+  if (data.source === 'SQLite') {
+    printSection(`Posts first fetched more than ${lateDays} days after their date`, lateArrivals, (p) =>
+      `${p.blogId}: ${short(p.title)} dated ${day(p.date)}, first fetched ${day(p.fetchedAt)} (${p.lagDays} days)`
+    );
+  }
+  printSection('Blogs whose feed dates disagree with their link dates', linkDates, (r) =>
+    `${r.blogId}: ${r.checked} checked, ${r.sameDay} same day, ${r.dayOff} a day off, ${r.far} further`
+      + (r.bestOffset ? `; ${r.bestOffset} puts ${r.bestMatches} on their link day` : '')
+      + (r.bestZone ? `; ${r.bestZone} puts ${r.bestZoneMatches}` : '')
+  );
+
+  console.log(`\nSuggested datePolicy overrides for data/blogs.json (${suggestions.length}):`);
+  if (suggestions.length === 0) console.log('  none');
+  for (const { blogId, datePolicy, reasons } of suggestions) {
+    console.log(`  ${blogId}: "datePolicy": ${JSON.stringify(datePolicy)}`);
+    for (const reason of reasons) console.log(`    - ${reason}`);
+  }
+}
+
+main();
@@ -20,16 +20,32 @@ const env = {
   FEED_TIMEOUT_MS: String(feedTimeout),
   FEED_CONCURRENCY: String(feedConcurrency),
   EXCERPT_CONCURRENCY: String(excerptConcurrency),
+  // Backfills want the full feed even when it has not changed since the last run.
+  CONDITIONAL_REQUESTS: 'false',
 };
 
-console.log('=== Backfill RSS Feeds ===');
-console.log(`MAX_POSTS_PER_BLOG=${env.MAX_POSTS_PER_BLOG}`);
-console.log(`FEED_TIMEOUT_MS=${env.FEED_TIMEOUT_MS}`);
-console.log(`FEED_CONCURRENCY=${env.FEED_CONCURRENCY}`);
-console.log(`EXCERPT_CONCURRENCY=${env.EXCERPT_CONCURRENCY}`);
-console.log('Running fetch-feeds...\n');
+// fetch-feeds flags passed straight through; see scripts/fetch-feeds.js.
+// --force also retries feeds that are currently in failure backoff.
+const PASS_THROUGH_FLAGS = ['--force', '--dry-run', '--verbose-items', '--json'];
+const PASS_THROUGH_VALUES = ['--only', '--category'];
 
-const child = spawn(process.execPath, ['scripts/fetch-feeds.js'], {
+const childArgs = PASS_THROUGH_FLAGS.filter((flag) => args.includes(flag));
+for (const flag of PASS_THROUGH_VALUES) {
+  const value = getFlagValue(flag, args);
+  if (value) childArgs.push(flag, value);
+}
+
+// With --json, stdout carries only the fetch-feeds report.
+const log = args.includes('--json') ? console.error : console.log;
+log('=== Backfill RSS Feeds ===');
+log(`MAX_POSTS_PER_BLOG=${env.MAX_POSTS_PER_BLOG}`);
+log(`FEED_TIMEOUT_MS=${env.FEED_TIMEOUT_MS}`);
+log(`FEED_CONCURRENCY=${env.FEED_CONCURRENCY}`);
+log(`EXCERPT_CONCURRENCY=${env.EXCERPT_CONCURRENCY}`);
+log(`CONDITIONAL_REQUESTS=${env.CONDITIONAL_REQUESTS}`);
+log(`Running fetch-feeds${childArgs.length ? ` ${childArgs.join(' ')}` : ''}...\n`);
+
+const child = spawn(process.execPath, ['scripts/fetch-feeds.js', ...childArgs], {
   stdio: 'inherit',
   env,
 });
@@ -0,0 +1,70 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { openDb, loadPostsForClassification, replacePostCategories } from './lib/db.js';
+import { updatePostMetaField } from './lib/cache-export.js';
+import { loadBlogsFile } from './lib/blogs-file.js';
+import { isCategorySlug } from './lib/categories.js';
+import { trainClassifier, classifyPost, findOffShelfPosts } from './lib/classify.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const BLOGS_PATH = join(__dirname, '../data/blogs.json');
+const OVERRIDES_PATH = join(__dirname, '../data/category-overrides.json');
+const CACHE_DIR = join(__dirname, '../data/cache');
+
+// data/category-overrides.json: { "posts": { "<post id>": ["history", …] } }.
+function loadOverrides() {
+  const data = JSON.parse(readFileSync(OVERRIDES_PATH, 'utf-8'));
+  const overrides = new Map();
+  for (const [postId, slugs] of Object.entries(data.posts || {})) {
+    const valid = [].concat(slugs).filter(isCategorySlug);
+    if (valid.length === 0) {
+      console.warn(`Ignoring override for ${postId}: no known category in ${JSON.stringify(slugs)}`);
+      continue;
+    }
+    overrides.set(postId, valid.map((slug) => ({ slug, confidence: 1, source: 'manual' })));
+  }
+  return overrides;
+}
+
+// Runs after fetch-feeds: retrains the shelf classifier on every post, stores
+// each post's shelves in post_categories and their slugs in post-meta.json.
+function main() {
+  const blogCategories = new Map(loadBlogsFile(BLOGS_PATH).blogs.map((blog) => [blog.id, blog.categories || []]));
+  const overrides = loadOverrides();
+  const db = openDb();
+  try {
+    const started = Date.now();
+    const posts = loadPostsForClassification(db);
+    const model = trainClassifier(posts, blogCategories);
+
+    const categoriesById = new Map();
+    for (const post of posts) {
+      const categories = overrides.get(post.id) || classifyPost(model, post, blogCategories.get(post.blogId));
+      if (categories.length === 0) continue;
+      categoriesById.set(post.id, categories);
+    }
+    replacePostCategories(db, categoriesById);
+
+    const exported = new Map(posts.map((post) => [post.id, (categoriesById.get(post.id) || []).map(({ slug }) => slug)]));
+    const offShelf = findOffShelfPosts(posts, exported, blogCategories, new Set(overrides.keys()));
+    console.log(
+      `Classified ${categoriesById.size} posts; ${offShelf.length} shelved outside their writer's categories, ` +
+      `${overrides.size} overridden (${Date.now() - started}ms).`
+    );
+    // The model moved these off their writer's shelves; pin any it got wrong
+    // in data/category-overrides.json.
+    for (const post of offShelf) {
+      console.log(`  ${post.id} ${post.blogId} (${post.writerCategories.join(', ')}) → ${post.slug}: ${post.title}`);
+    }
+
+    const changed = updatePostMetaField(CACHE_DIR, 'categories', exported);
+    console.log(`Updated ${changed} category lists in post-meta.json.`);
+  } finally {
+    db.close();
+  }
+}
+
+main();
@@ -0,0 +1,35 @@
+import { existsSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { formatRunCommitMessage } from './lib/changes.js';
+import { loadBlogsFile } from './lib/blogs-file.js';
+import { findOffShelfPosts } from './lib/classify.js';
+import { loadPostMeta } from './lib/posts-shards.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const CACHE_DIR = join(__dirname, '../data/cache');
+const CHANGES_PATH = join(CACHE_DIR, 'changes.json');
+const BLOGS_PATH = join(__dirname, '../data/blogs.json');
+const OVERRIDES_PATH = join(__dirname, '../data/category-overrides.json');
+
+// The run's new posts that classify filed outside their writer's shelves,
+// read back from post-meta.json; hand-pinned posts are left out.
+function findNewOffShelfPosts(run) {
+  const postMeta = loadPostMeta(CACHE_DIR);
+  const categoriesById = new Map(Object.entries(postMeta).map(([id, meta]) => [id, meta.categories || []]));
+  const blogCategories = new Map(loadBlogsFile(BLOGS_PATH).blogs.map((blog) => [blog.id, blog.categories || []]));
+  const pinned = new Set(Object.keys(JSON.parse(readFileSync(OVERRIDES_PATH, 'utf-8')).posts || {}));
+  return findOffShelfPosts(run.changes.added, categoriesById, blogCategories, pinned);
+}
+
+// Prints the refresh workflow's commit message: a fixed subject and the latest
+// run's change set from changes.json, or just the subject without one.
+function main() {
+  const changes = existsSync(CHANGES_PATH) ? JSON.parse(readFileSync(CHANGES_PATH, 'utf-8')) : null;
+  const run = changes?.runs?.[0] || null;
+  process.stdout.write(formatRunCommitMessage(run, { offShelf: run ? findNewOffShelfPosts(run) : [] }));
+}
+
+main();
@@ -0,0 +1,37 @@
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { openDb, loadPostsForEmbedding, replaceRelatedPosts, updatePostEmbeddings } from './lib/db.js';
+import { updatePostMetaField } from './lib/cache-export.js';
+import { buildVectors, encodeVector, findRelated } from './lib/embeddings.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const CACHE_DIR = join(__dirname, '../data/cache');
+
+// Runs after summarize: recomputes every post's vector (IDF shifts as the
+// corpus grows), stores it in posts.embedding, and precomputes related posts
+// from other writers for post-meta.json. Syndicated copies are left out; their
+// original carries the list.
+function main() {
+  const db = openDb();
+  try {
+    const started = Date.now();
+    const posts = loadPostsForEmbedding(db);
+    const vectors = buildVectors(posts);
+    updatePostEmbeddings(db, posts.map((post, i) => ({ id: post.id, embedding: encodeVector(vectors[i]) })));
+
+    const canonical = posts.map((post, i) => ({ post, vector: vectors[i] })).filter(({ post }) => !post.syndicatedOf);
+    const related = findRelated(canonical.map((c) => c.post), canonical.map((c) => c.vector));
+    replaceRelatedPosts(db, related);
+    console.log(`Embedded ${posts.length} posts; ${related.size} have related posts (${Date.now() - started}ms).`);
+
+    const relatedById = new Map(posts.map((post) => [post.id, (related.get(post.id) || []).map((pick) => pick.id)]));
+    const changed = updatePostMetaField(CACHE_DIR, 'related', relatedById);
+    console.log(`Updated ${changed} related lists in post-meta.json.`);
+  } finally {
+    db.close();
+  }
+}
+
+main();
@@ -1,12 +1,20 @@
+import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { openDb } from './lib/db.js';
+import { openDb, getFailureStreaks, loadPosts, loadRecentRuns } from './lib/db.js';
 import {
+  attachFailureStreaks,
+  attachFeedHistory,
+  buildPostMeta,
   buildPostsCache,
+  getFeedHistory,
   buildStatusCache,
   getLatestLogs,
   writeCacheFiles,
+  writePostMeta,
 } from './lib/cache-export.js';
+import { writePostsShards } from './lib/posts-shards.js';
+import { CHANGES_HISTORY_RUNS, buildChangesCache } from './lib/changes.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -14,25 +22,39 @@ const __dirname = dirname(__filename);
 const CACHE_DIR = join(__dirname, '../data/cache');
 const CACHE_PATH = join(CACHE_DIR, 'posts.json');
 const STATUS_PATH = join(CACHE_DIR, 'status.json');
+const CHANGES_PATH = join(CACHE_DIR, 'changes.json');
 
+// --shards only rebuilds data/cache/posts/ from posts.json, archive.json and
+// post-meta.json, without SQLite. npm run build and npm run dev run it first.
 function main() {
+  if (process.argv.includes('--shards')) {
+    const { written, removed } = writePostsShards(CACHE_DIR, JSON.parse(readFileSync(CACHE_PATH, 'utf-8')));
+    console.log(`Rebuilt post shards from posts.json, archive.json and post-meta.json (${written} written, ${removed} removed).`);
+    return;
+  }
+
   const db = openDb();
-  const posts = db.prepare(`
-    SELECT id, blog_id as blogId, title, link, date, excerpt
-    FROM posts
-    ORDER BY date DESC
-  `).all().map((row) => ({ ...row, excerpt: row.excerpt || '' }));
+  const posts = loadPosts(db);
 
-  const logs = getLatestLogs(db);
+  const streaks = getFailureStreaks(db);
+  const logs = attachFeedHistory(
+    attachFailureStreaks(getLatestLogs(db), streaks),
+    getFeedHistory(db, streaks)
+  );
   const postsCache = buildPostsCache(posts);
   const statusCache = buildStatusCache(logs);
+  // A database without recorded runs leaves the committed changes.json alone.
+  const runs = loadRecentRuns(db, CHANGES_HISTORY_RUNS);
   writeCacheFiles({
     cacheDir: CACHE_DIR,
     postsPath: CACHE_PATH,
     statusPath: STATUS_PATH,
     postsCache,
     statusCache,
+    changesPath: CHANGES_PATH,
+    changesCache: runs.length ? buildChangesCache(runs) : null,
   });
+  writePostMeta(CACHE_DIR, buildPostMeta(posts));
 
   db.close();
   console.log(`Exported ${posts.length} posts to cache JSON.`);
@@ -0,0 +1,141 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { loadBlogsFile, writeBlogsFile, findDuplicateBlog, suggestBlogId } from './lib/blogs-file.js';
+import { CATEGORY_SLUGS, isCategorySlug } from './lib/categories.js';
+import { parseOpml, mapOutlineCategories } from './lib/opml.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const BLOGS_PATH = join(__dirname, '../data/blogs.json');
+
+const USAGE = `Usage: npm run import-opml -- <file.opml> [options]
+
+Options:
+  --default-category <slug>  Shelf for outlines that map to no category
+                             (${CATEGORY_SLUGS.join(', ')}); otherwise they are skipped
+  --dry-run                  Print the report without writing data/blogs.json`;
+
+function getFlagValue(flag, args) {
+  const idx = args.indexOf(flag);
+  if (idx === -1) return null;
+  const value = args[idx + 1];
+  if (!value || value.startsWith('--')) return null;
+  return value;
+}
+
+function getPositional(args) {
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--default-category') {
+      i++;
+      continue;
+    }
+    if (!args[i].startsWith('--')) return args[i];
+  }
+  return null;
+}
+
+function siteUrlFor(outline) {
+  const candidate = outline.htmlUrl || outline.xmlUrl;
+  try {
+    const url = new URL(candidate);
+    return outline.htmlUrl ? url.toString().replace(/\/$/, '') : url.origin;
+  } catch {
+    return '';
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const opmlPath = getPositional(args);
+  if (!opmlPath || args.includes('--help')) {
+    console.log(USAGE);
+    process.exitCode = opmlPath ? 0 : 1;
+    return;
+  }
+
+  const dryRun = args.includes('--dry-run');
+  const defaultCategory = getFlagValue('--default-category', args);
+  if (defaultCategory && !isCategorySlug(defaultCategory)) {
+    console.error(`Unknown --default-category "${defaultCategory}" (expected ${CATEGORY_SLUGS.join(', ')})`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const outlines = parseOpml(readFileSync(opmlPath, 'utf-8'));
+  if (outlines.length === 0) {
+    console.error(`No feed outlines found in ${opmlPath}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const blogsData = loadBlogsFile(BLOGS_PATH);
+  const takenIds = new Set(blogsData.blogs.map((b) => b.id));
+  const added = [];
+  const duplicates = [];
+  const uncategorized = [];
+  const invalid = [];
+
+  for (const outline of outlines) {
+    const url = siteUrlFor(outline);
+    if (!url) {
+      invalid.push(`${outline.text || outline.xmlUrl}: invalid feed/site URL`);
+      continue;
+    }
+
+    const duplicate = findDuplicateBlog([...blogsData.blogs, ...added], { feed: outline.xmlUrl });
+    if (duplicate) {
+      duplicates.push(`${outline.text || outline.xmlUrl}: ${duplicate.reason}`);
+      continue;
+    }
+
+    const mapped = mapOutlineCategories(outline);
+    const categories = mapped.length > 0 ? mapped : (defaultCategory ? [defaultCategory] : []);
+    if (categories.length === 0) {
+      const labels = [outline.category, ...outline.folders].filter(Boolean).join(', ') || 'none';
+      uncategorized.push(`${outline.text || outline.xmlUrl} (labels: ${labels})`);
+      continue;
+    }
+
+    const id = suggestBlogId(url, takenIds);
+    if (!id) {
+      invalid.push(`${outline.text || outline.xmlUrl}: could not derive an id`);
+      continue;
+    }
+    takenIds.add(id);
+
+    added.push({
+      id,
+      name: outline.title || outline.text || id,
+      url,
+      feed: outline.xmlUrl,
+      categories,
+      description: outline.description,
+    });
+  }
+
+  console.log(`=== OPML import: ${opmlPath} ===`);
+  console.log(`Outlines: ${outlines.length}`);
+  console.log(`Added: ${added.length}`);
+  for (const blog of added) console.log(`  + ${blog.id} (${blog.categories.join(', ')}) ${blog.feed}`);
+  console.log(`Skipped, already present: ${duplicates.length}`);
+  for (const line of duplicates) console.log(`  = ${line}`);
+  console.log(`Skipped, no matching category: ${uncategorized.length}`);
+  for (const line of uncategorized) console.log(`  ? ${line}`);
+  if (invalid.length > 0) {
+    console.log(`Skipped, invalid: ${invalid.length}`);
+    for (const line of invalid) console.log(`  ! ${line}`);
+  }
+
+  if (dryRun || added.length === 0) {
+    console.log(dryRun ? '\nDry run: data/blogs.json not modified.' : '\nNothing to add.');
+    return;
+  }
+
+  blogsData.blogs.push(...added);
+  writeBlogsFile(BLOGS_PATH, blogsData);
+  console.log(`\nWrote ${blogsData.blogs.length} blogs to data/blogs.json. Review the new entries (descriptions especially) before committing.`);
+}
+
+main();
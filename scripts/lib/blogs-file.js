@@ -0,0 +1,51 @@
+import { readFileSync, writeFileSync } from 'fs';
+import { normalizeUrl } from './fetch/urls.js';
+
+export function loadBlogsFile(path) {
+  const data = JSON.parse(readFileSync(path, 'utf-8'));
+  return { ...data, blogs: Array.isArray(data.blogs) ? data.blogs : [] };
+}
+
+// blogs.json is kept ASCII-only (non-ASCII escaped as \uXXXX) so hand edits
+// and script edits produce the same bytes.
+export function writeBlogsFile(path, data) {
+  const json = JSON.stringify(data, null, 2).replace(
+    /[\u007f-\uffff]/g,
+    (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`
+  );
+  writeFileSync(path, `${json}\n`);
+}
+
+export function normalizeFeedUrl(feedUrl) {
+  return normalizeUrl(feedUrl).replace(/^http:\/\//, 'https://').toLowerCase();
+}
+
+export function findDuplicateBlog(blogs, { id, feed }) {
+  const feedKey = feed ? normalizeFeedUrl(feed) : '';
+  for (const blog of blogs) {
+    if (id && blog.id === id) return { blog, reason: `id "${id}" is already used by ${blog.name}` };
+    if (feedKey && normalizeFeedUrl(blog.feed) === feedKey) {
+      return { blog, reason: `feed ${feed} is already listed as "${blog.id}"` };
+    }
+  }
+  return null;
+}
+
+export function suggestBlogId(siteUrl, takenIds = new Set()) {
+  let host = '';
+  try {
+    host = new URL(siteUrl).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+  host = host.replace(/^www\./, '');
+  const labels = host.split('.');
+  // foo.substack.com / foo.blogspot.com → foo; example.co.uk → example
+  const base = labels.length > 2 && labels[0] === 'blog' ? labels[1] : labels[0];
+  const slug = (base || '').replace(/[^a-z0-9]/g, '');
+  if (!slug || !takenIds.has(slug)) return slug;
+  for (let i = 2; i < 100; i++) {
+    if (!takenIds.has(`${slug}${i}`)) return `${slug}${i}`;
+  }
+  return '';
+}
@@ -1,4 +1,13 @@
-import { mkdirSync, writeFileSync } from 'fs';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { ARCHIVE_FILE, POST_META_FILE, loadPostMeta } from './posts-shards.js';
+
+// A 304 "unchanged" fetch is as healthy as a full "ok" fetch.
+export const HEALTHY_STATUSES = ['ok', 'unchanged'];
+
+export function isHealthyStatus(status) {
+  return HEALTHY_STATUSES.includes(status);
+}
 
 export function getLatestLogs(db) {
   return db.prepare(`
@@ -7,7 +16,9 @@ export function getLatestLogs(db) {
            f.post_count as postCount,
            f.latency_ms as latencyMs,
            f.error as error,
-           f.fetched_at as lastFetched
+           f.fetched_at as lastFetched,
+           f.next_retry_at as nextRetryAt,
+           f.proxy as proxy
     FROM fetch_log f
     JOIN (
       SELECT blog_id, MAX(id) as max_id
@@ -18,6 +29,83 @@ export function getLatestLogs(db) {
   `).all();
 }
 
+export const STATUS_HISTORY_WINDOW = 30;
+
+// One character per run in the history strip, oldest first.
+const STATUS_CODES = { ok: 'o', unchanged: 'u', error: 'x', deferred: 'd' };
+
+function percentile(sortedValues, p) {
+  if (!sortedValues.length) return null;
+  const index = Math.min(sortedValues.length - 1, Math.ceil((p / 100) * sortedValues.length) - 1);
+  return sortedValues[Math.max(0, index)];
+}
+
+// Rolls a feed's recent fetch_log rows (oldest first) into uptime and latency stats.
+// Deferred rows are skips, not attempts, so they only show up in the status strip.
+export function summarizeFeedHistory(rows, { lastSuccessAt = null, outageSince = null } = {}) {
+  const attempts = rows.filter((row) => row.status !== 'deferred');
+  const healthy = attempts.filter((row) => isHealthyStatus(row.status));
+  const latencies = healthy
+    .map((row) => row.latencyMs)
+    .filter((ms) => Number.isFinite(ms) && ms > 0)
+    .sort((a, b) => a - b);
+
+  return {
+    runs: attempts.length,
+    uptimePct: attempts.length ? Math.round((healthy.length / attempts.length) * 1000) / 10 : null,
+    medianLatencyMs: percentile(latencies, 50),
+    p95LatencyMs: percentile(latencies, 95),
+    lastSuccessAt,
+    outageSince,
+    statuses: rows.map((row) => STATUS_CODES[row.status] || '?').join(''),
+    latencies: rows.map((row) => (isHealthyStatus(row.status) && row.latencyMs ? row.latencyMs : null)),
+  };
+}
+
+export function getFeedHistory(db, streaks = new Map(), windowSize = STATUS_HISTORY_WINDOW) {
+  const rows = db.prepare(`
+    SELECT blog_id as blogId, status, latency_ms as latencyMs
+    FROM (
+      SELECT blog_id, status, latency_ms, id,
+             ROW_NUMBER() OVER (PARTITION BY blog_id ORDER BY id DESC) as rn
+      FROM fetch_log
+    )
+    WHERE rn <= ?
+    ORDER BY blog_id, id ASC
+  `).all(windowSize);
+
+  const lastSuccess = new Map(
+    db.prepare(`
+      SELECT blog_id as blogId, MAX(fetched_at) as lastSuccessAt
+      FROM fetch_log
+      WHERE status IN ('ok', 'unchanged')
+      GROUP BY blog_id
+    `).all().map((row) => [row.blogId, row.lastSuccessAt])
+  );
+
+  const rowsByBlog = new Map();
+  for (const row of rows) {
+    if (!rowsByBlog.has(row.blogId)) rowsByBlog.set(row.blogId, []);
+    rowsByBlog.get(row.blogId).push(row);
+  }
+
+  const history = new Map();
+  for (const [blogId, blogRows] of rowsByBlog) {
+    history.set(blogId, summarizeFeedHistory(blogRows, {
+      lastSuccessAt: lastSuccess.get(blogId) || null,
+      outageSince: streaks.get(blogId)?.failingSince || null,
+    }));
+  }
+  return history;
+}
+
+export function attachFeedHistory(logs, history) {
+  return logs.map((log) => ({
+    ...log,
+    history: history.get(log.blogId) || null,
+  }));
+}
+
 export function getLastUpdated(logs) {
   const lastMs = logs.reduce((max, log) => {
     const ms = Date.parse(log.lastFetched || '');
@@ -27,11 +115,101 @@ export function getLastUpdated(logs) {
   return lastMs ? new Date(lastMs).toISOString() : new Date().toISOString();
 }
 
+export function attachFailureStreaks(logs, streaks) {
+  return logs.map((log) => ({
+    ...log,
+    failures: streaks.get(log.blogId)?.failures || 0,
+  }));
+}
+
+// Revision bookkeeping and post text stay in SQLite; the cache only carries
+// `updatedAt`. Shelves and related picks go to post-meta.json instead.
 export function buildPostsCache(posts, lastUpdated = new Date().toISOString()) {
   return {
     lastUpdated,
-    posts,
+    posts: posts.map(({ contentHash, feedUpdatedAt, contentText, tags, categories, related, ...post }) => post),
+  };
+}
+
+// One post-meta.json entry, keys in a fixed order; null when empty.
+function postMetaEntry(categories, related) {
+  const entry = {
+    ...(categories?.length ? { categories } : {}),
+    ...(related?.length ? { related } : {}),
   };
+  return Object.keys(entry).length ? entry : null;
+}
+
+// data/cache/post-meta.json: { posts: { "<id>": { categories?: [slug…], related?: [id…] } } }.
+// Shelves are slugs only, without the classifier's per-run confidences, so
+// reruns only touch the posts whose shelves or picks actually changed.
+export function buildPostMeta(posts) {
+  const meta = {};
+  for (const post of [...posts].sort((a, b) => a.id.localeCompare(b.id))) {
+    const entry = postMetaEntry(post.categories?.map((category) => category.slug), post.related);
+    if (entry) meta[post.id] = entry;
+  }
+  return { posts: meta };
+}
+
+// Rewritten only when its content changes. Returns whether it was written.
+export function writePostMeta(cacheDir, meta) {
+  const path = join(cacheDir, POST_META_FILE);
+  const content = JSON.stringify(meta, null, 2);
+  if (existsSync(path) && readFileSync(path, 'utf-8') === content) return false;
+  mkdirSync(cacheDir, { recursive: true });
+  writeFileSync(path, content);
+  return true;
+}
+
+// Replaces one post-meta.json field (`categories` or `related`) for every
+// post: posts missing from `valueById`, or with an empty value, lose it.
+// Returns how many posts changed.
+export function updatePostMetaField(cacheDir, field, valueById) {
+  const current = loadPostMeta(cacheDir);
+  const ids = [...new Set([...Object.keys(current), ...valueById.keys()])].sort((a, b) => a.localeCompare(b));
+  const next = {};
+  let changed = 0;
+  for (const id of ids) {
+    const fields = { ...current[id], [field]: valueById.get(id) };
+    const entry = postMetaEntry(fields.categories, fields.related);
+    if (JSON.stringify(entry?.[field] ?? null) !== JSON.stringify(current[id]?.[field] ?? null)) changed++;
+    if (entry) next[id] = entry;
+  }
+  writePostMeta(cacheDir, { posts: next });
+  return changed;
+}
+
+// Posts added, changed (with the fields that differ) and removed between two
+// posts.json post lists, for fetch-feeds --dry-run and the run change set.
+export function diffPostsCache(beforePosts, afterPosts) {
+  const before = new Map(beforePosts.map((post) => [post.id, post]));
+  const after = new Map(afterPosts.map((post) => [post.id, post]));
+  const added = afterPosts.filter((post) => !before.has(post.id));
+  const removed = beforePosts.filter((post) => !after.has(post.id));
+  const changed = [];
+  for (const post of afterPosts) {
+    const previous = before.get(post.id);
+    if (!previous) continue;
+    const keys = new Set([...Object.keys(previous), ...Object.keys(post)]);
+    const fields = [...keys].filter((key) => JSON.stringify(previous[key] ?? null) !== JSON.stringify(post[key] ?? null));
+    if (fields.length) changed.push({ post, previous, fields: fields.sort() });
+  }
+  return { added, changed, removed };
+}
+
+// Per RSS proxy, the feeds whose latest fetch went through it and how many
+// of those fetches were healthy. Deferred feeds were not fetched.
+export function summarizeProxies(logs) {
+  const byUrl = new Map();
+  for (const log of logs) {
+    if (!log.proxy || log.status === 'deferred') continue;
+    if (!byUrl.has(log.proxy)) byUrl.set(log.proxy, { url: log.proxy, feeds: 0, healthy: 0 });
+    const entry = byUrl.get(log.proxy);
+    entry.feeds++;
+    if (isHealthyStatus(log.status)) entry.healthy++;
+  }
+  return [...byUrl.values()].sort((a, b) => a.url.localeCompare(b.url));
 }
 
 export function buildStatusCache(logs, lastUpdated = getLastUpdated(logs)) {
@@ -40,14 +218,83 @@ export function buildStatusCache(logs, lastUpdated = getLastUpdated(logs)) {
     feeds: logs,
     summary: {
       total: logs.length,
-      healthy: logs.filter((log) => log.status === 'ok').length,
+      healthy: logs.filter((log) => isHealthyStatus(log.status)).length,
       errors: logs.filter((log) => log.status === 'error').length,
+      deferred: logs.filter((log) => log.status === 'deferred').length,
+      proxies: summarizeProxies(logs),
     },
   };
 }
 
-export function writeCacheFiles({ cacheDir, postsPath, statusPath, postsCache, statusCache }) {
+// changes.json is optional: only fetch runs and export-cache produce it.
+export function writeCacheFiles({ cacheDir, postsPath, statusPath, postsCache, statusCache, changesPath, changesCache }) {
   mkdirSync(cacheDir, { recursive: true });
   writeFileSync(postsPath, JSON.stringify(postsCache, null, 2));
   writeFileSync(statusPath, JSON.stringify(statusCache, null, 2));
+  if (changesPath && changesCache) writeFileSync(changesPath, JSON.stringify(changesCache, null, 2));
+}
+
+// Rewrites one field of posts.json in place for the
+// post-fetch steps (summaries). Empty values remove the field;
+// posts missing from `valueById` are left alone. Returns how many posts changed.
+export function updatePostsCacheField(postsPath, field, valueById) {
+  const cache = JSON.parse(readFileSync(postsPath, 'utf-8'));
+  const isEmpty = (value) => value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+  let changed = 0;
+  for (const post of cache.posts || []) {
+    if (!valueById.has(post.id)) continue;
+    const value = valueById.get(post.id);
+    if (JSON.stringify(post[field] ?? null) === JSON.stringify(isEmpty(value) ? null : value)) continue;
+    if (isEmpty(value)) delete post[field];
+    else post[field] = value;
+    changed++;
+  }
+  if (changed > 0) writeFileSync(postsPath, JSON.stringify(cache, null, 2));
+  return changed;
+}
+
+// Drops archived posts from posts.json. Returns how many were removed.
+export function removePostsFromCache(postsPath, ids) {
+  const cache = JSON.parse(readFileSync(postsPath, 'utf-8'));
+  const before = (cache.posts || []).length;
+  cache.posts = (cache.posts || []).filter((post) => !ids.has(post.id));
+  const removed = before - cache.posts.length;
+  if (removed > 0) writeFileSync(postsPath, JSON.stringify(cache, null, 2));
+  return removed;
+}
+
+// Drops archived posts' post-meta.json entries and their ids from other
+// posts' related lists. Returns how many entries were removed and how many
+// related lists were trimmed.
+export function removePostsFromPostMeta(cacheDir, ids) {
+  const current = loadPostMeta(cacheDir);
+  const next = {};
+  let removed = 0;
+  let trimmed = 0;
+  for (const [id, entry] of Object.entries(current)) {
+    if (ids.has(id)) {
+      removed++;
+      continue;
+    }
+    const related = entry.related?.filter((relatedId) => !ids.has(relatedId));
+    if (related && related.length !== entry.related.length) trimmed++;
+    const kept = postMetaEntry(entry.categories, related);
+    if (kept) next[id] = kept;
+  }
+  if (removed > 0 || trimmed > 0) writePostMeta(cacheDir, { posts: next });
+  return { removed, trimmed };
+}
+
+// data/cache/archive.json is the committed copy of archived_posts; the
+// database lives only in the Actions cache. Rewritten only when its posts
+// change. Returns whether it was written.
+export function writeArchiveCache(cacheDir, posts, lastUpdated = new Date().toISOString()) {
+  const path = join(cacheDir, ARCHIVE_FILE);
+  if (existsSync(path)) {
+    const current = JSON.parse(readFileSync(path, 'utf-8'));
+    if (JSON.stringify(current.posts || []) === JSON.stringify(posts)) return false;
+  }
+  writeFileSync(path, JSON.stringify({ lastUpdated, posts }, null, 2));
+  return true;
 }
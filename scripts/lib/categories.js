@@ -0,0 +1,18 @@
+// Mirrors CATEGORY_SLUGS in src/lib/categories.ts for the Node scripts,
+// which cannot import TypeScript directly. Keep the two lists in sync.
+export const CATEGORY_SLUGS = [
+  'tech',
+  'design',
+  'life',
+  'culture',
+  'economics',
+  'finance',
+  'history',
+  'psychology',
+  'philosophy',
+  'science',
+];
+
+export function isCategorySlug(value) {
+  return CATEGORY_SLUGS.includes(value);
+}
@@ -0,0 +1,123 @@
+import { isHealthyStatus } from './cache-export.js';
+
+// What one fetch run changed: new posts, retitled or redated posts, posts that
+// dropped out of their feed, and feeds that started or stopped failing. Stored
+// in the `runs` table, exported to data/cache/changes.json for /changes, and
+// turned into the refresh workflow's commit message.
+
+// Runs kept in changes.json.
+export const CHANGES_HISTORY_RUNS = 30;
+// Entries per list in a commit message body.
+const MESSAGE_LIST_LIMIT = 15;
+
+function brief(post) {
+  return { id: post.id, blogId: post.blogId, title: post.title, date: post.date, link: post.link };
+}
+
+// `diff` is diffPostsCache(before, after) over posts.json; `results` are the
+// per-feed fetch results; `previousItems` maps blog id → post ids the feed
+// listed last time (loadFeedItems); `failureStreaks` is getFailureStreaks
+// from before the run; `postsById` holds the stored posts.
+export function computeChangeSet({ diff, results, previousItems, failureStreaks, postsById }) {
+  const added = diff.added.filter((post) => !post.syndicatedOf).map(brief);
+
+  const changed = [];
+  for (const { post, previous, fields } of diff.changed) {
+    if (!fields.includes('title') && !fields.includes('date')) continue;
+    changed.push({
+      ...brief(post),
+      ...(fields.includes('title') ? { previousTitle: previous.title } : {}),
+      ...(fields.includes('date') ? { previousDate: previous.date } : {}),
+    });
+  }
+
+  // A post the feed listed last time but not now, and no older than what the
+  // feed still lists, was taken down rather than pushed off the end.
+  const dropped = [];
+  for (const result of results) {
+    if (result.status.status !== 'ok' || result.posts.length === 0) continue;
+    const listedBefore = previousItems.get(result.status.blogId);
+    if (!listedBefore) continue;
+    const listedNow = new Set(result.posts.map((post) => post.id));
+    const oldestMs = Math.min(...result.posts.map((post) => Date.parse(post.date)));
+    for (const id of listedBefore) {
+      const post = postsById.get(id);
+      if (!post || listedNow.has(id) || Date.parse(post.date) < oldestMs) continue;
+      dropped.push(brief(post));
+    }
+  }
+
+  const failing = [];
+  const recovered = [];
+  for (const { status } of results) {
+    const streak = failureStreaks.get(status.blogId);
+    if (status.status === 'error' && !streak) {
+      failing.push({ blogId: status.blogId, error: status.error || null });
+    } else if (isHealthyStatus(status.status) && streak) {
+      recovered.push({ blogId: status.blogId, failures: streak.failures, failingSince: streak.failingSince });
+    }
+  }
+
+  return { added, changed, dropped, failing, recovered };
+}
+
+// Post ids each successfully fetched feed listed this run, for replaceFeedItems.
+export function getFeedItemEntries(results) {
+  return results
+    .filter((result) => result.status.status === 'ok')
+    .map((result) => ({ blogId: result.status.blogId, postIds: result.posts.map((post) => post.id) }));
+}
+
+export function isEmptyChangeSet(changes) {
+  return Object.values(changes).every((list) => list.length === 0);
+}
+
+export function buildChangesCache(runs, lastUpdated = runs[0]?.runAt || null) {
+  return { lastUpdated, runs };
+}
+
+function plural(n, word, pluralWord = `${word}s`) {
+  return `${n} ${n === 1 ? word : pluralWord}`;
+}
+
+export function summarizeChangeSet(changes) {
+  const parts = [
+    plural(changes.added.length, 'new post'),
+    plural(changes.changed.length, 'changed post'),
+    plural(changes.dropped.length, 'dropped post'),
+  ];
+  if (changes.failing.length) parts.push(`${plural(changes.failing.length, 'feed')} failing`);
+  if (changes.recovered.length) parts.push(`${plural(changes.recovered.length, 'feed')} recovered`);
+  return parts.join(', ');
+}
+
+// Commit message for the refresh workflow: a fixed subject, then the run's
+// changes. `offShelf` lists new posts the classifier filed outside their
+// writer's shelves (findOffShelfPosts), so a wrong move can be pinned.
+export function formatRunCommitMessage(run, { offShelf = [], subject = 'chore: refresh RSS feeds' } = {}) {
+  if (!run) return `${subject}\n`;
+  const { changes } = run;
+  const lines = [subject, '', `${summarizeChangeSet(changes)} (run ${run.id}, ${run.runAt}).`];
+  const section = (title, entries, format) => {
+    if (entries.length === 0) return;
+    lines.push('', `${title}:`);
+    for (const entry of entries.slice(0, MESSAGE_LIST_LIMIT)) lines.push(`- ${format(entry)}`);
+    if (entries.length > MESSAGE_LIST_LIMIT) lines.push(`- … and ${entries.length - MESSAGE_LIST_LIMIT} more`);
+  };
+  section('New', changes.added, (post) => `${post.blogId}: ${post.title}`);
+  section('Changed', changes.changed, (post) => {
+    const edits = [];
+    if (post.previousTitle !== undefined) edits.push(`was "${post.previousTitle}"`);
+    if (post.previousDate !== undefined) edits.push(`date ${post.previousDate.slice(0, 10)} → ${post.date.slice(0, 10)}`);
+    return `${post.blogId}: ${post.title} (${edits.join('; ')})`;
+  });
+  section('Dropped from feeds', changes.dropped, (post) => `${post.blogId}: ${post.title}`);
+  section('Started failing', changes.failing, (feed) => `${feed.blogId}: ${feed.error || 'unknown error'}`);
+  section('Recovered', changes.recovered, (feed) => `${feed.blogId} after ${plural(feed.failures, 'failed run')}`);
+  section(
+    "Shelved outside the writer's categories (pin in data/category-overrides.json if wrong)",
+    offShelf,
+    (post) => `${post.blogId}: ${post.title} → ${post.slug}, not ${post.writerCategories.join('/')} (${post.id})`
+  );
+  return `${lines.join('\n')}\n`;
+}
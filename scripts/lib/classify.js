@@ -0,0 +1,182 @@
+import { contentWords } from './text.js';
+import { CATEGORY_SLUGS } from './categories.js';
+
+// Post-level shelves from a multinomial naive Bayes model. It is trained on
+// every post, labelled with its writer's shelves from blogs.json plus any
+// shelf its feed tags name, so a history essay on an economics blog can
+// still land in History. Entirely local; retrained on each run.
+
+const TITLE_WEIGHT = 2;
+const MAX_BODY_WORDS = 600;
+// Big blogs would otherwise teach the model their house vocabulary.
+const MAX_TRAINING_WEIGHT_PER_BLOG = 60;
+const MIN_FEATURES = 8;
+const SMOOTHING = 0.5;
+
+const CLASSIFY_DEFAULTS = {
+  maxCategories: 2,
+  // Secondary shelves need at least this confidence.
+  minConfidence: 0.3,
+  // Shares of the final confidence: the model, the writer's shelves, and shelves named by tags.
+  blogWeight: 0.3,
+  tagWeight: 0.2,
+};
+
+// Feed tags that name a shelf without using its slug.
+const TAG_ALIASES = {
+  programming: 'tech', software: 'tech', technology: 'tech', coding: 'tech', ai: 'tech', 'machine learning': 'tech',
+  ux: 'design', typography: 'design', architecture: 'design', art: 'design',
+  personal: 'life', productivity: 'life', career: 'life', parenting: 'life', health: 'life',
+  books: 'culture', music: 'culture', film: 'culture', politics: 'culture', media: 'culture', society: 'culture',
+  policy: 'economics', markets: 'economics', trade: 'economics', macroeconomics: 'economics', econ: 'economics',
+  investing: 'finance', money: 'finance', stocks: 'finance', crypto: 'finance',
+  ethics: 'philosophy', religion: 'philosophy',
+  mind: 'psychology', behavior: 'psychology', behaviour: 'psychology',
+  physics: 'science', biology: 'science', chemistry: 'science', climate: 'science', research: 'science',
+};
+
+// Shelves named by an item's tags, by slug ("History") or alias ("programming").
+export function tagCategories(tags = []) {
+  const found = new Set();
+  for (const tag of tags) {
+    const key = String(tag).toLowerCase().trim();
+    const singular = key.endsWith('ies') ? `${key.slice(0, -3)}y` : key.replace(/s$/, '');
+    for (const candidate of [key, singular]) {
+      if (CATEGORY_SLUGS.includes(candidate)) found.add(candidate);
+      else if (TAG_ALIASES[candidate]) found.add(TAG_ALIASES[candidate]);
+    }
+  }
+  return [...found];
+}
+
+// Word counts for a post: title words count double, tags become `tag:` features.
+function features(doc) {
+  const counts = new Map();
+  const add = (term, weight = 1) => counts.set(term, (counts.get(term) || 0) + weight);
+  for (const word of contentWords(doc.title)) add(word, TITLE_WEIGHT);
+  for (const word of contentWords(doc.summary || doc.excerpt)) add(word);
+  for (const word of contentWords(doc.contentText).slice(0, MAX_BODY_WORDS)) add(word);
+  for (const tag of doc.tags || []) add(`tag:${tag}`);
+  return counts;
+}
+
+// Docs are { blogId, title, excerpt?, summary?, contentText?, tags? };
+// `blogCategories` maps blog id → its shelves from blogs.json.
+export function trainClassifier(docs, blogCategories) {
+  const postsPerBlog = new Map();
+  for (const doc of docs) postsPerBlog.set(doc.blogId, (postsPerBlog.get(doc.blogId) || 0) + 1);
+
+  const classCounts = new Map(CATEGORY_SLUGS.map((slug) => [slug, new Map()]));
+  const classTotals = new Map(CATEGORY_SLUGS.map((slug) => [slug, 0]));
+  const docFreq = new Map();
+
+  for (const doc of docs) {
+    const labels = new Set([
+      ...(blogCategories.get(doc.blogId) || []).filter((slug) => classCounts.has(slug)),
+      ...tagCategories(doc.tags),
+    ]);
+    if (labels.size === 0) continue;
+    const weight = Math.min(1, MAX_TRAINING_WEIGHT_PER_BLOG / postsPerBlog.get(doc.blogId)) / labels.size;
+    const counts = features(doc);
+    for (const term of counts.keys()) docFreq.set(term, (docFreq.get(term) || 0) + 1);
+    for (const label of labels) {
+      const termCounts = classCounts.get(label);
+      for (const [term, count] of counts) {
+        termCounts.set(term, (termCounts.get(term) || 0) + count * weight);
+        classTotals.set(label, classTotals.get(label) + count * weight);
+      }
+    }
+  }
+
+  // Words seen in a single post say more about that post than about a shelf.
+  const vocabulary = [...docFreq].filter(([, df]) => df >= 2).map(([term]) => term);
+  // A category nobody has been labelled with cannot be predicted.
+  const classes = CATEGORY_SLUGS.filter((slug) => classTotals.get(slug) > 0);
+  const logLikelihood = new Map();
+  for (const slug of classes) {
+    const termCounts = classCounts.get(slug);
+    const denominator = classTotals.get(slug) + SMOOTHING * vocabulary.length;
+    const row = new Map();
+    for (const term of vocabulary) {
+      row.set(term, Math.log(((termCounts.get(term) || 0) + SMOOTHING) / denominator));
+    }
+    logLikelihood.set(slug, row);
+  }
+  return { classes, vocabulary: new Set(vocabulary), logLikelihood };
+}
+
+// Model confidence per shelf. Naive Bayes is overconfident on long texts, so
+// log-likelihoods are scaled by 1/sqrt(length) before the softmax.
+function modelScores(model, doc) {
+  const counts = [...features(doc)].filter(([term]) => model.vocabulary.has(term));
+  const length = counts.reduce((sum, [, count]) => sum + count, 0);
+  if (length < MIN_FEATURES || model.classes.length === 0) return null;
+  const logits = model.classes.map((slug) => {
+    const row = model.logLikelihood.get(slug);
+    let total = 0;
+    for (const [term, count] of counts) total += row.get(term) * count;
+    return total / Math.sqrt(length);
+  });
+  const max = Math.max(...logits);
+  const exp = logits.map((logit) => Math.exp(logit - max));
+  const sum = exp.reduce((a, b) => a + b, 0);
+  return new Map(model.classes.map((slug, i) => [slug, exp[i] / sum]));
+}
+
+function spread(slugs) {
+  const valid = slugs.filter((slug) => CATEGORY_SLUGS.includes(slug));
+  return new Map(valid.map((slug) => [slug, 1 / valid.length]));
+}
+
+// Up to `maxCategories` shelves for one post, best first, as [{ slug, confidence }].
+// Posts with too little text fall back to the writer's shelves.
+export function classifyPost(model, doc, writerCategories = [], options = {}) {
+  const opts = { ...CLASSIFY_DEFAULTS, ...options };
+  const blogPrior = spread(writerCategories);
+  const tagPrior = spread(tagCategories(doc.tags));
+  const scores = modelScores(model, doc);
+
+  const blogWeight = blogPrior.size > 0 ? opts.blogWeight : 0;
+  const tagWeight = tagPrior.size > 0 ? opts.tagWeight : 0;
+  const modelWeight = scores ? 1 - blogWeight - tagWeight : 0;
+  const total = modelWeight + blogWeight + tagWeight;
+  if (total === 0) return [];
+
+  const ranked = CATEGORY_SLUGS
+    .map((slug) => ({
+      slug,
+      confidence: (
+        modelWeight * (scores?.get(slug) || 0) +
+        blogWeight * (blogPrior.get(slug) || 0) +
+        tagWeight * (tagPrior.get(slug) || 0)
+      ) / total,
+    }))
+    .sort((a, b) => b.confidence - a.confidence);
+
+  // Moving a post off its writer's shelves takes a confident model.
+  const onShelf = ranked.find((entry) => blogPrior.has(entry.slug));
+  if (onShelf && !blogPrior.has(ranked[0].slug) && ranked[0].confidence < opts.minConfidence) {
+    ranked.splice(ranked.indexOf(onShelf), 1);
+    ranked.unshift(onShelf);
+  }
+
+  return ranked
+    .filter((entry, i) => i === 0 || entry.confidence >= opts.minConfidence)
+    .slice(0, opts.maxCategories)
+    .map(({ slug, confidence }) => ({ slug, confidence: Math.round(confidence * 100) / 100 }));
+}
+
+// Posts whose first shelf is none of their writer's shelves, as
+// [{ id, blogId, title, slug, writerCategories }], for a maintainer to confirm
+// or pin in data/category-overrides.json. `categoriesById` maps post id →
+// shelf slugs, best first; `pinned` holds the ids already overridden.
+export function findOffShelfPosts(posts, categoriesById, blogCategories, pinned = new Set()) {
+  const offShelf = [];
+  for (const post of posts) {
+    const slug = categoriesById.get(post.id)?.[0];
+    const writerCategories = blogCategories.get(post.blogId) || [];
+    if (!slug || writerCategories.length === 0 || pinned.has(post.id) || writerCategories.includes(slug)) continue;
+    offShelf.push({ id: post.id, blogId: post.blogId, title: post.title, slug, writerCategories });
+  }
+  return offShelf;
+}
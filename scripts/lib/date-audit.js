@@ -0,0 +1,270 @@
+import { getDatePolicy, getZoneOffsetMinutes, inferDateFromText, shouldInferDateFromLink } from './fetch/dates.js';
+
+// Checks behind scripts/audit-dates.js. Each takes plain posts
+// ({ id, blogId, title, link, date, fetchedAt? }) and returns findings;
+// suggestDatePolicies turns them into per-blog datePolicy overrides.
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+export const DEFAULT_LATE_DAYS = 30;
+export const MIN_CLUSTER_SIZE = 3;
+// Posts with a link date a blog needs before its link dates are judged.
+const MIN_LINK_SAMPLES = 3;
+// IANA zones tried in place of a fixed offset, most likely first. Zones that
+// observe DST keep winter and summer posts on the same wall clock.
+const CANDIDATE_ZONES = [
+  'America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles', 'Europe/London',
+  'Europe/Berlin', 'Europe/Helsinki', 'Australia/Sydney', 'Pacific/Auckland', 'America/Halifax',
+  'America/Anchorage', 'America/Phoenix', 'Pacific/Honolulu', 'America/Sao_Paulo', 'Asia/Kolkata',
+  'Asia/Singapore', 'Asia/Tokyo',
+];
+
+function groupByBlog(posts) {
+  const groups = new Map();
+  for (const post of posts) {
+    if (!groups.has(post.blogId)) groups.set(post.blogId, []);
+    groups.get(post.blogId).push(post);
+  }
+  return groups;
+}
+
+// Date changes recorded in the runs table's change sets, oldest first.
+export function findDateMoves(runs) {
+  const moves = [];
+  for (const run of [...runs].sort((a, b) => a.runAt.localeCompare(b.runAt))) {
+    for (const post of run.changes?.changed || []) {
+      if (post.previousDate === undefined) continue;
+      moves.push({
+        postId: post.id,
+        blogId: post.blogId,
+        title: post.title,
+        from: post.previousDate,
+        to: post.date,
+        runAt: run.runAt,
+      });
+    }
+  }
+  return moves;
+}
+
+// Runs of MIN_CLUSTER_SIZE+ posts from one blog dated identically or exactly a
+// minute apart, the pattern the missingDates fallback leaves behind. Posts
+// sharing a UTC midnight come from date-only feeds and are not counted.
+// `expected` marks clusters on blogs whose policy synthesizes dates.
+export function findSyntheticClusters(posts, blogs, minSize = MIN_CLUSTER_SIZE) {
+  const blogsById = new Map(blogs.map((blog) => [blog.id, blog]));
+  const clusters = [];
+  for (const [blogId, blogPosts] of groupByBlog(posts)) {
+    const expected = getDatePolicy(blogsById.get(blogId)).missingDates === 'fallback';
+    const times = blogPosts.map((post) => Date.parse(post.date)).filter(Number.isFinite).sort((a, b) => b - a);
+    let i = 0;
+    while (i < times.length - 1) {
+      const step = times[i] - times[i + 1];
+      if (step !== 0 && step !== MINUTE_MS) {
+        i++;
+        continue;
+      }
+      let j = i + 1;
+      while (j + 1 < times.length && times[j] - times[j + 1] === step) j++;
+      if (j - i + 1 >= minSize && !(step === 0 && times[i] % DAY_MS === 0)) {
+        clusters.push({
+          blogId,
+          expected,
+          count: j - i + 1,
+          spacing: step === 0 ? 'identical' : 'minute',
+          from: new Date(times[j]).toISOString(),
+          to: new Date(times[i]).toISOString(),
+        });
+      }
+      i = j;
+    }
+  }
+  return clusters;
+}
+
+// Posts first stored more than `days` after their date, leaving out each
+// blog's first import (its first day of fetches), where old posts are expected.
+export function findLateArrivals(posts, days = DEFAULT_LATE_DAYS) {
+  const firstFetch = new Map();
+  for (const post of posts) {
+    if (!post.fetchedAt) continue;
+    const fetchedMs = Date.parse(post.fetchedAt);
+    firstFetch.set(post.blogId, Math.min(fetchedMs, firstFetch.get(post.blogId) ?? fetchedMs));
+  }
+  const late = [];
+  for (const post of posts) {
+    if (!post.fetchedAt) continue;
+    const fetchedMs = Date.parse(post.fetchedAt);
+    if (fetchedMs - firstFetch.get(post.blogId) < DAY_MS) continue;
+    const lagDays = Math.floor((fetchedMs - Date.parse(post.date)) / DAY_MS);
+    if (lagDays > days) {
+      late.push({ postId: post.id, blogId: post.blogId, title: post.title, date: post.date, fetchedAt: post.fetchedAt, lagDays });
+    }
+  }
+  return late.sort((a, b) => b.lagDays - a.lagDays);
+}
+
+function formatOffset(hours) {
+  const sign = hours < 0 ? '-' : '+';
+  return `${sign}${String(Math.abs(hours)).padStart(2, '0')}:00`;
+}
+
+const dayOf = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+// The whole-hour offset that puts the most samples on their link's day, or
+// null when none beats UTC. Closest to UTC wins ties.
+function findBestOffset(samples) {
+  const matchesAt = (hours) => samples.filter((s) => dayOf(s.dateMs + hours * HOUR_MS) === s.linkDay).length;
+  let best = { hours: null, matches: matchesAt(0) };
+  for (let step = 1; step <= 14; step++) {
+    for (const hours of [-step, step]) {
+      if (hours < -12) continue;
+      const matches = matchesAt(hours);
+      if (matches > best.matches) best = { hours, matches };
+    }
+  }
+  return best;
+}
+
+// Candidate zones that put at least as many samples on their link's day as
+// the best fixed offset and use that offset for some of them, best first.
+function findFittingZones(samples, best) {
+  const fits = [];
+  for (const zone of CANDIDATE_ZONES) {
+    const offsets = samples.map((s) => getZoneOffsetMinutes(zone, s.dateMs));
+    if (!offsets.includes(best.hours * 60)) continue;
+    const matches = samples.filter((s, i) => dayOf(s.dateMs + offsets[i] * MINUTE_MS) === s.linkDay).length;
+    if (matches >= best.matches) fits.push({ zone, matches });
+  }
+  const most = Math.max(0, ...fits.map((fit) => fit.matches));
+  return fits.filter((fit) => fit.matches === most);
+}
+
+// Best offsets for posts dated April–October and for the rest, when each
+// half has enough samples; they differ for a writer in a zone with DST.
+function findSeasonalOffsets(samples) {
+  const summer = samples.filter((s) => {
+    const month = new Date(s.dateMs).getUTCMonth();
+    return month >= 3 && month <= 9;
+  });
+  const winter = samples.filter((s) => !summer.includes(s));
+  if (summer.length < MIN_LINK_SAMPLES || winter.length < MIN_LINK_SAMPLES) return null;
+  const format = ({ hours }) => (hours === null ? 'UTC' : formatOffset(hours));
+  return { summer: format(findBestOffset(summer)), winter: format(findBestOffset(winter)) };
+}
+
+// Per blog, how stored dates compare with the dates in their links (for the
+// links the blog's policy would read dates from): same UTC day, one day off
+// (a timezone slip) or further apart. `bestOffset` is the whole-hour offset
+// that puts the most posts on their link's day, when it beats UTC; `zones`
+// are the IANA zones that do as well (`bestZone` is the likeliest), and
+// `seasonalOffsets` the best offsets for summer and winter posts.
+export function compareLinkDates(posts, blogs) {
+  const blogsById = new Map(blogs.map((blog) => [blog.id, blog]));
+  const reports = [];
+  for (const [blogId, blogPosts] of groupByBlog(posts)) {
+    const blog = blogsById.get(blogId);
+    if (!blog) continue;
+    const samples = [];
+    for (const post of blogPosts) {
+      if (!shouldInferDateFromLink(blog, post.link)) continue;
+      const linkDate = inferDateFromText(post.link);
+      const dateMs = Date.parse(post.date);
+      if (!linkDate || !Number.isFinite(dateMs)) continue;
+      samples.push({ post, linkDay: linkDate.slice(0, 10), dateMs });
+    }
+    if (samples.length < MIN_LINK_SAMPLES) continue;
+
+    const best = findBestOffset(samples);
+    const zones = best.hours === null ? [] : findFittingZones(samples, best);
+    const report = {
+      blogId,
+      checked: samples.length,
+      sameDay: 0,
+      dayOff: 0,
+      far: 0,
+      bestOffset: best.hours === null ? null : formatOffset(best.hours),
+      bestMatches: best.matches,
+      bestZone: zones[0]?.zone || null,
+      bestZoneMatches: zones[0]?.matches || 0,
+      zones: zones.map((fit) => fit.zone),
+      seasonalOffsets: findSeasonalOffsets(samples),
+      examples: [],
+    };
+    for (const { post, linkDay, dateMs } of samples) {
+      const days = Math.abs(Date.parse(`${linkDay}T00:00:00Z`) - Date.parse(`${dayOf(dateMs)}T00:00:00Z`)) / DAY_MS;
+      if (days === 0) report.sameDay++;
+      else if (days === 1) report.dayOff++;
+      else report.far++;
+      if (days > 0 && report.examples.length < 3) report.examples.push({ postId: post.id, title: post.title, date: post.date, linkDay });
+    }
+    if (report.sameDay < report.checked) reports.push(report);
+  }
+  return reports;
+}
+
+// Per-blog datePolicy fields worth setting, each with its reason. Fields the
+// blog's effective policy already has are left out.
+export function suggestDatePolicies({ blogs, moves = [], clusters = [], linkDates = [] }) {
+  const suggestions = new Map();
+  const suggest = (blogId, field, value, reason) => {
+    const blog = blogs.find((b) => b.id === blogId);
+    if (!blog || getDatePolicy(blog)[field] === value) return;
+    if (!suggestions.has(blogId)) suggestions.set(blogId, { blogId, datePolicy: {}, reasons: [] });
+    const entry = suggestions.get(blogId);
+    if (entry.datePolicy[field] !== undefined) return;
+    entry.datePolicy[field] = value;
+    entry.reasons.push(reason);
+  };
+
+  const movedPosts = new Map();
+  for (const move of moves) {
+    if (!movedPosts.has(move.blogId)) movedPosts.set(move.blogId, new Set());
+    movedPosts.get(move.blogId).add(move.postId);
+  }
+  for (const [blogId, ids] of movedPosts) {
+    if (ids.size >= 2) suggest(blogId, 'storedDates', 'prefer', `${ids.size} posts changed date between runs`);
+  }
+
+  for (const report of linkDates) {
+    const matched = Math.max(report.bestMatches, report.bestZoneMatches);
+    if (report.far / report.checked >= 0.5) {
+      suggest(report.blogId, 'linkDates', 'never', `${report.far} of ${report.checked} link dates are days away from the post date`);
+    } else if (
+      report.bestOffset
+      && matched >= 0.9 * report.checked
+      && matched - report.sameDay >= Math.max(3, 0.1 * report.checked)
+    ) {
+      const slip = `${report.dayOff} of ${report.checked} posts land a day off their link date`;
+      if (report.bestZone) {
+        const others = report.zones.slice(1);
+        suggest(
+          report.blogId,
+          'timezone',
+          report.bestZone,
+          `${slip}; read in ${report.bestZone}, ${report.bestZoneMatches} match`
+            + (others.length ? ` (${others.join(', ')} ${others.length === 1 ? 'fits' : 'fit'} as well)` : '')
+        );
+      } else {
+        // In a zone with DST, a fixed offset puts half the year's posts an hour off.
+        const seasons = report.seasonalOffsets;
+        const dstUnsafe = seasons && seasons.summer !== seasons.winter
+          ? `. DST-unsafe: April–October posts fit ${seasons.summer} and the rest ${seasons.winter}; set the writer's IANA zone instead`
+          : '';
+        suggest(report.blogId, 'timezone', report.bestOffset, `${slip}; read as ${report.bestOffset}, ${report.bestMatches} match${dstUnsafe}`);
+      }
+    }
+  }
+
+  // One timestamp on several items is usually the feed's build date; keeping
+  // the first date seen stops those posts moving on every rebuild.
+  for (const cluster of clusters) {
+    if (cluster.spacing === 'identical' && !cluster.expected) {
+      suggest(cluster.blogId, 'storedDates', 'prefer', `${cluster.count} posts share the date ${cluster.to}`);
+    }
+  }
+
+  return [...suggestions.values()];
+}
@@ -1,6 +1,8 @@
 import { createRequire } from 'module';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
+import { runMigrations } from './migrate.js';
+import { getDatePolicy } from './fetch/dates.js';
 
 const require = createRequire(import.meta.url);
 const Database = require('better-sqlite3');
@@ -12,52 +14,14 @@ export function getDbPath() {
   return process.env.DB_PATH || join(__dirname, '../../data/smallweb.db');
 }
 
-export function openDb() {
-  const db = new Database(getDbPath());
+// Pending schema migrations (scripts/lib/migrations) are applied on open;
+// pass { migrate: false } to look at a database as it is. `path` defaults to
+// DB_PATH; ':memory:' gives a throwaway database.
+export function openDb({ migrate = true, path = getDbPath() } = {}) {
+  const db = new Database(path);
   db.pragma('journal_mode = WAL');
   db.pragma('foreign_keys = ON');
-
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS blogs (
-      id TEXT PRIMARY KEY,
-      name TEXT NOT NULL,
-      url TEXT NOT NULL,
-      feed TEXT NOT NULL,
-      categories_json TEXT NOT NULL,
-      description TEXT DEFAULT '',
-      proxy INTEGER DEFAULT 0,
-      allow_missing_dates INTEGER DEFAULT 0,
-      max_posts INTEGER,
-      updated_at TEXT NOT NULL
-    );
-
-    CREATE TABLE IF NOT EXISTS posts (
-      id TEXT PRIMARY KEY,
-      blog_id TEXT NOT NULL REFERENCES blogs(id),
-      title TEXT NOT NULL,
-      link TEXT NOT NULL,
-      date TEXT NOT NULL,
-      excerpt TEXT DEFAULT '',
-      fetched_at TEXT NOT NULL,
-      summary TEXT,
-      embedding BLOB
-    );
-
-    CREATE TABLE IF NOT EXISTS fetch_log (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      blog_id TEXT NOT NULL REFERENCES blogs(id),
-      status TEXT NOT NULL,
-      post_count INTEGER DEFAULT 0,
-      latency_ms INTEGER,
-      error TEXT,
-      fetched_at TEXT NOT NULL
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_posts_date ON posts(date DESC);
-    CREATE INDEX IF NOT EXISTS idx_posts_blog ON posts(blog_id);
-    CREATE INDEX IF NOT EXISTS idx_fetch_log_blog ON fetch_log(blog_id);
-  `);
-
+  if (migrate) runMigrations(db);
   return db;
 }
 
@@ -95,7 +59,7 @@ export function upsertBlogs(db, blogs) {
     categories_json: JSON.stringify(blog.categories || []),
     description: blog.description || '',
     proxy: blog.proxy ? 1 : 0,
-    allow_missing_dates: blog.allowMissingDates ? 1 : 0,
+    allow_missing_dates: getDatePolicy(blog).missingDates === 'fallback' ? 1 : 0,
     max_posts: coerceInt(blog.maxPosts ?? blog.max_posts),
     updated_at: now,
   }));
@@ -106,13 +70,59 @@ export function upsertBlogs(db, blogs) {
   tx(rows);
 }
 
+// `updatedAt` is the latest recorded revision; `contentHash` and
+// `feedUpdatedAt` are bookkeeping for revision detection and stay out of the cache.
+// `summary` is '' once summarised without result, which is not exported.
+// `related` lists post ids from the last scripts/embed.js run, best first.
 export function loadPosts(db) {
   const rows = db.prepare(`
-    SELECT id, blog_id as blogId, title, link, date, excerpt
-    FROM posts
-    ORDER BY date DESC
+    SELECT p.id, p.blog_id as blogId, p.title, p.link, p.date, p.excerpt,
+           p.canonical_url as canonicalUrl, p.syndicated_of as syndicatedOf,
+           p.content_hash as contentHash, p.feed_updated_at as feedUpdatedAt,
+           p.word_count as wordCount, p.summary, r.updated_at as updatedAt
+    FROM posts p
+    LEFT JOIN (
+      SELECT post_id, MAX(revised_at) as updated_at
+      FROM post_revisions
+      GROUP BY post_id
+    ) r ON r.post_id = p.id
+    ORDER BY p.date DESC
   `).all();
-  return rows.map((row) => ({ ...row, excerpt: row.excerpt || '' }));
+  const related = loadRelatedIds(db);
+  const categories = loadPostCategories(db);
+  return rows.map(({ canonicalUrl, syndicatedOf, contentHash, feedUpdatedAt, wordCount, summary, updatedAt, ...row }) => ({
+    ...row,
+    excerpt: row.excerpt || '',
+    ...(canonicalUrl ? { canonicalUrl } : {}),
+    ...(syndicatedOf ? { syndicatedOf } : {}),
+    ...(wordCount ? { wordCount } : {}),
+    ...(summary ? { summary } : {}),
+    ...(categories.has(row.id) ? { categories: categories.get(row.id) } : {}),
+    ...(related.has(row.id) ? { related: related.get(row.id) } : {}),
+    ...(updatedAt ? { updatedAt } : {}),
+    ...(contentHash ? { contentHash } : {}),
+    ...(feedUpdatedAt ? { feedUpdatedAt } : {}),
+  }));
+}
+
+function loadRelatedIds(db) {
+  const related = new Map();
+  const rows = db.prepare('SELECT post_id as postId, related_id as relatedId FROM post_related ORDER BY post_id, rank').all();
+  for (const { postId, relatedId } of rows) {
+    if (!related.has(postId)) related.set(postId, []);
+    related.get(postId).push(relatedId);
+  }
+  return related;
+}
+
+function loadPostCategories(db) {
+  const categories = new Map();
+  const rows = db.prepare('SELECT post_id as postId, category, confidence FROM post_categories ORDER BY post_id, rank').all();
+  for (const { postId, category, confidence } of rows) {
+    if (!categories.has(postId)) categories.set(postId, []);
+    categories.get(postId).push({ slug: category, confidence });
+  }
+  return categories;
 }
 
 export function countPosts(db) {
@@ -127,13 +137,30 @@ export function hasFetchLogs(db) {
 export function upsertPosts(db, posts, fetchedAt) {
   if (!posts.length) return;
   const stmt = db.prepare(`
-    INSERT INTO posts (id, blog_id, title, link, date, excerpt, fetched_at)
-    VALUES (@id, @blog_id, @title, @link, @date, @excerpt, @fetched_at)
+    INSERT INTO posts (
+      id, blog_id, title, link, date, excerpt, fetched_at, canonical_url, syndicated_of, content_hash, feed_updated_at,
+      word_count, content_text, summary, tags_json
+    ) VALUES (
+      @id, @blog_id, @title, @link, @date, @excerpt, @fetched_at, @canonical_url, @syndicated_of, @content_hash, @feed_updated_at,
+      @word_count, @content_text, @summary, @tags_json
+    )
     ON CONFLICT(id) DO UPDATE SET
       title = excluded.title,
       link = excluded.link,
       date = excluded.date,
-      excerpt = excluded.excerpt
+      excerpt = excluded.excerpt,
+      canonical_url = COALESCE(excluded.canonical_url, posts.canonical_url),
+      syndicated_of = excluded.syndicated_of,
+      content_hash = COALESCE(excluded.content_hash, posts.content_hash),
+      feed_updated_at = COALESCE(excluded.feed_updated_at, posts.feed_updated_at),
+      word_count = COALESCE(excluded.word_count, posts.word_count),
+      -- New text means the old summary (if any) is stale; summarize.js redoes it.
+      summary = CASE
+        WHEN excluded.content_text IS NOT NULL AND excluded.content_text IS NOT posts.content_text THEN NULL
+        ELSE COALESCE(posts.summary, excluded.summary)
+      END,
+      content_text = COALESCE(excluded.content_text, posts.content_text),
+      tags_json = COALESCE(excluded.tags_json, posts.tags_json)
   `);
 
   const tx = db.transaction((payload) => {
@@ -146,17 +173,164 @@ export function upsertPosts(db, posts, fetchedAt) {
         date: post.date,
         excerpt: post.excerpt || '',
         fetched_at: fetchedAt,
+        canonical_url: post.canonicalUrl || null,
+        syndicated_of: post.syndicatedOf || null,
+        content_hash: post.contentHash || null,
+        feed_updated_at: post.feedUpdatedAt || null,
+        word_count: post.wordCount || null,
+        content_text: post.contentText || null,
+        summary: post.summary || null,
+        tags_json: post.tags?.length ? JSON.stringify(post.tags) : null,
       });
     }
   });
   tx(posts);
 }
 
+// Posts with text that have not been summarised since it last changed.
+export function loadPostsToSummarize(db) {
+  return db.prepare(`
+    SELECT id, title, content_text as contentText
+    FROM posts
+    WHERE summary IS NULL AND content_text IS NOT NULL
+    ORDER BY date DESC
+  `).all();
+}
+
+export function updatePostSummaries(db, summaries) {
+  if (!summaries.length) return;
+  const stmt = db.prepare('UPDATE posts SET summary = @summary WHERE id = @id');
+  const tx = db.transaction((payload) => {
+    for (const { id, summary } of payload) stmt.run({ id, summary: summary || '' });
+  });
+  tx(summaries);
+}
+
+// Everything the embedding step reads, including the stored text.
+export function loadPostsForEmbedding(db) {
+  return db.prepare(`
+    SELECT id, blog_id as blogId, date, title, excerpt, summary,
+           content_text as contentText, syndicated_of as syndicatedOf
+    FROM posts
+    ORDER BY date DESC
+  `).all();
+}
+
+export function updatePostEmbeddings(db, embeddings) {
+  if (!embeddings.length) return;
+  const stmt = db.prepare('UPDATE posts SET embedding = @embedding WHERE id = @id');
+  const tx = db.transaction((payload) => {
+    for (const row of payload) stmt.run(row);
+  });
+  tx(embeddings);
+}
+
+// Replaces every related list; `related` maps post id → [{ id, score }], best first.
+export function replaceRelatedPosts(db, related) {
+  const stmt = db.prepare(`
+    INSERT INTO post_related (post_id, rank, related_id, score)
+    VALUES (@post_id, @rank, @related_id, @score)
+  `);
+  const tx = db.transaction(() => {
+    db.prepare('DELETE FROM post_related').run();
+    for (const [postId, picks] of related) {
+      picks.forEach((pick, rank) => {
+        stmt.run({ post_id: postId, rank, related_id: pick.id, score: pick.score });
+      });
+    }
+  });
+  tx();
+}
+
+// Everything the classifier reads; `tags` are the feed item's <category> tags.
+export function loadPostsForClassification(db) {
+  return db.prepare(`
+    SELECT id, blog_id as blogId, title, excerpt, summary, content_text as contentText, tags_json as tagsJson
+    FROM posts
+    ORDER BY date DESC
+  `).all().map(({ tagsJson, ...row }) => ({ ...row, tags: parseJsonArray(tagsJson) }));
+}
+
+function parseJsonArray(value) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+// Replaces every post's shelves; `categories` maps post id → [{ slug, confidence, source? }], best first.
+export function replacePostCategories(db, categories) {
+  const stmt = db.prepare(`
+    INSERT INTO post_categories (post_id, rank, category, confidence, source)
+    VALUES (@post_id, @rank, @category, @confidence, @source)
+  `);
+  const tx = db.transaction(() => {
+    db.prepare('DELETE FROM post_categories').run();
+    for (const [postId, picks] of categories) {
+      picks.forEach((pick, rank) => {
+        stmt.run({ post_id: postId, rank, category: pick.slug, confidence: pick.confidence, source: pick.source || 'model' });
+      });
+    }
+  });
+  tx();
+}
+
+export function insertPostRevisions(db, revisions, detectedAt = new Date().toISOString()) {
+  if (!revisions.length) return;
+  const stmt = db.prepare(`
+    INSERT INTO post_revisions (
+      post_id, revised_at, detected_at, fields, previous_title, previous_excerpt, previous_content_hash
+    ) VALUES (
+      @post_id, @revised_at, @detected_at, @fields, @previous_title, @previous_excerpt, @previous_content_hash
+    )
+  `);
+
+  const tx = db.transaction((payload) => {
+    for (const revision of payload) {
+      stmt.run({
+        post_id: revision.postId,
+        revised_at: revision.revisedAt || detectedAt,
+        detected_at: detectedAt,
+        fields: revision.fields.join(','),
+        previous_title: revision.previous?.title ?? null,
+        previous_excerpt: revision.previous?.excerpt ?? null,
+        previous_content_hash: revision.previous?.contentHash ?? null,
+      });
+    }
+  });
+  tx(revisions);
+}
+
+// Revisions live only in SQLite. When the database is rebuilt from posts.json,
+// each exported `updatedAt` becomes a 'seed' revision so loadPosts reports it
+// again; posts already holding a revision that recent are left alone.
+export function seedPostRevisions(db, posts, detectedAt = new Date().toISOString()) {
+  const stmt = db.prepare(`
+    INSERT INTO post_revisions (post_id, revised_at, detected_at, fields)
+    SELECT @post_id, @revised_at, @detected_at, 'seed'
+    WHERE EXISTS (SELECT 1 FROM posts WHERE id = @post_id)
+      AND NOT EXISTS (SELECT 1 FROM post_revisions WHERE post_id = @post_id AND revised_at >= @revised_at)
+  `);
+
+  const tx = db.transaction((payload) => {
+    let seeded = 0;
+    for (const post of payload) {
+      if (!post.updatedAt) continue;
+      seeded += stmt.run({ post_id: post.id, revised_at: post.updatedAt, detected_at: detectedAt }).changes;
+    }
+    return seeded;
+  });
+  return tx(posts);
+}
+
 export function insertFetchLogs(db, logs) {
   if (!logs.length) return;
   const stmt = db.prepare(`
-    INSERT INTO fetch_log (blog_id, status, post_count, latency_ms, error, fetched_at)
-    VALUES (@blog_id, @status, @post_count, @latency_ms, @error, @fetched_at)
+    INSERT INTO fetch_log (blog_id, status, post_count, latency_ms, error, fetched_at, next_retry_at, proxy)
+    VALUES (@blog_id, @status, @post_count, @latency_ms, @error, @fetched_at, @next_retry_at, @proxy)
   `);
 
   const tx = db.transaction((payload) => {
@@ -168,8 +342,313 @@ export function insertFetchLogs(db, logs) {
         latency_ms: log.latencyMs || null,
         error: log.error || null,
         fetched_at: log.lastFetched || new Date().toISOString(),
+        next_retry_at: log.nextRetryAt || null,
+        proxy: log.proxy || null,
       });
     }
   });
   tx(logs);
 }
+
+export function loadFeedValidators(db) {
+  const rows = db.prepare(`
+    SELECT blog_id as blogId, etag, last_modified as lastModified
+    FROM feed_validators
+  `).all();
+  return new Map(
+    rows
+      .filter((row) => row.etag || row.lastModified)
+      .map((row) => [row.blogId, { etag: row.etag || null, lastModified: row.lastModified || null }])
+  );
+}
+
+export function upsertFeedValidators(db, entries) {
+  if (!entries.length) return;
+  const now = new Date().toISOString();
+  const stmt = db.prepare(`
+    INSERT INTO feed_validators (blog_id, etag, last_modified, updated_at)
+    VALUES (@blog_id, @etag, @last_modified, @updated_at)
+    ON CONFLICT(blog_id) DO UPDATE SET
+      etag = excluded.etag,
+      last_modified = excluded.last_modified,
+      updated_at = excluded.updated_at
+  `);
+
+  const tx = db.transaction((payload) => {
+    for (const entry of payload) {
+      stmt.run({
+        blog_id: entry.blogId,
+        etag: entry.validators?.etag || null,
+        last_modified: entry.validators?.lastModified || null,
+        updated_at: now,
+      });
+    }
+  });
+  tx(entries);
+}
+
+// Post ids each feed listed on its last successful fetch, by blog id.
+export function loadFeedItems(db) {
+  const items = new Map();
+  for (const row of db.prepare('SELECT blog_id as blogId, post_id as postId FROM feed_items').all()) {
+    if (!items.has(row.blogId)) items.set(row.blogId, new Set());
+    items.get(row.blogId).add(row.postId);
+  }
+  return items;
+}
+
+// `entries` is [{ blogId, postIds }]; each blog's list is replaced whole.
+export function replaceFeedItems(db, entries) {
+  if (!entries.length) return;
+  const clear = db.prepare('DELETE FROM feed_items WHERE blog_id = ?');
+  const insert = db.prepare('INSERT OR IGNORE INTO feed_items (blog_id, post_id) VALUES (?, ?)');
+  const tx = db.transaction((payload) => {
+    for (const { blogId, postIds } of payload) {
+      clear.run(blogId);
+      for (const postId of postIds) insert.run(blogId, postId);
+    }
+  });
+  tx(entries);
+}
+
+// Stores one run's change set (scripts/lib/changes.js) and returns its id.
+export function insertRun(db, run) {
+  const { changes } = run;
+  const result = db.prepare(`
+    INSERT INTO runs (
+      run_at, partial, feeds, posts_added, posts_changed, posts_dropped, feeds_failing, feeds_recovered, changes_json
+    ) VALUES (
+      @run_at, @partial, @feeds, @posts_added, @posts_changed, @posts_dropped, @feeds_failing, @feeds_recovered, @changes_json
+    )
+  `).run({
+    run_at: run.runAt,
+    partial: run.partial ? 1 : 0,
+    feeds: run.feeds,
+    posts_added: changes.added.length,
+    posts_changed: changes.changed.length,
+    posts_dropped: changes.dropped.length,
+    feeds_failing: changes.failing.length,
+    feeds_recovered: changes.recovered.length,
+    changes_json: JSON.stringify(changes),
+  });
+  return Number(result.lastInsertRowid);
+}
+
+// The latest `limit` runs, newest first, in the shape insertRun takes plus `id`.
+export function loadRecentRuns(db, limit) {
+  return db.prepare(`
+    SELECT id, run_at as runAt, partial, feeds, changes_json as changesJson
+    FROM runs
+    ORDER BY id DESC
+    LIMIT ?
+  `).all(limit).map(({ changesJson, partial, ...run }) => ({
+    ...run,
+    partial: Boolean(partial),
+    changes: JSON.parse(changesJson),
+  }));
+}
+
+// Consecutive failed fetches per blog since its last healthy fetch.
+// "deferred" rows are skips, so they neither count as failures nor reset the streak.
+export function getFailureStreaks(db) {
+  const rows = db.prepare(`
+    SELECT f.blog_id as blogId,
+           COUNT(*) as failures,
+           MIN(f.fetched_at) as failingSince,
+           MAX(f.fetched_at) as lastAttemptAt,
+           (
+             SELECT e.error FROM fetch_log e
+             WHERE e.blog_id = f.blog_id AND e.status = 'error'
+             ORDER BY e.id DESC LIMIT 1
+           ) as lastError
+    FROM fetch_log f
+    LEFT JOIN (
+      SELECT blog_id, MAX(id) as last_ok_id
+      FROM fetch_log
+      WHERE status IN ('ok', 'unchanged')
+      GROUP BY blog_id
+    ) healthy
+      ON healthy.blog_id = f.blog_id
+    WHERE f.status = 'error' AND f.id > COALESCE(healthy.last_ok_id, 0)
+    GROUP BY f.blog_id
+  `).all();
+  return new Map(rows.map((row) => [row.blogId, row]));
+}
+
+// fetch_log rows prune.js may roll up: older than the cutoff, outside each
+// blog's last `keepRuns` runs (the status page history), and from before its
+// last healthy fetch, so failure streaks and last-success times stay exact.
+const ROLLUP_CANDIDATES = `
+  SELECT f.id, f.blog_id, substr(f.fetched_at, 1, 10) as day
+  FROM fetch_log f
+  JOIN (
+    SELECT id, ROW_NUMBER() OVER (PARTITION BY blog_id ORDER BY id DESC) as rn
+    FROM fetch_log
+  ) recent ON recent.id = f.id
+  JOIN (
+    SELECT blog_id, MAX(id) as last_ok_id
+    FROM fetch_log
+    WHERE status IN ('ok', 'unchanged')
+    GROUP BY blog_id
+  ) healthy ON healthy.blog_id = f.blog_id
+  WHERE f.fetched_at < @cutoff AND recent.rn > @keepRuns AND f.id < healthy.last_ok_id
+`;
+
+export function planFetchLogRollup(db, { cutoff, keepRuns }) {
+  return db.prepare(`
+    SELECT COUNT(*) as rows, COUNT(DISTINCT blog_id) as blogs,
+           COUNT(DISTINCT blog_id || ' ' || day) as days, MIN(day) as oldestDay
+    FROM (${ROLLUP_CANDIDATES})
+  `).get({ cutoff, keepRuns });
+}
+
+// Folds old fetch_log rows into fetch_log_daily (one row per blog per UTC day)
+// and deletes them. Returns the number of raw rows removed.
+export function rollUpFetchLogs(db, { cutoff, keepRuns }) {
+  const tx = db.transaction(() => {
+    db.exec('CREATE TEMP TABLE IF NOT EXISTS rollup_ids (id INTEGER PRIMARY KEY)');
+    db.exec('DELETE FROM rollup_ids');
+    db.prepare(`INSERT INTO rollup_ids SELECT id FROM (${ROLLUP_CANDIDATES})`).run({ cutoff, keepRuns });
+    db.prepare(`
+      INSERT INTO fetch_log_daily (
+        blog_id, day, runs, ok, unchanged, errors, deferred,
+        max_post_count, latency_sum_ms, latency_count, max_latency_ms
+      )
+      SELECT blog_id, substr(fetched_at, 1, 10), COUNT(*),
+             SUM(status = 'ok'), SUM(status = 'unchanged'), SUM(status = 'error'), SUM(status = 'deferred'),
+             MAX(post_count),
+             SUM(CASE WHEN status IN ('ok', 'unchanged') AND latency_ms > 0 THEN latency_ms ELSE 0 END),
+             SUM(CASE WHEN status IN ('ok', 'unchanged') AND latency_ms > 0 THEN 1 ELSE 0 END),
+             MAX(CASE WHEN status IN ('ok', 'unchanged') THEN latency_ms END)
+      FROM fetch_log
+      WHERE id IN (SELECT id FROM rollup_ids)
+      GROUP BY blog_id, substr(fetched_at, 1, 10)
+      ON CONFLICT(blog_id, day) DO UPDATE SET
+        runs = runs + excluded.runs,
+        ok = ok + excluded.ok,
+        unchanged = unchanged + excluded.unchanged,
+        errors = errors + excluded.errors,
+        deferred = deferred + excluded.deferred,
+        max_post_count = MAX(COALESCE(max_post_count, excluded.max_post_count), COALESCE(excluded.max_post_count, max_post_count)),
+        latency_sum_ms = latency_sum_ms + excluded.latency_sum_ms,
+        latency_count = latency_count + excluded.latency_count,
+        max_latency_ms = MAX(COALESCE(max_latency_ms, excluded.max_latency_ms), COALESCE(excluded.max_latency_ms, max_latency_ms))
+    `).run();
+    const { changes } = db.prepare('DELETE FROM fetch_log WHERE id IN (SELECT id FROM rollup_ids)').run();
+    db.exec('DELETE FROM rollup_ids');
+    return changes;
+  });
+  return tx();
+}
+
+export function loadPostsForRetention(db) {
+  return db.prepare('SELECT id, date, syndicated_of as syndicatedOf FROM posts').all();
+}
+
+// `fetchedAt` is when the post was first stored; upserts never move it.
+export function loadPostsForDateAudit(db) {
+  return db.prepare('SELECT id, blog_id as blogId, title, link, date, fetched_at as fetchedAt FROM posts ORDER BY date DESC').all();
+}
+
+export function loadArchivedPostIds(db) {
+  return new Set(db.prepare('SELECT id FROM archived_posts').all().map((row) => row.id));
+}
+
+// Archived posts shaped like posts.json entries, newest first, for data/cache/archive.json.
+export function loadArchivedPosts(db) {
+  const rows = db.prepare(`
+    SELECT id, blog_id as blogId, title, link, date, excerpt, canonical_url as canonicalUrl,
+           syndicated_of as syndicatedOf, word_count as wordCount, summary,
+           categories_json as categoriesJson, updated_at as updatedAt
+    FROM archived_posts
+    ORDER BY date DESC, id
+  `).all();
+  return rows.map(({ canonicalUrl, syndicatedOf, wordCount, summary, categoriesJson, updatedAt, ...row }) => ({
+    ...row,
+    excerpt: row.excerpt || '',
+    ...(canonicalUrl ? { canonicalUrl } : {}),
+    ...(syndicatedOf ? { syndicatedOf } : {}),
+    ...(wordCount ? { wordCount } : {}),
+    ...(summary ? { summary } : {}),
+    ...(categoriesJson ? { categories: JSON.parse(categoriesJson) } : {}),
+    ...(updatedAt ? { updatedAt } : {}),
+  }));
+}
+
+// Restores archive.json entries missing from archived_posts (a database
+// rebuilt after the Actions cache was lost). Rows already present win.
+export function importArchivedPosts(db, posts, importedAt = new Date().toISOString()) {
+  if (!posts.length) return 0;
+  const stmt = db.prepare(`
+    INSERT OR IGNORE INTO archived_posts (
+      id, blog_id, title, link, date, excerpt, canonical_url, syndicated_of, word_count, summary,
+      categories_json, updated_at, fetched_at, archived_at
+    ) VALUES (
+      @id, @blog_id, @title, @link, @date, @excerpt, @canonical_url, @syndicated_of, @word_count, @summary,
+      @categories_json, @updated_at, @imported_at, @imported_at
+    )
+  `);
+
+  const tx = db.transaction((payload) => {
+    let imported = 0;
+    for (const post of payload) {
+      imported += stmt.run({
+        id: post.id,
+        blog_id: post.blogId,
+        title: post.title,
+        link: post.link,
+        date: post.date,
+        excerpt: post.excerpt || '',
+        canonical_url: post.canonicalUrl || null,
+        syndicated_of: post.syndicatedOf || null,
+        word_count: post.wordCount || null,
+        summary: post.summary || null,
+        categories_json: post.categories?.length ? JSON.stringify(post.categories) : null,
+        updated_at: post.updatedAt || null,
+        imported_at: importedAt,
+      }).changes;
+    }
+    return imported;
+  });
+  return tx(posts);
+}
+
+// Moves posts into archived_posts, keeping what a reader would see (title,
+// excerpt, summary, categories, last revision) and dropping the text,
+// embedding, revision log and related lists. Returns the rows removed per table.
+export function archivePosts(db, ids, archivedAt = new Date().toISOString()) {
+  const tx = db.transaction(() => {
+    db.exec('CREATE TEMP TABLE IF NOT EXISTS archive_ids (id TEXT PRIMARY KEY)');
+    db.exec('DELETE FROM archive_ids');
+    const insertId = db.prepare('INSERT OR IGNORE INTO archive_ids (id) VALUES (?)');
+    for (const id of ids) insertId.run(id);
+
+    db.prepare(`
+      INSERT OR REPLACE INTO archived_posts (
+        id, blog_id, title, link, date, excerpt, canonical_url, syndicated_of, word_count, summary,
+        categories_json, updated_at, fetched_at, archived_at
+      )
+      SELECT p.id, p.blog_id, p.title, p.link, p.date, p.excerpt, p.canonical_url, p.syndicated_of,
+             p.word_count, NULLIF(p.summary, ''),
+             (
+               SELECT NULLIF(json_group_array(json_object('slug', c.category, 'confidence', c.confidence)), '[]')
+               FROM (SELECT category, confidence FROM post_categories WHERE post_id = p.id ORDER BY rank) c
+             ),
+             (SELECT MAX(revised_at) FROM post_revisions WHERE post_id = p.id),
+             p.fetched_at, @archivedAt
+      FROM posts p
+      WHERE p.id IN (SELECT id FROM archive_ids)
+    `).run({ archivedAt });
+
+    const inArchive = 'IN (SELECT id FROM archive_ids)';
+    const removed = {
+      related: db.prepare(`DELETE FROM post_related WHERE post_id ${inArchive} OR related_id ${inArchive}`).run().changes,
+      categories: db.prepare(`DELETE FROM post_categories WHERE post_id ${inArchive}`).run().changes,
+      revisions: db.prepare(`DELETE FROM post_revisions WHERE post_id ${inArchive}`).run().changes,
+      posts: db.prepare(`DELETE FROM posts WHERE id ${inArchive}`).run().changes,
+    };
+    db.exec('DELETE FROM archive_ids');
+    return removed;
+  });
+  return tx();
+}
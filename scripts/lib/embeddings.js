@@ -0,0 +1,190 @@
+import { contentWords } from './text.js';
+
+// Local document vectors: TF-IDF weighted unigrams and bigrams, hashed into
+// 2^20 buckets (the "hashing trick") and L2-normalised. The vectors are sparse,
+// so they are stored as (bucket, weight) pairs and compared through an
+// inverted index rather than dense dot products. No model, no network.
+
+export const EMBEDDING_BUCKETS = 1 << 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TITLE_WEIGHT = 2;
+const MAX_BODY_WORDS = 1500;
+
+const RELATED_DEFAULTS = {
+  limit: 5,
+  minSimilarity: 0.15,
+  // How many raw candidates to keep per post before picking distinct writers.
+  poolSize: 30,
+  // Buckets shared by more than this share of posts are too common to relate anything.
+  maxBucketShare: 0.05,
+  // Older candidates keep at least this share of their score.
+  recencyFloor: 0.6,
+  recencyHalfLifeDays: 365,
+};
+
+// FNV-1a, 32-bit.
+function hash(term) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < term.length; i++) {
+    h ^= term.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function termCounts(doc) {
+  const counts = new Map();
+  const add = (words, weight) => {
+    for (let i = 0; i < words.length; i++) {
+      counts.set(words[i], (counts.get(words[i]) || 0) + weight);
+      if (i > 0) {
+        const bigram = `${words[i - 1]} ${words[i]}`;
+        counts.set(bigram, (counts.get(bigram) || 0) + weight);
+      }
+    }
+  };
+  add(contentWords(doc.title), TITLE_WEIGHT);
+  add(contentWords([doc.summary, doc.excerpt].filter(Boolean).join(' ')), 1);
+  add(contentWords(doc.contentText).slice(0, MAX_BODY_WORDS), 1);
+  return counts;
+}
+
+// One sparse vector { indices, values } per doc, in input order, with
+// indices ascending. Docs are { title, excerpt, summary?, contentText? }.
+export function buildVectors(docs) {
+  const counts = docs.map(termCounts);
+  const df = new Map();
+  for (const terms of counts) {
+    for (const term of terms.keys()) df.set(term, (df.get(term) || 0) + 1);
+  }
+
+  const n = docs.length;
+  return counts.map((terms) => {
+    const weights = new Map();
+    for (const [term, count] of terms) {
+      const docFreq = df.get(term);
+      // Terms unique to one document cannot relate it to anything.
+      if (docFreq < 2) continue;
+      const idf = Math.log((n + 1) / (docFreq + 1)) + 1;
+      const bucket = hash(term) % EMBEDDING_BUCKETS;
+      weights.set(bucket, (weights.get(bucket) || 0) + (1 + Math.log(count)) * idf);
+    }
+    const indices = Uint32Array.from([...weights.keys()].sort((a, b) => a - b));
+    const values = Float32Array.from(indices, (bucket) => weights.get(bucket));
+    let norm = 0;
+    for (const value of values) norm += value * value;
+    norm = Math.sqrt(norm);
+    if (norm > 0) for (let i = 0; i < values.length; i++) values[i] /= norm;
+    return { indices, values };
+  });
+}
+
+export function cosine(a, b) {
+  let dot = 0;
+  let i = 0;
+  let j = 0;
+  while (i < a.indices.length && j < b.indices.length) {
+    if (a.indices[i] === b.indices[j]) dot += a.values[i++] * b.values[j++];
+    else if (a.indices[i] < b.indices[j]) i++;
+    else j++;
+  }
+  return dot;
+}
+
+// Blob layout: uint32 count, then `count` uint32 bucket indices, then `count` float32 weights.
+export function encodeVector({ indices, values }) {
+  const buffer = Buffer.alloc(4 + indices.length * 8);
+  buffer.writeUInt32LE(indices.length, 0);
+  indices.forEach((bucket, i) => buffer.writeUInt32LE(bucket, 4 + i * 4));
+  values.forEach((value, i) => buffer.writeFloatLE(value, 4 + indices.length * 4 + i * 4));
+  return buffer;
+}
+
+export function decodeVector(blob) {
+  if (!blob || blob.length < 4) return null;
+  const buffer = Buffer.from(blob);
+  const count = buffer.readUInt32LE(0);
+  if (buffer.length !== 4 + count * 8) return null;
+  const indices = new Uint32Array(count);
+  const values = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    indices[i] = buffer.readUInt32LE(4 + i * 4);
+    values[i] = buffer.readFloatLE(4 + count * 4 + i * 4);
+  }
+  return { indices, values };
+}
+
+// Keeps the best `size` entries of a list sorted by descending score.
+function pushTop(list, size, entry) {
+  if (list.length === size && entry.score <= list[list.length - 1].score) return;
+  let i = list.length;
+  if (list.length < size) list.push(entry);
+  else i = size - 1;
+  while (i > 0 && list[i - 1].score < entry.score) {
+    list[i] = list[i - 1];
+    i--;
+  }
+  list[i] = entry;
+}
+
+// Top related posts for each post: only other writers, at most one post per
+// writer, with newer posts nudged up. Returns Map postId → [{ id, score }].
+// Posts are { id, blogId, date }; vectors line up with them by index.
+export function findRelated(posts, vectors, options = {}) {
+  const opts = { ...RELATED_DEFAULTS, ...options };
+  const nowMs = opts.now ? Date.parse(opts.now) : Date.now();
+  const recency = posts.map((post) => {
+    const ageDays = Math.max(0, (nowMs - Date.parse(post.date)) / DAY_MS);
+    if (Number.isNaN(ageDays)) return opts.recencyFloor;
+    return opts.recencyFloor + (1 - opts.recencyFloor) * Math.pow(0.5, ageDays / opts.recencyHalfLifeDays);
+  });
+
+  const postings = new Map();
+  vectors.forEach((vector, doc) => {
+    if (!vector) return;
+    vector.indices.forEach((bucket, k) => {
+      if (!postings.has(bucket)) postings.set(bucket, []);
+      postings.get(bucket).push([doc, vector.values[k]]);
+    });
+  });
+  const maxPosting = Math.max(2, Math.floor(posts.length * opts.maxBucketShare));
+
+  const pools = posts.map(() => []);
+  const dots = new Float64Array(posts.length);
+  for (let i = 0; i < posts.length; i++) {
+    const vector = vectors[i];
+    if (!vector) continue;
+    const touched = [];
+    vector.indices.forEach((bucket, k) => {
+      const posting = postings.get(bucket);
+      if (posting.length > maxPosting) return;
+      for (const [doc, weight] of posting) {
+        if (doc === i || posts[doc].blogId === posts[i].blogId) continue;
+        if (dots[doc] === 0) touched.push(doc);
+        dots[doc] += vector.values[k] * weight;
+      }
+    });
+    for (const doc of touched) {
+      const similarity = dots[doc];
+      dots[doc] = 0;
+      if (similarity < opts.minSimilarity) continue;
+      pushTop(pools[i], opts.poolSize, { index: doc, score: similarity * recency[doc] });
+    }
+  }
+
+  const related = new Map();
+  pools.forEach((pool, i) => {
+    const writers = new Set();
+    const picks = [];
+    for (const { index, score } of pool) {
+      const candidate = posts[index];
+      if (writers.has(candidate.blogId)) continue;
+      writers.add(candidate.blogId);
+      picks.push({ id: candidate.id, score: Math.round(score * 1000) / 1000 });
+      if (picks.length >= opts.limit) break;
+    }
+    if (picks.length > 0) related.set(posts[i].id, picks);
+  });
+  return related;
+}
@@ -1,5 +1,8 @@
 const DEFAULTS = {
-  PROXY_URL: 'https://smallweb-rss.pages.dev/api/fetch-rss',
+  // The site worker's own /api/fetch-rss route (worker/fetch-rss.js) and the
+  // older Pages proxy share the traffic; per-proxy results show on /status.
+  PROXY_URLS: 'https://smallweb.blog/api/fetch-rss|2,https://smallweb-rss.pages.dev/api/fetch-rss|1',
+  PROXY_URL: 'https://smallweb.blog/api/fetch-rss',
   FEED_TIMEOUT_MS: 30000,
   MAX_POSTS_PER_BLOG: 25,
   MAX_FUTURE_DAYS: 2,
@@ -10,6 +13,9 @@ const DEFAULTS = {
   SUBSTACK_BATCH_DELAY_MS: 10000,
   EXCERPT_CONCURRENCY: 4,
   MAX_PAGE_EXCERPTS_PER_FEED: 3,
+  BACKOFF_THRESHOLD: 3,
+  BACKOFF_BASE_HOURS: 8,
+  BACKOFF_MAX_HOURS: 168,
 };
 
 function parseEnvInt(value, fallback) {
@@ -45,11 +51,39 @@ function normalizeProxyUrl(rawValue, fallback, warnings) {
   }
 }
 
+// PROXY_URLS is a comma-separated list of proxy endpoints, each optionally
+// followed by `|weight` (default 1). Setting only PROXY_URL makes it the only
+// proxy; setting neither uses DEFAULTS.PROXY_URLS.
+function parseProxyList(rawValue, fallbackUrl, warnings) {
+  const proxies = [];
+  for (const part of String(rawValue || '').split(',')) {
+    const trimmed = part.trim();
+    if (!trimmed) continue;
+    const [rawUrl, rawWeight] = trimmed.split('|');
+    const url = normalizeProxyUrl(rawUrl, '', []);
+    if (!url) {
+      warnings.push(`Ignoring invalid PROXY_URLS entry "${trimmed}"`);
+      continue;
+    }
+    const weight = parseEnvInt(rawWeight, 1);
+    if (rawWeight !== undefined && String(weight) !== rawWeight.trim()) {
+      warnings.push(`PROXY_URLS weight "${rawWeight.trim()}" for ${url} is not a positive integer; using ${weight}`);
+    }
+    if (proxies.some((proxy) => proxy.url === url)) {
+      warnings.push(`PROXY_URLS lists ${url} more than once; raise its weight instead`);
+      continue;
+    }
+    proxies.push({ url, weight });
+  }
+  return proxies.length ? proxies : [{ url: fallbackUrl, weight: 1 }];
+}
+
 export function loadFetchConfig(env = process.env) {
   const warnings = [];
 
   const config = {
     PROXY_URL: normalizeProxyUrl(env.PROXY_URL, DEFAULTS.PROXY_URL, warnings),
+    PROXIES: [],
     FEED_TIMEOUT_MS: parseEnvInt(env.FEED_TIMEOUT_MS, DEFAULTS.FEED_TIMEOUT_MS),
     DEFAULT_MAX_POSTS_PER_BLOG: parseEnvInt(env.MAX_POSTS_PER_BLOG, DEFAULTS.MAX_POSTS_PER_BLOG),
     MAX_FUTURE_DAYS: parseEnvInt(env.MAX_FUTURE_DAYS, DEFAULTS.MAX_FUTURE_DAYS),
@@ -60,13 +94,22 @@ export function loadFetchConfig(env = process.env) {
     SUBSTACK_BATCH_DELAY_MS: parseEnvInt(env.SUBSTACK_BATCH_DELAY_MS, DEFAULTS.SUBSTACK_BATCH_DELAY_MS),
     EXCERPT_CONCURRENCY: parseEnvInt(env.EXCERPT_CONCURRENCY, DEFAULTS.EXCERPT_CONCURRENCY),
     FETCH_PAGE_EXCERPTS: parseEnvBool(env.FETCH_PAGE_EXCERPTS, env.GITHUB_ACTIONS !== 'true'),
+    CONDITIONAL_REQUESTS: parseEnvBool(env.CONDITIONAL_REQUESTS, true),
     MAX_PAGE_EXCERPTS_PER_FEED: parseEnvNonNegativeInt(
       env.MAX_PAGE_EXCERPTS_PER_FEED,
       DEFAULTS.MAX_PAGE_EXCERPTS_PER_FEED
     ),
+    BACKOFF_THRESHOLD: parseEnvNonNegativeInt(env.BACKOFF_THRESHOLD, DEFAULTS.BACKOFF_THRESHOLD),
+    BACKOFF_BASE_HOURS: parseEnvInt(env.BACKOFF_BASE_HOURS, DEFAULTS.BACKOFF_BASE_HOURS),
+    BACKOFF_MAX_HOURS: parseEnvInt(env.BACKOFF_MAX_HOURS, DEFAULTS.BACKOFF_MAX_HOURS),
     warnings,
   };
 
+  const proxyList = env.PROXY_URLS || ((env.PROXY_URL || '').trim() ? '' : DEFAULTS.PROXY_URLS);
+  config.PROXIES = parseProxyList(proxyList, config.PROXY_URL, warnings);
+  // Single-proxy callers (add-blog) use the first listed proxy.
+  config.PROXY_URL = config.PROXIES[0].url;
+
   if (config.SUBSTACK_BATCH_SIZE > config.FEED_CONCURRENCY * 4) {
     warnings.push(
       `SUBSTACK_BATCH_SIZE=${config.SUBSTACK_BATCH_SIZE} is high relative to FEED_CONCURRENCY=${config.FEED_CONCURRENCY}; expect more rate limits`
@@ -75,6 +118,11 @@ export function loadFetchConfig(env = process.env) {
   if (!config.FETCH_PAGE_EXCERPTS && config.MAX_PAGE_EXCERPTS_PER_FEED > 0) {
     warnings.push('MAX_PAGE_EXCERPTS_PER_FEED is set but FETCH_PAGE_EXCERPTS=false, page excerpt fetching is disabled');
   }
+  if (config.BACKOFF_MAX_HOURS < config.BACKOFF_BASE_HOURS) {
+    warnings.push(
+      `BACKOFF_MAX_HOURS=${config.BACKOFF_MAX_HOURS} is below BACKOFF_BASE_HOURS=${config.BACKOFF_BASE_HOURS}; every backoff is capped at the max`
+    );
+  }
   if (config.FEED_TIMEOUT_MS < 5000) {
     warnings.push(`FEED_TIMEOUT_MS=${config.FEED_TIMEOUT_MS} is low and may cause false timeouts`);
   }
@@ -87,11 +135,14 @@ export function formatFetchConfig(config) {
     `FEED_CONCURRENCY=${config.FEED_CONCURRENCY}`,
     `EXCERPT_CONCURRENCY=${config.EXCERPT_CONCURRENCY}`,
     `FETCH_PAGE_EXCERPTS=${config.FETCH_PAGE_EXCERPTS}`,
+    `CONDITIONAL_REQUESTS=${config.CONDITIONAL_REQUESTS}`,
     `MAX_PAGE_EXCERPTS_PER_FEED=${config.MAX_PAGE_EXCERPTS_PER_FEED}`,
     `SUBSTACK_BATCH_SIZE=${config.SUBSTACK_BATCH_SIZE}`,
     `SUBSTACK_BATCH_DELAY_MS=${config.SUBSTACK_BATCH_DELAY_MS}`,
     `FEED_TIMEOUT_MS=${config.FEED_TIMEOUT_MS}`,
+    `PROXIES=${config.PROXIES.map((proxy) => (proxy.weight === 1 ? proxy.url : `${proxy.url}|${proxy.weight}`)).join(',')}`,
     `MAX_POSTS_PER_BLOG=${config.DEFAULT_MAX_POSTS_PER_BLOG}`,
+    `BACKOFF=${config.BACKOFF_THRESHOLD ? `${config.BACKOFF_THRESHOLD} failures, ${config.BACKOFF_BASE_HOURS}h-${config.BACKOFF_MAX_HOURS}h` : 'off'}`,
   ].join(', ');
 }
 
@@ -0,0 +1,28 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+// Scheduled runs drift by a few minutes; a retry that falls due within this
+// window of the run start is treated as due rather than pushed a whole run later.
+export const RETRY_SLACK_MS = HOUR_MS;
+
+// Exponential backoff once a feed has failed `threshold` runs in a row:
+// threshold → base, threshold+1 → 2×base, … capped at max. 0 threshold disables it.
+export function computeBackoffMs(failures, { threshold = 3, baseHours = 8, maxHours = 168 } = {}) {
+  if (!threshold || failures < threshold) return 0;
+  const exponent = Math.min(failures - threshold, 16);
+  return Math.min(baseHours * HOUR_MS * 2 ** exponent, maxHours * HOUR_MS);
+}
+
+export function getNextRetryAt(lastAttemptAt, failures, options) {
+  const delayMs = computeBackoffMs(failures, options);
+  if (!delayMs) return null;
+  const lastMs = Date.parse(lastAttemptAt || '');
+  if (Number.isNaN(lastMs)) return null;
+  return new Date(lastMs + delayMs).toISOString();
+}
+
+export function isRetryDue(nextRetryAt, nowMs = Date.now()) {
+  if (!nextRetryAt) return true;
+  const retryMs = Date.parse(nextRetryAt);
+  if (Number.isNaN(retryMs)) return true;
+  return retryMs - RETRY_SLACK_MS <= nowMs;
+}
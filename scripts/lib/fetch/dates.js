@@ -33,6 +33,106 @@ export function inferDateFromText(text) {
   return null;
 }
 
+// Per-blog date handling. `datePolicy` in blogs.json wins over the older
+// boolean flags, which are still read:
+//   linkDates     "auto" (links on the blog's own host) | "always" | "never"
+//   storedDates   "fallback" (when the feed has no usable date) | "prefer" (keep
+//                 the first date seen) | "never"
+//   missingDates  "skip" | "fallback" (feed build date or fetch time, minus a
+//                 minute per item)
+//   timezone      IANA zone, "UTC" or "+HH:MM", for feed and link dates that
+//                 carry no offset of their own
+//   maxFutureDays overrides MAX_FUTURE_DAYS
+export const DATE_POLICY_VALUES = {
+  linkDates: ['auto', 'always', 'never'],
+  storedDates: ['fallback', 'prefer', 'never'],
+  missingDates: ['skip', 'fallback'],
+};
+
+export function getDatePolicy(blog) {
+  const policy = blog?.datePolicy || {};
+  return {
+    linkDates: policy.linkDates
+      || (blog?.ignoreLinkDateInference ? 'never' : blog?.allowLinkDateInference ? 'always' : 'auto'),
+    storedDates: policy.storedDates || (blog?.ignoreLinkDateInference ? 'never' : 'fallback'),
+    missingDates: policy.missingDates || (blog?.allowMissingDates ? 'fallback' : 'skip'),
+    timezone: policy.timezone || null,
+    maxFutureDays: Number.isFinite(policy.maxFutureDays) ? policy.maxFutureDays : null,
+  };
+}
+
+// Problems with a blog's `datePolicy`, for verify-pipeline and audit-dates.
+export function checkDatePolicy(blog) {
+  const policy = blog?.datePolicy;
+  if (policy === undefined) return [];
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) return ['datePolicy must be an object'];
+  const problems = [];
+  const known = [...Object.keys(DATE_POLICY_VALUES), 'timezone', 'maxFutureDays'];
+  for (const key of Object.keys(policy)) {
+    if (!known.includes(key)) problems.push(`unknown datePolicy field "${key}"`);
+  }
+  for (const [key, values] of Object.entries(DATE_POLICY_VALUES)) {
+    if (policy[key] !== undefined && !values.includes(policy[key])) {
+      problems.push(`datePolicy.${key} must be one of ${values.join(', ')}`);
+    }
+  }
+  if (policy.timezone !== undefined && !isValidTimezone(policy.timezone)) {
+    problems.push(`datePolicy.timezone "${policy.timezone}" is not an IANA zone, UTC or +HH:MM`);
+  }
+  if (policy.maxFutureDays !== undefined && !(Number.isFinite(policy.maxFutureDays) && policy.maxFutureDays >= 0)) {
+    problems.push('datePolicy.maxFutureDays must be a number of days');
+  }
+  return problems;
+}
+
+const FIXED_OFFSET = /^([+-])(\d{2}):(\d{2})$/;
+// Trailing offset or zone name: Z, +05:30, -0800, GMT, EST…
+const EXPLICIT_ZONE = /(?:Z|[+-]\d{2}:?\d{2}|\b(?:GMT|UTC|UT|[ECMP][SD]T))$/i;
+
+function parseOffset(sign, hours, minutes) {
+  return (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+}
+
+// Minutes ahead of UTC in `timezone` at `utcMs`.
+export function getZoneOffsetMinutes(timezone, utcMs) {
+  if (timezone === 'UTC') return 0;
+  const fixed = timezone.match(FIXED_OFFSET);
+  if (fixed) return parseOffset(fixed[1], fixed[2], fixed[3]);
+  const zoneName = new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'longOffset' })
+    .formatToParts(new Date(utcMs))
+    .find((part) => part.type === 'timeZoneName')?.value || '';
+  const match = zoneName.match(/GMT([+-])(\d{2}):(\d{2})/);
+  return match ? parseOffset(match[1], match[2], match[3]) : 0;
+}
+
+export function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  const fixed = timezone.match(FIXED_OFFSET);
+  if (fixed) return Number(fixed[2]) <= 14 && Number(fixed[3]) < 60;
+  try {
+    getZoneOffsetMinutes(timezone, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Like normalizeDate, but a date without an offset is read as wall-clock time
+// in `timezone` instead of the runner's zone.
+export function normalizeDateInZone(value, timezone) {
+  if (!timezone || !value || typeof value === 'number') return normalizeDate(value);
+  const text = (typeof value === 'string' ? value : coerceToString(value)).trim();
+  if (EXPLICIT_ZONE.test(text)) return normalizeDate(text);
+  const wallClock = /^\d{4}-\d{2}-\d{2}$/.test(text)
+    ? `${text}T00:00:00Z`
+    : /^\d{4}-\d{2}-\d{2}[T ]/.test(text) ? `${text.replace(' ', 'T')}Z` : `${text} GMT`;
+  const wallMs = Date.parse(wallClock);
+  if (Number.isNaN(wallMs)) return normalizeDate(text);
+  // Offsets change with DST, so look the offset up again at the shifted instant.
+  const offset = getZoneOffsetMinutes(timezone, wallMs - getZoneOffsetMinutes(timezone, wallMs) * 60000);
+  return new Date(wallMs - offset * 60000).toISOString();
+}
+
 function normalizeHost(rawUrl) {
   try {
     const url = new URL(rawUrl);
@@ -53,8 +153,9 @@ function hostsMatch(a, b) {
 }
 
 export function shouldInferDateFromLink(blog, link, guid) {
-  if (blog?.ignoreLinkDateInference) return false;
-  if (blog?.allowLinkDateInference) return true;
+  const { linkDates } = getDatePolicy(blog);
+  if (linkDates === 'never') return false;
+  if (linkDates === 'always') return true;
   const candidate = link || guid || '';
   const blogHost = normalizeHost(blog?.url || blog?.feed || '');
   const linkHost = normalizeHost(candidate);
@@ -86,43 +187,59 @@ function shouldPreferInferredDate(primaryIso, inferredIso, nowMs, opts) {
   return diffDays >= opts.inferredDateMaxDiffDays && primaryAgeDays <= opts.recentPrimaryDays;
 }
 
-function resolvePostDateWithConfig(item, feed, blog, index, existingDate, nowMs, opts) {
-  const primary =
-    item.isoDate ||
-    item.pubDate ||
-    item.published ||
-    item.updated ||
-    item['dc:date'] ||
-    item.date;
-  const normalizedPrimary = normalizeDate(primary);
+// Returns { date, source, reason }: which candidate won (primary, inferred,
+// existing or fallback; null when the item is skipped) and why, for
+// fetch-feeds --verbose-items. The blog's datePolicy shapes each step.
+function explainPostDateWithConfig(item, feed, blog, index, existingDate, nowMs, config) {
+  const policy = getDatePolicy(blog);
+  const opts = policy.maxFutureDays === null ? config : { ...config, maxFutureDays: policy.maxFutureDays };
+  // rss-parser's isoDate was read in the runner's zone; a timezone policy reads the raw fields.
+  const primary = policy.timezone
+    ? item.pubDate || item['dc:date'] || item.published || item.updated || item.date || item.isoDate
+    : item.isoDate || item.pubDate || item.published || item.updated || item['dc:date'] || item.date;
+  const normalizedPrimary = normalizeDateInZone(primary, policy.timezone);
   const inferred = shouldInferDateFromLink(blog, item.link, item.guid)
     ? (inferDateFromText(item.link) || inferDateFromText(item.guid))
     : null;
-  const normalizedInferred = normalizeDate(inferred);
-  const existing = blog?.ignoreLinkDateInference ? null : normalizeDate(existingDate);
+  const normalizedInferred = inferred ? normalizeDateInZone(inferred.slice(0, 10), policy.timezone) : null;
+  const existing = policy.storedDates === 'never' ? null : normalizeDate(existingDate);
 
   const primaryValid = normalizedPrimary && !isFutureDate(normalizedPrimary, nowMs, opts.maxFutureDays);
   const inferredValid = normalizedInferred && !isFutureDate(normalizedInferred, nowMs, opts.maxFutureDays);
   const existingValid = existing && !isFutureDate(existing, nowMs, opts.maxFutureDays);
 
+  const primaryProblem = !normalizedPrimary
+    ? 'no feed date'
+    : `feed date ${normalizedPrimary} is more than ${opts.maxFutureDays} days ahead`;
+
+  if (existingValid && policy.storedDates === 'prefer') {
+    return { date: existing, source: 'existing', reason: 'datePolicy.storedDates is "prefer"; kept the first date seen' };
+  }
+
   if (primaryValid && inferredValid && shouldPreferInferredDate(normalizedPrimary, normalizedInferred, nowMs, opts)) {
-    return normalizedInferred;
+    return {
+      date: normalizedInferred,
+      source: 'inferred',
+      reason: `feed date ${normalizedPrimary} is recent but the link date is ${opts.inferredDateMaxDiffDays}+ days older`,
+    };
   }
 
-  if (primaryValid) return normalizedPrimary;
-  if (inferredValid) return normalizedInferred;
-  if (existingValid) return existing;
+  if (primaryValid) return { date: normalizedPrimary, source: 'primary', reason: 'feed date' };
+  if (inferredValid) return { date: normalizedInferred, source: 'inferred', reason: `${primaryProblem}; date taken from the link` };
+  if (existingValid) return { date: existing, source: 'existing', reason: `${primaryProblem}, no link date; kept the stored date` };
 
-  if (blog.allowMissingDates) {
+  if (policy.missingDates === 'fallback') {
     const fallback = normalizeDate(feed.lastBuildDate || feed.pubDate || feed.updated);
-    const fallbackBase =
-      fallback && !isFutureDate(fallback, nowMs, opts.maxFutureDays)
-        ? fallback
-        : new Date(nowMs).toISOString();
-    return offsetDate(fallbackBase, index);
+    const useFeedDate = fallback && !isFutureDate(fallback, nowMs, opts.maxFutureDays);
+    const fallbackBase = useFeedDate ? fallback : new Date(nowMs).toISOString();
+    return {
+      date: offsetDate(fallbackBase, index),
+      source: 'fallback',
+      reason: `${primaryProblem}; missingDates fallback, ${useFeedDate ? 'feed build date' : 'fetch time'} minus ${index} minutes`,
+    };
   }
 
-  return null;
+  return { date: null, source: null, reason: `${primaryProblem}, no link or stored date; item skipped` };
 }
 
 export function createDateResolver(options = {}) {
@@ -138,7 +255,10 @@ export function createDateResolver(options = {}) {
     inferDateFromText,
     shouldInferDateFromLink,
     resolvePostDate(item, feed, blog, index, existingDate, nowMs) {
-      return resolvePostDateWithConfig(item, feed, blog, index, existingDate, nowMs, opts);
+      return explainPostDateWithConfig(item, feed, blog, index, existingDate, nowMs, opts).date;
+    },
+    explainPostDate(item, feed, blog, index, existingDate, nowMs) {
+      return explainPostDateWithConfig(item, feed, blog, index, existingDate, nowMs, opts);
     },
   };
 }
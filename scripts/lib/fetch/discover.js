@@ -0,0 +1,64 @@
+import { decodeHtmlEntities } from './html.js';
+
+const FEED_TYPES = [
+  'application/rss+xml',
+  'application/atom+xml',
+  'application/feed+xml',
+  'application/xml',
+  'text/xml',
+];
+
+// Paths tried, in order, when a homepage advertises no feed.
+export const COMMON_FEED_PATHS = [
+  '/feed',
+  '/rss',
+  '/feed.xml',
+  '/rss.xml',
+  '/atom.xml',
+  '/index.xml',
+  '/feed/',
+  '/rss/',
+  '/blog/feed',
+  '/blog/rss.xml',
+  '/posts/index.xml',
+];
+
+function readAttr(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  if (!match) return '';
+  return decodeHtmlEntities(match[1] ?? match[2] ?? match[3] ?? '').trim();
+}
+
+// Returns feed URLs advertised via <link rel="alternate"> in document order.
+export function findFeedLinks(html, baseUrl) {
+  const links = [];
+  const tags = String(html || '').match(/<link\b[^>]*>/gi) || [];
+  for (const tag of tags) {
+    const rel = readAttr(tag, 'rel').toLowerCase().split(/\s+/);
+    if (!rel.includes('alternate')) continue;
+    const type = readAttr(tag, 'type').toLowerCase();
+    if (!FEED_TYPES.includes(type)) continue;
+    const href = readAttr(tag, 'href');
+    if (!href) continue;
+    try {
+      const url = new URL(href, baseUrl).toString();
+      if (!links.includes(url)) links.push(url);
+    } catch {
+      // Ignore malformed hrefs.
+    }
+  }
+  return links;
+}
+
+export function getFeedCandidates(html, baseUrl) {
+  const candidates = findFeedLinks(html, baseUrl);
+  for (const path of COMMON_FEED_PATHS) {
+    const url = new URL(path, baseUrl).toString();
+    if (!candidates.includes(url)) candidates.push(url);
+  }
+  return candidates;
+}
+
+export function looksLikeSubstack(html) {
+  return /substackcdn\.com|substack\.com\/(?:api|embed)/i.test(String(html || ''));
+}
@@ -1,34 +1,29 @@
-import { stripHtml } from './html.js';
+import { extractArticle } from './extract.js';
 
-export async function fetchPageExcerpt(url, maxLength = 300) {
+const EMPTY_DETAILS = { excerpt: '', text: '', canonicalUrl: '', wordCount: 0 };
+
+// One page fetch yields the excerpt, the article's text and word count, and
+// the page's rel=canonical URL.
+export async function fetchPageDetails(url, maxLength = 300, { fetchImpl = fetch } = {}) {
   let timeout;
   try {
     const controller = new AbortController();
     timeout = setTimeout(() => controller.abort(), 10000);
 
-    const response = await fetch(url, {
+    const response = await fetchImpl(url, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
       },
       signal: controller.signal,
     });
-    if (!response.ok) return '';
+    if (!response.ok) return { ...EMPTY_DETAILS };
 
     const html = await response.text();
-    const paragraphs = html.match(/<p[^>]*>([^<]+(?:<[^/p][^>]*>[^<]*<\/[^p][^>]*>)*[^<]*)<\/p>/gi) || [];
-
-    for (const p of paragraphs) {
-      const text = stripHtml(p);
-      if (text.length > 80 && !text.match(/^\d{4}|^by\s|^posted|^published|^share|^comment/i)) {
-        return text.length > maxLength ? `${text.substring(0, maxLength).trim()}...` : text;
-      }
-    }
-
-    return '';
+    const { excerpt, text, canonicalUrl, wordCount } = extractArticle(html, { url: response.url || url, maxLength });
+    return { excerpt, text, canonicalUrl, wordCount };
   } catch {
-    return '';
+    return { ...EMPTY_DETAILS };
   } finally {
     if (timeout) clearTimeout(timeout);
   }
 }
-
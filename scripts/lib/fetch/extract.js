@@ -0,0 +1,273 @@
+import { parse } from 'parse5';
+import { countWords } from './word-count.js';
+
+const MIN_LEAD_LENGTH = 80;
+const MIN_PARAGRAPH_LENGTH = 25;
+const MIN_DESCRIPTION_LENGTH = 60;
+
+// Never part of the article body.
+const SKIP_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'svg', 'iframe', 'form', 'button',
+  'nav', 'header', 'footer', 'aside', 'figcaption', 'select', 'textarea',
+]);
+
+const UNLIKELY = /banner|breadcrumb|byline|comment|consent|cookie|footer|\bfoot\b|header|menu|modal|nav|newsletter|paywall|popup|promo|related|share|sidebar|social|sponsor|subscri(be|ption)|tags?-|toolbar|author-?(bio|box|info)|post-?meta|\bad-|advert/i;
+const LIKELY = /article|body|content|entry|main|post|story|text|prose|markup/i;
+const NEGATIVE = /comment|footer|masthead|meta|outbrain|promo|related|share|shoutbox|sidebar|skyscraper|sponsor|subscri(be|ption)|widget/i;
+const POSITIVE = /article|body|content|entry|h-entry|e-content|main|page|post|story|text|gh-content|available-content/i;
+
+// Lead-paragraph candidates that are page furniture, not prose.
+const BOILERPLATE = /^(\d{4}\b|by\s|posted|published|updated|share|comment|subscribe|sign up|sign in|photo|image|credit|listen|read more|continue reading|thanks for reading|this site uses|we use cookies)|cookies?\b.*\b(accept|consent|policy)|all rights reserved/i;
+
+function attr(node, name) {
+  return node.attrs?.find((a) => a.name === name)?.value || '';
+}
+
+function collapse(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function textOf(node) {
+  if (node.nodeName === '#text') return node.value;
+  if (!node.childNodes || SKIP_TAGS.has(node.tagName)) return '';
+  let text = '';
+  for (const child of node.childNodes) text += textOf(child);
+  return text;
+}
+
+function walk(node, visit) {
+  if (visit(node) === false) return;
+  for (const child of node.childNodes || []) walk(child, visit);
+}
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.substring(0, maxLength).trim()}...` : text;
+}
+
+function isBoilerplate(text) {
+  return BOILERPLATE.test(text);
+}
+
+function classAndId(node) {
+  return `${attr(node, 'class')} ${attr(node, 'id')}`;
+}
+
+function isUnlikely(node) {
+  if (node.tagName === 'body' || node.tagName === 'article' || node.tagName === 'main') return false;
+  const hint = classAndId(node);
+  return UNLIKELY.test(hint) && !LIKELY.test(hint);
+}
+
+function classWeight(node) {
+  const hint = classAndId(node);
+  let weight = 0;
+  if (NEGATIVE.test(hint)) weight -= 25;
+  if (POSITIVE.test(hint)) weight += 25;
+  return weight;
+}
+
+function tagWeight(tagName) {
+  switch (tagName) {
+    case 'article': return 10;
+    case 'main':
+    case 'div':
+    case 'section': return 5;
+    case 'pre':
+    case 'td':
+    case 'blockquote': return 3;
+    case 'ol':
+    case 'ul':
+    case 'dl':
+    case 'li':
+    case 'form': return -3;
+    default: return 0;
+  }
+}
+
+function linkDensity(node) {
+  const length = collapse(textOf(node)).length;
+  if (length === 0) return 0;
+  let linkLength = 0;
+  walk(node, (child) => {
+    if (child.tagName !== 'a') return true;
+    linkLength += collapse(textOf(child)).length;
+    return false;
+  });
+  return linkLength / length;
+}
+
+function readMeta(doc) {
+  const meta = {};
+  walk(doc, (node) => {
+    if (node.tagName === 'meta') {
+      const key = (attr(node, 'property') || attr(node, 'name')).toLowerCase();
+      const content = collapse(attr(node, 'content'));
+      if (key && content && !(key in meta)) meta[key] = content;
+    } else if (node.tagName === 'link' && !meta.canonical) {
+      const rel = attr(node, 'rel').toLowerCase().split(/\s+/);
+      if (rel.includes('canonical') && attr(node, 'href')) meta.canonical = attr(node, 'href');
+    }
+    return true;
+  });
+  return meta;
+}
+
+// Article-ish objects from JSON-LD, flattening arrays and @graph.
+function readJsonLd(doc) {
+  const found = [];
+  const collect = (value) => {
+    if (Array.isArray(value)) return value.forEach(collect);
+    if (!value || typeof value !== 'object') return;
+    if (value['@graph']) collect(value['@graph']);
+    const types = [].concat(value['@type'] || []).map(String);
+    if (types.some((t) => /Article|BlogPosting|Posting/i.test(t))) found.push(value);
+  };
+  walk(doc, (node) => {
+    if (node.tagName !== 'script' || !/ld\+json/i.test(attr(node, 'type'))) return true;
+    const raw = (node.childNodes || []).map((c) => c.value || '').join('');
+    try {
+      collect(JSON.parse(raw));
+    } catch {
+      // Malformed JSON-LD is common; ignore it.
+    }
+    return false;
+  });
+  return found;
+}
+
+// A description is "good" when it reads like prose from the post rather than
+// a site tagline or a cut-off SEO stub.
+function isGoodDescription(text, siteTitle) {
+  if (!text || text.length < MIN_DESCRIPTION_LENGTH) return false;
+  if (isBoilerplate(text)) return false;
+  if (siteTitle && collapse(text).toLowerCase() === siteTitle.toLowerCase()) return false;
+  return countWords(text) >= 10;
+}
+
+// Readability-style scoring: each paragraph credits its parent in full and its
+// grandparent by half; the best-scoring container is taken as the article.
+function findArticleNode(doc) {
+  const scores = new Map();
+  const addScore = (node, amount) => {
+    if (!node?.tagName) return;
+    if (!scores.has(node)) scores.set(node, tagWeight(node.tagName) + classWeight(node));
+    scores.set(node, scores.get(node) + amount);
+  };
+
+  walk(doc, (node) => {
+    if (!node.tagName) return true;
+    if (SKIP_TAGS.has(node.tagName) || isUnlikely(node)) return false;
+    if (node.tagName === 'p' || node.tagName === 'pre') {
+      const text = collapse(textOf(node));
+      if (text.length < MIN_PARAGRAPH_LENGTH) return false;
+      const commas = (text.match(/[,，]/g) || []).length;
+      const score = 1 + commas + Math.min(3, Math.floor(text.length / 100));
+      addScore(node.parentNode, score);
+      addScore(node.parentNode?.parentNode, score / 2);
+      return false;
+    }
+    return true;
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [node, score] of scores) {
+    const adjusted = score * (1 - linkDensity(node));
+    if (adjusted > bestScore) {
+      best = node;
+      bestScore = adjusted;
+    }
+  }
+  return best;
+}
+
+// Blocks of the article in reading order, skipping furniture nested inside
+// it. The <h1> is the title, not body text.
+function articleBlocks(node) {
+  const blocks = [];
+  walk(node, (child) => {
+    if (!child.tagName) return true;
+    if (SKIP_TAGS.has(child.tagName) || isUnlikely(child)) return false;
+    if (/^(p|pre|blockquote|li|h[2-6])$/.test(child.tagName)) {
+      const text = collapse(textOf(child));
+      if (text) blocks.push({ tag: child.tagName, text });
+      return false;
+    }
+    return true;
+  });
+  return blocks;
+}
+
+function leadFromBlocks(blocks) {
+  for (const block of blocks) {
+    if (block.tag !== 'p') continue;
+    if (block.text.length > MIN_LEAD_LENGTH && !isBoilerplate(block.text)) return block.text;
+  }
+  return '';
+}
+
+function leadFromText(text) {
+  for (const paragraph of String(text).split(/\n\s*\n|\r\n\s*\r\n/)) {
+    const clean = collapse(paragraph);
+    if (clean.length > MIN_LEAD_LENGTH && !isBoilerplate(clean)) return clean;
+  }
+  return '';
+}
+
+function resolveUrl(href, baseUrl) {
+  if (!href) return '';
+  try {
+    return new URL(href, baseUrl || undefined).toString();
+  } catch {
+    return '';
+  }
+}
+
+// Pulls the article out of a post page: a clean lead paragraph for the
+// excerpt, the body's prose and word count, and the declared rel=canonical URL.
+// `source` records where the lead came from (jsonld, og, meta or body).
+export function extractArticle(html, { url = '', maxLength = 300 } = {}) {
+  const empty = { excerpt: '', text: '', wordCount: 0, canonicalUrl: '', source: '' };
+  if (!html) return empty;
+
+  let doc;
+  try {
+    doc = parse(String(html));
+  } catch {
+    return empty;
+  }
+
+  const meta = readMeta(doc);
+  const siteTitle = meta['og:site_name'] || '';
+  const canonicalUrl = resolveUrl(meta.canonical, url);
+
+  const articleNode = findArticleNode(doc);
+  const blocks = articleNode ? articleBlocks(articleNode) : [];
+  const bodyWords = blocks.reduce((sum, block) => sum + countWords(block.text), 0);
+
+  const jsonLdBody = readJsonLd(doc)
+    .map((item) => (typeof item.articleBody === 'string' ? item.articleBody : ''))
+    .find((body) => countWords(body) >= 20) || '';
+  const jsonLdWords = countWords(jsonLdBody);
+  // Paywalled pages ship a truncated DOM but the full articleBody.
+  const wordCount = Math.max(bodyWords, jsonLdWords);
+  const text = jsonLdWords > bodyWords
+    ? jsonLdBody.trim()
+    : blocks.filter((block) => block.tag === 'p' || block.tag === 'blockquote').map((block) => block.text).join('\n\n');
+
+  const candidates = [
+    ['jsonld', leadFromText(jsonLdBody)],
+    ['og', isGoodDescription(meta['og:description'], siteTitle) ? meta['og:description'] : ''],
+    ['meta', isGoodDescription(meta.description, siteTitle) ? meta.description : ''],
+    ['body', leadFromBlocks(blocks)],
+  ];
+  const [source, lead] = candidates.find(([, text]) => text) || ['', ''];
+
+  return {
+    excerpt: lead ? truncate(lead, maxLength) : '',
+    text,
+    wordCount,
+    canonicalUrl,
+    source,
+  };
+}
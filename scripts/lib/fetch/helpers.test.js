@@ -1,10 +1,63 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createRequire } from 'node:module';
 
 import { createExcerpt, decodeHtmlEntities, stripHtml } from './html.js';
 import { normalizeUrl, normalizeGuid } from './urls.js';
 import { generatePostId, getPostKey, makeLookupKey, getLookupKeyForPost } from './dedupe.js';
-import { createDateResolver } from './dates.js';
+import { checkDatePolicy, createDateResolver, getDatePolicy } from './dates.js';
+import { buildConditionalHeaders, readValidators, fetchFeedDocument, fetchViaRssProxy } from './http.js';
+import { findFeedLinks, getFeedCandidates } from './discover.js';
+import { findDuplicateBlog, suggestBlogId } from '../blogs-file.js';
+import { parseOpml, mapOutlineCategories } from '../opml.js';
+import { computeBackoffMs, getNextRetryAt, isRetryDue } from './backoff.js';
+import { createProxyPool } from './proxies.js';
+import { loadFetchConfig } from '../fetch-config.js';
+import {
+  buildPostMeta,
+  buildPostsCache,
+  removePostsFromPostMeta,
+  summarizeFeedHistory,
+  updatePostMetaField,
+  writePostMeta,
+} from '../cache-export.js';
+import { findSyndicatedCopies } from './syndication.js';
+import { computeChangeSet, formatRunCommitMessage } from '../changes.js';
+import {
+  compareLinkDates,
+  findDateMoves,
+  findLateArrivals,
+  findSyntheticClusters,
+  suggestDatePolicies,
+} from '../date-audit.js';
+import { hashContent, detectRevision, getRevisedAt } from './revisions.js';
+import { extractArticle } from './extract.js';
+import { countWords, getFeedFullText, getFeedWordCount } from './word-count.js';
+import { splitSentences, summarize } from '../summary.js';
+import { getItemTags } from './tags.js';
+import { classifyPost, findOffShelfPosts, tagCategories, trainClassifier } from '../classify.js';
+import { getMigrationStatus, runMigrations, LATEST_SCHEMA_VERSION } from '../migrate.js';
+import { getPostCutoff, selectPostsToArchive } from '../retention.js';
+import { RECENT_MIN_POSTS, buildPostsShards, loadPostMeta } from '../posts-shards.js';
+import {
+  archivePosts,
+  getFailureStreaks,
+  importArchivedPosts,
+  insertFetchLogs,
+  loadArchivedPostIds,
+  loadArchivedPosts,
+  loadPosts,
+  rollUpFetchLogs,
+  upsertBlogs,
+  upsertPosts,
+} from '../db.js';
+import { buildVectors, cosine, decodeVector, encodeVector, findRelated } from '../embeddings.js';
+
+const readPageFixture = (name) => readFileSync(new URL(`./fixtures/pages/${name}.html`, import.meta.url), 'utf8');
 
 test('html helpers decode entities and strip markup', () => {
   assert.equal(decodeHtmlEntities('Tom &amp; Jerry &mdash; Fun'), 'Tom & Jerry \u2014 Fun');
@@ -110,3 +163,742 @@ test('date resolver can synthesize fallback dates for feeds that allow missing d
   assert.equal(result, '2026-02-25T08:57:00.000Z');
 });
 
+
+test('date resolver explains which date it picked', () => {
+  const resolver = createDateResolver({ maxFutureDays: 2 });
+  const nowMs = Date.parse('2026-02-25T10:00:00.000Z');
+  const blog = { url: 'https://example.com' };
+  const explain = (item, existing = null, target = blog) => resolver.explainPostDate(item, {}, target, 0, existing, nowMs);
+
+  assert.equal(explain({ pubDate: '2026-02-24T00:00:00.000Z' }).source, 'primary');
+  const fromLink = explain({ pubDate: '2026-03-20T00:00:00.000Z', link: 'https://example.com/2026/02/01/post' });
+  assert.deepEqual(fromLink, {
+    date: '2026-02-01T00:00:00.000Z',
+    source: 'inferred',
+    reason: 'feed date 2026-03-20T00:00:00.000Z is more than 2 days ahead; date taken from the link',
+  });
+  assert.equal(explain({ link: 'https://example.com/post' }, '2026-02-20T00:00:00.000Z').source, 'existing');
+  assert.equal(explain({ link: 'https://example.com/post' }, null, { ...blog, allowMissingDates: true }).source, 'fallback');
+  const skipped = explain({ link: 'https://example.com/post' });
+  assert.equal(skipped.date, null);
+  assert.match(skipped.reason, /item skipped/);
+});
+
+test('date policies steer link dates, stored dates, timezones and fallbacks', () => {
+  const resolver = createDateResolver({ maxFutureDays: 2 });
+  const nowMs = Date.parse('2026-03-10T12:00:00.000Z');
+  const explain = (item, datePolicy, existing = null) =>
+    resolver.explainPostDate(item, {}, { url: 'https://example.com', datePolicy }, 0, existing, nowMs);
+
+  // Legacy flags map onto the policy; datePolicy fields win.
+  assert.deepEqual(getDatePolicy({ allowMissingDates: true, ignoreLinkDateInference: true }), {
+    linkDates: 'never', storedDates: 'never', missingDates: 'fallback', timezone: null, maxFutureDays: null,
+  });
+  assert.equal(getDatePolicy({ ignoreLinkDateInference: true, datePolicy: { linkDates: 'auto' } }).linkDates, 'auto');
+
+  const future = { pubDate: '2026-03-20T00:00:00.000Z', link: 'https://example.com/2026/03/01/post' };
+  assert.equal(explain(future, {}).source, 'inferred');
+  assert.equal(explain(future, { linkDates: 'never' }).date, null);
+  assert.equal(explain(future, { maxFutureDays: 14 }).source, 'primary');
+
+  const restamped = { pubDate: '2026-03-09T08:00:00.000Z' };
+  assert.equal(explain(restamped, {}, '2025-11-02T08:00:00.000Z').date, '2026-03-09T08:00:00.000Z');
+  assert.equal(explain(restamped, { storedDates: 'prefer' }, '2025-11-02T08:00:00.000Z').date, '2025-11-02T08:00:00.000Z');
+
+  // Dates without an offset are read in the blog's zone; explicit offsets are kept.
+  const naive = { pubDate: 'Mon, 09 Mar 2026 21:00:00', isoDate: '2026-03-09T21:00:00.000Z' };
+  assert.equal(explain(naive, { timezone: 'America/New_York' }).date, '2026-03-10T01:00:00.000Z');
+  assert.equal(explain(naive, { timezone: '+05:30' }).date, '2026-03-09T15:30:00.000Z');
+  assert.equal(explain({ pubDate: 'Mon, 09 Mar 2026 21:00:00 GMT' }, { timezone: '+05:30' }).date, '2026-03-09T21:00:00.000Z');
+  assert.equal(explain({ link: 'https://example.com/2026/03/01/post' }, { timezone: '+05:30' }).date, '2026-02-28T18:30:00.000Z');
+
+  assert.equal(explain({ link: 'https://example.com/post' }, { missingDates: 'fallback' }).source, 'fallback');
+  assert.deepEqual(checkDatePolicy({ datePolicy: { linkDates: 'sometimes', timezone: 'Mars/Olympus', zone: 'UTC' } }), [
+    'unknown datePolicy field "zone"',
+    'datePolicy.linkDates must be one of auto, always, never',
+    'datePolicy.timezone "Mars/Olympus" is not an IANA zone, UTC or +HH:MM',
+  ]);
+  assert.deepEqual(checkDatePolicy({ datePolicy: { timezone: 'Europe/Berlin', storedDates: 'prefer' } }), []);
+});
+
+test('date audit flags moved, synthetic, late and link-mismatched dates and suggests policies', () => {
+  const blogs = [
+    { id: 'moves', url: 'https://moves.example' },
+    { id: 'stamped', url: 'https://stamped.example' },
+    { id: 'curated', url: 'https://curated.example', datePolicy: { missingDates: 'fallback' } },
+    { id: 'eastern', url: 'https://eastern.example' },
+  ];
+  const post = (blogId, id, date, extra = {}) => ({ id, blogId, title: id, link: `https://${blogId}.example/${id}`, date, ...extra });
+  const runs = [
+    { runAt: '2026-03-02T00:00:00.000Z', changes: { changed: [{ id: 'm2', blogId: 'moves', title: 'm2', date: '2026-03-02T00:00:00.000Z', previousDate: '2026-02-20T00:00:00.000Z' }] } },
+    { runAt: '2026-03-01T00:00:00.000Z', changes: { changed: [
+      { id: 'm1', blogId: 'moves', title: 'm1', date: '2026-03-01T00:00:00.000Z', previousDate: '2026-02-01T00:00:00.000Z' },
+      { id: 'm3', blogId: 'moves', title: 'm3', date: '2026-03-01T00:00:00.000Z', previousTitle: 'old' },
+    ] } },
+  ];
+  const moves = findDateMoves(runs);
+  assert.deepEqual(moves.map((m) => [m.postId, m.from.slice(0, 10), m.to.slice(0, 10)]), [
+    ['m1', '2026-02-01', '2026-03-01'],
+    ['m2', '2026-02-20', '2026-03-02'],
+  ]);
+
+  const posts = [
+    ...['s1', 's2', 's3'].map((id) => post('stamped', id, '2026-03-05T09:30:00.000Z')),
+    ...['d1', 'd2', 'd3'].map((id) => post('stamped', id, '2026-02-01T00:00:00.000Z')),
+    ...['c1', 'c2', 'c3'].map((id, i) => post('curated', id, new Date(Date.parse('2026-03-05T10:00:00.000Z') - i * 60000).toISOString())),
+    // Late-evening posts west of UTC land on the next UTC day.
+    ...[1, 2, 3, 4].map((n) => post('eastern', `e${n}`, `2026-03-0${n + 1}T01:30:00.000Z`, { link: `https://eastern.example/2026/03/0${n}/e${n}` })),
+    post('moves', 'first', '2025-01-01T00:00:00.000Z', { fetchedAt: '2026-01-01T00:00:00.000Z' }),
+    post('moves', 'late', '2025-06-01T00:00:00.000Z', { fetchedAt: '2026-02-01T00:00:00.000Z' }),
+    post('moves', 'fresh', '2026-01-30T00:00:00.000Z', { fetchedAt: '2026-02-01T00:00:00.000Z' }),
+  ];
+  // Same-midnight dates come from date-only feeds and are not flagged.
+  const clusters = findSyntheticClusters(posts, blogs);
+  assert.deepEqual(clusters.map((c) => [c.blogId, c.count, c.spacing, c.expected]), [
+    ['stamped', 3, 'identical', false],
+    ['curated', 3, 'minute', true],
+  ]);
+  assert.deepEqual(findLateArrivals(posts, 30).map((p) => [p.postId, p.lagDays]), [['late', 245]]);
+
+  const linkDates = compareLinkDates(posts, blogs);
+  assert.deepEqual(linkDates.map((r) => [r.blogId, r.checked, r.dayOff, r.bestOffset]), [['eastern', 4, 4, '-02:00']]);
+
+  assert.deepEqual(suggestDatePolicies({ blogs, moves, clusters, linkDates }), [
+    { blogId: 'moves', datePolicy: { storedDates: 'prefer' }, reasons: ['2 posts changed date between runs'] },
+    { blogId: 'eastern', datePolicy: { timezone: '-02:00' }, reasons: ['4 of 4 posts land a day off their link date; read as -02:00, 4 match'] },
+    { blogId: 'stamped', datePolicy: { storedDates: 'prefer' }, reasons: ['3 posts share the date 2026-03-05T09:30:00.000Z'] },
+  ]);
+});
+
+test('date audit suggests IANA zones, and flags fixed offsets that change with the seasons', () => {
+  const blogs = [{ id: 'nyc', url: 'https://nyc.example' }, { id: 'gulf', url: 'https://gulf.example' }];
+  const post = (blogId, id, date, linkDay) => ({ id, blogId, title: id, date, link: `https://${blogId}.example/${linkDay.replaceAll('-', '/')}/${id}` });
+  const posts = [
+    // 23:30 in New York: EDT in June, EST in January.
+    ...[11, 12, 13].map((d) => post('nyc', `s${d}`, `2026-06-${d}T03:30:00.000Z`, `2026-06-${d - 1}`)),
+    ...[20, 21, 22].map((d) => post('nyc', `w${d}`, `2026-01-${d}T04:30:00.000Z`, `2026-01-${d - 1}`)),
+    // Just after midnight at +04:00 in summer and +05:00 in winter, a zone not on the candidate list.
+    ...[10, 11, 12].map((d) => post('gulf', `s${d}`, `2026-06-${d}T20:00:00.000Z`, `2026-06-${d + 1}`)),
+    ...[20, 21, 22].map((d) => post('gulf', `w${d}`, `2026-01-${d}T19:00:00.000Z`, `2026-01-${d + 1}`)),
+  ];
+  const linkDates = compareLinkDates(posts, blogs);
+  assert.deepEqual(linkDates.map((r) => [r.blogId, r.bestOffset, r.bestZone, r.zones, r.seasonalOffsets]), [
+    ['nyc', '-05:00', 'America/New_York', ['America/New_York', 'America/Chicago'], { summer: '-04:00', winter: '-05:00' }],
+    ['gulf', '+05:00', null, [], { summer: '+04:00', winter: '+05:00' }],
+  ]);
+
+  assert.deepEqual(suggestDatePolicies({ blogs, linkDates }), [
+    {
+      blogId: 'nyc',
+      datePolicy: { timezone: 'America/New_York' },
+      reasons: ['6 of 6 posts land a day off their link date; read in America/New_York, 6 match (America/Chicago fits as well)'],
+    },
+    {
+      blogId: 'gulf',
+      datePolicy: { timezone: '+05:00' },
+      reasons: [
+        '6 of 6 posts land a day off their link date; read as +05:00, 6 match. DST-unsafe: April–October posts fit +04:00 '
+          + "and the rest +05:00; set the writer's IANA zone instead",
+      ],
+    },
+  ]);
+});
+
+test('http helpers build conditional headers and read validators', () => {
+  assert.deepEqual(buildConditionalHeaders(null), {});
+  assert.deepEqual(
+    buildConditionalHeaders({ etag: '"abc"', lastModified: 'Wed, 21 Oct 2026 07:28:00 GMT' }),
+    {
+      'If-None-Match': '"abc"',
+      'If-Modified-Since': 'Wed, 21 Oct 2026 07:28:00 GMT',
+    }
+  );
+
+  assert.deepEqual(readValidators(new Headers({ ETag: 'W/"v1"' })), { etag: 'W/"v1"', lastModified: null });
+  const fallback = { etag: '"old"', lastModified: null };
+  assert.equal(readValidators(new Headers(), fallback), fallback);
+});
+
+test('fetchFeedDocument sends validators and reports 304 as not modified', async () => {
+  const etag = '"feed-v1"';
+  const server = createServer((req, res) => {
+    if (req.headers['if-none-match'] === etag) {
+      res.writeHead(304, { ETag: etag });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { ETag: etag, 'Content-Type': 'application/rss+xml' });
+    res.end('<rss version="2.0"><channel><title>t</title></channel></rss>');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/feed.xml`;
+
+  try {
+    const first = await fetchFeedDocument(url);
+    assert.equal(first.notModified, false);
+    assert.match(first.body, /<rss/);
+    assert.deepEqual(first.validators, { etag, lastModified: null });
+
+    const second = await fetchFeedDocument(url, { validators: first.validators });
+    assert.equal(second.notModified, true);
+    assert.equal(second.body, '');
+    assert.deepEqual(second.validators, { etag, lastModified: null });
+  } finally {
+    server.close();
+  }
+});
+
+test('feed discovery reads alternate links before common paths', () => {
+  const html = `
+    <link rel="stylesheet" href="/style.css">
+    <link rel="alternate" type="application/rss+xml" title="Posts" href="/posts/feed.xml">
+    <link type='application/atom+xml' rel='alternate' href='https://cdn.example.com/atom.xml'>
+    <link rel="alternate" hreflang="de" href="/de/">
+  `;
+  assert.deepEqual(findFeedLinks(html, 'https://example.com/'), [
+    'https://example.com/posts/feed.xml',
+    'https://cdn.example.com/atom.xml',
+  ]);
+
+  const candidates = getFeedCandidates('', 'https://example.com/blog/');
+  assert.equal(candidates[0], 'https://example.com/feed');
+  assert.ok(candidates.includes('https://example.com/rss.xml'));
+});
+
+test('blog roster helpers suggest ids and catch duplicate feeds', () => {
+  const blogs = [{ id: 'example', name: 'Example', feed: 'https://example.com/feed.xml' }];
+  assert.equal(suggestBlogId('https://www.example.com'), 'example');
+  assert.equal(suggestBlogId('https://writer.substack.com'), 'writer');
+  assert.equal(suggestBlogId('https://blog.some-site.org'), 'somesite');
+  assert.equal(suggestBlogId('https://example.com', new Set(['example'])), 'example2');
+
+  assert.match(findDuplicateBlog(blogs, { id: 'example' }).reason, /id "example"/);
+  assert.match(
+    findDuplicateBlog(blogs, { id: 'other', feed: 'http://example.com/feed.xml/?utm_source=x' }).reason,
+    /already listed/
+  );
+  assert.equal(findDuplicateBlog(blogs, { id: 'other', feed: 'https://other.com/feed' }), null);
+});
+
+test('opml parser keeps folder context and maps labels onto category slugs', () => {
+  const outlines = parseOpml(`<?xml version="1.0"?>
+    <opml version="2.0"><body>
+      <outline text="Programming">
+        <outline type="rss" text="A &amp; B" xmlUrl="https://a.example/feed" htmlUrl="https://a.example/"/>
+        <outline text="Nested"><outline type="rss" text="C" xmlUrl="https://c.example/rss" category="Philosophy,unknown"/></outline>
+      </outline>
+      <outline type="rss" text="Loose" xmlUrl="https://loose.example/atom.xml"></outline>
+    </body></opml>`);
+
+  assert.equal(outlines.length, 3);
+  assert.equal(outlines[0].text, 'A & B');
+  assert.deepEqual(outlines[0].folders, ['Programming']);
+  assert.deepEqual(outlines[1].folders, ['Programming', 'Nested']);
+  assert.deepEqual(outlines[2].folders, []);
+
+  assert.deepEqual(mapOutlineCategories(outlines[0]), ['tech']);
+  assert.deepEqual(mapOutlineCategories(outlines[1]), ['philosophy', 'tech']);
+  assert.deepEqual(mapOutlineCategories(outlines[2]), []);
+});
+
+test('backoff grows exponentially after the failure threshold and is capped', () => {
+  const hour = 60 * 60 * 1000;
+  const options = { threshold: 3, baseHours: 8, maxHours: 168 };
+  assert.equal(computeBackoffMs(2, options), 0);
+  assert.equal(computeBackoffMs(3, options), 8 * hour);
+  assert.equal(computeBackoffMs(4, options), 16 * hour);
+  assert.equal(computeBackoffMs(10, options), 168 * hour);
+  assert.equal(computeBackoffMs(10, { ...options, threshold: 0 }), 0);
+
+  const nextRetryAt = getNextRetryAt('2026-02-25T01:00:00.000Z', 4, options);
+  assert.equal(nextRetryAt, '2026-02-25T17:00:00.000Z');
+  assert.equal(isRetryDue(nextRetryAt, Date.parse('2026-02-25T09:00:00.000Z')), false);
+  // A run starting a little before the retry time still picks the feed up.
+  assert.equal(isRetryDue(nextRetryAt, Date.parse('2026-02-25T16:30:00.000Z')), true);
+  assert.equal(isRetryDue(null), true);
+});
+
+test('proxy pool rotates by weight and drops proxies that keep failing', () => {
+  const pool = createProxyPool([{ url: 'a', weight: 2 }, { url: 'b', weight: 1 }]);
+  assert.deepEqual([...Array(6)].map(() => pool.pick()), ['a', 'b', 'a', 'a', 'b', 'a']);
+  assert.equal(pool.pick(new Set(['a'])), 'b');
+
+  for (let i = 0; i < 3; i++) pool.record('b', 'rate-limited');
+  pool.record('a', 'ok');
+  assert.equal(pool.stats().find((stat) => stat.url === 'b').healthy, false);
+  assert.deepEqual([...Array(3)].map(() => pool.pick()), ['a', 'a', 'a']);
+  assert.equal(pool.hasUntried(new Set(['a'])), false);
+  // Excluding every healthy proxy still returns one rather than nothing.
+  assert.equal(pool.pick(new Set(['a', 'b'])), 'a');
+
+  for (let i = 0; i < 3; i++) pool.record('a', 'error');
+  assert.ok(['a', 'b'].includes(pool.pick()));
+});
+
+test('fetch config rotates the worker and Pages proxies unless told otherwise', () => {
+  assert.deepEqual(loadFetchConfig({}).PROXIES, [
+    { url: 'https://smallweb.blog/api/fetch-rss', weight: 2 },
+    { url: 'https://smallweb-rss.pages.dev/api/fetch-rss', weight: 1 },
+  ]);
+  assert.deepEqual(loadFetchConfig({ PROXY_URL: 'http://localhost:8787/api/fetch-rss' }).PROXIES, [
+    { url: 'http://localhost:8787/api/fetch-rss', weight: 1 },
+  ]);
+  assert.deepEqual(loadFetchConfig({ PROXY_URL: 'http://localhost:8787/api/fetch-rss', PROXY_URLS: 'https://a.example/rss|3' }).PROXIES, [
+    { url: 'https://a.example/rss', weight: 3 },
+  ]);
+});
+
+test('proxy pool only counts proxy failures, not the feed\'s own errors', async () => {
+  const pool = createProxyPool([{ url: 'https://proxy.example/api/fetch-rss', weight: 1 }]);
+  const json = (status, body) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+  const answers = [
+    json(502, { error: 'Upstream returned 503', upstreamStatus: 503 }),
+    json(404, { error: 'Upstream returned 404', upstreamStatus: 404 }),
+    new Response('<html>Bad gateway</html>', { status: 502, statusText: 'Bad Gateway' }),
+  ];
+  const errors = [];
+  for (let i = 0; i < answers.length; i++) {
+    await assert.rejects(
+      fetchViaRssProxy('https://letters.example/feed', { proxyPool: pool, retries: 1, fetchImpl: async () => answers[i] }),
+      (error) => {
+        errors.push(error.message);
+        return true;
+      }
+    );
+  }
+  assert.deepEqual(errors, [
+    'Proxy returned 502: Upstream returned 503',
+    'Proxy returned 404: Upstream returned 404',
+    'Proxy returned 502: Bad Gateway',
+  ]);
+  const [stat] = pool.stats();
+  assert.deepEqual({ ok: stat.ok, errors: stat.errors }, { ok: 2, errors: 1 });
+});
+
+test('feed history summary separates uptime from deferred skips', () => {
+  const rows = [
+    { status: 'ok', latencyMs: 100 },
+    { status: 'unchanged', latencyMs: 300 },
+    { status: 'error', latencyMs: 30000 },
+    { status: 'ok', latencyMs: 200 },
+    { status: 'deferred', latencyMs: 0 },
+  ];
+  const summary = summarizeFeedHistory(rows, { outageSince: null, lastSuccessAt: '2026-02-25T00:00:00.000Z' });
+  assert.equal(summary.runs, 4);
+  assert.equal(summary.uptimePct, 75);
+  assert.equal(summary.medianLatencyMs, 200);
+  assert.equal(summary.p95LatencyMs, 300);
+  assert.equal(summary.statuses, 'ouxod');
+  assert.deepEqual(summary.latencies, [100, 300, null, 200, null]);
+  assert.equal(summarizeFeedHistory([]).uptimePct, null);
+});
+
+test('syndication pairs cross-blog copies and prefers the writer\'s own domain', () => {
+  const excerpt = 'The long essay about gardens and the slow patience they teach us, written over many quiet seasons of watching what grows and what does not, and why that matters.';
+  const posts = [
+    { id: 'own', blogId: 'writer', title: 'What the Garden Taught Me', link: 'https://writer.example/garden', date: '2026-03-02T00:00:00.000Z', excerpt },
+    { id: 'copy', blogId: 'writer-substack', title: 'What the garden taught me', link: 'https://writer.substack.com/p/garden', date: '2026-03-01T00:00:00.000Z', excerpt },
+    { id: 'other', blogId: 'someone', title: 'What the Garden Taught Me', link: 'https://someone.example/garden', date: '2025-01-01T00:00:00.000Z', excerpt: '' },
+    { id: 'same-blog', blogId: 'writer', title: 'What the Garden Taught Me', link: 'https://writer.example/garden-2', date: '2026-03-03T00:00:00.000Z', excerpt: 'Entirely different words here.' },
+  ];
+  const copies = findSyndicatedCopies(posts);
+  assert.equal(copies.get('copy'), 'own');
+  assert.equal(copies.has('other'), false);
+  assert.equal(copies.has('same-blog'), false);
+
+  const declared = findSyndicatedCopies([
+    { ...posts[0], canonicalUrl: 'https://writer.substack.com/p/garden' },
+    posts[1],
+  ]);
+  assert.equal(declared.get('own'), 'copy');
+
+  // A shared generic title needs overlapping excerpts or a shared host too.
+  const generic = [
+    { id: 'a', blogId: 'one', title: 'Notes on Writing Well', link: 'https://one.example/notes', date: '2026-03-01T00:00:00.000Z', excerpt: '' },
+    { id: 'b', blogId: 'two', title: 'Notes on Writing Well', link: 'https://two.example/notes', date: '2026-03-04T00:00:00.000Z', excerpt: '' },
+  ];
+  assert.equal(findSyndicatedCopies(generic).size, 0);
+  const hosted = findSyndicatedCopies([
+    generic[0],
+    { ...generic[1], link: 'https://two.substack.com/p/notes', canonicalUrl: 'https://one.example/notes-on-writing' },
+  ]);
+  assert.equal(hosted.get('b'), 'a');
+});
+
+test('run change sets report feeds that start failing or recover, and become a commit message', () => {
+  const post = (id, title) => ({ id, blogId: 'a', title, date: '2026-03-01T00:00:00.000Z', link: `https://a.example/${id}` });
+  const changes = computeChangeSet({
+    diff: { added: [post('n1', 'New one'), { ...post('n2', 'Copy'), syndicatedOf: 'x' }], changed: [], removed: [] },
+    results: [
+      { posts: [post('n1', 'New one')], status: { blogId: 'a', status: 'ok' } },
+      { posts: [], status: { blogId: 'b', status: 'unchanged' } },
+      { posts: [], status: { blogId: 'c', status: 'error', error: 'Status code 500' } },
+      { posts: [], status: { blogId: 'd', status: 'error', error: 'timeout' } },
+    ],
+    previousItems: new Map(),
+    failureStreaks: new Map([
+      ['b', { failures: 3, failingSince: '2026-02-28T00:00:00.000Z' }],
+      ['d', { failures: 1, failingSince: '2026-02-28T06:00:00.000Z' }],
+    ]),
+    postsById: new Map(),
+  });
+  // Syndicated copies are not news; a feed already failing is not reported again.
+  assert.deepEqual(changes.added.map((p) => p.id), ['n1']);
+  assert.deepEqual(changes.failing, [{ blogId: 'c', error: 'Status code 500' }]);
+  assert.deepEqual(changes.recovered, [{ blogId: 'b', failures: 3, failingSince: '2026-02-28T00:00:00.000Z' }]);
+
+  const message = formatRunCommitMessage({ id: 7, runAt: '2026-03-01T12:00:00.000Z', changes });
+  assert.equal(message, [
+    'chore: refresh RSS feeds',
+    '',
+    '1 new post, 0 changed posts, 0 dropped posts, 1 feed failing, 1 feed recovered (run 7, 2026-03-01T12:00:00.000Z).',
+    '',
+    'New:',
+    '- a: New one',
+    '',
+    'Started failing:',
+    '- c: Status code 500',
+    '',
+    'Recovered:',
+    '- b after 3 failed runs',
+    '',
+  ].join('\n'));
+  assert.equal(formatRunCommitMessage(null), 'chore: refresh RSS feeds\n');
+});
+
+test('revision detection compares titles and content hashes', () => {
+  const stored = { title: 'On Gardens', excerpt: 'First draft.', contentHash: hashContent('<p>First draft.</p>') };
+  assert.equal(hashContent('<p>First   draft.</p>'), stored.contentHash);
+  assert.equal(detectRevision(stored, { ...stored }), null);
+  assert.deepEqual(detectRevision(stored, { ...stored, title: 'On Gardens, Revisited' }), ['title']);
+  assert.deepEqual(
+    detectRevision(stored, { ...stored, excerpt: 'Second draft.', contentHash: hashContent('<p>Second draft.</p>') }),
+    ['content']
+  );
+  // Same body, different excerpt: our excerpting changed, not the essay.
+  assert.equal(detectRevision(stored, { ...stored, excerpt: 'First draft' }), null);
+  // No stored hash yet: fall back to the excerpt.
+  assert.deepEqual(detectRevision({ ...stored, contentHash: null }, { ...stored, excerpt: 'Changed.' }), ['excerpt']);
+
+  const detected = '2026-03-10T12:00:00.000Z';
+  assert.equal(getRevisedAt(null, '2026-03-09T08:00:00.000Z', detected), '2026-03-09T08:00:00.000Z');
+  assert.equal(getRevisedAt('2026-03-09T08:00:00.000Z', '2026-03-09T08:00:00.000Z', detected), detected);
+  assert.equal(getRevisedAt(null, '2027-01-01T00:00:00.000Z', detected), detected);
+});
+
+test('article extractor skips page furniture and prefers good metadata', () => {
+  // Substack: og/meta descriptions are placeholders and the subscribe prompts are skipped.
+  const substack = extractArticle(readPageFixture('substack'), { url: 'https://fieldnotes.substack.com/p/notes-on-slow-software' });
+  assert.equal(substack.source, 'body');
+  assert.match(substack.excerpt, /^Every program I still use/);
+  assert.equal(substack.canonicalUrl, 'https://fieldnotes.example.com/p/notes-on-slow-software');
+  assert.ok(substack.wordCount > 80 && substack.wordCount < 120);
+
+  // WordPress: cookie banner, byline paragraph, share buttons, comments and sidebar are ignored.
+  const wordpress = extractArticle(readPageFixture('wordpress'), { url: 'https://workbench.example.com/?p=412' });
+  assert.equal(wordpress.source, 'body');
+  assert.match(wordpress.excerpt, /^The deck arrived in a cardboard box/);
+  assert.match(wordpress.excerpt, /\u201Chums\.\u201D/);
+  assert.equal(wordpress.canonicalUrl, 'https://workbench.example.com/2024/11/repairing-a-1970s-turntable/');
+  assert.ok(wordpress.wordCount > 80 && wordpress.wordCount < 120);
+
+  // Ghost: a real og:description wins, and the upgrade CTA is not counted.
+  const ghost = extractArticle(readPageFixture('ghost'));
+  assert.equal(ghost.source, 'og');
+  assert.match(ghost.excerpt, /^Postgres, a backup script/);
+  assert.ok(ghost.wordCount > 50 && ghost.wordCount < 70);
+
+  // Hand-rolled: unclosed <p> tags, a tag line full of links, no metadata at all.
+  const handrolled = extractArticle(readPageFixture('handrolled'), { maxLength: 60 });
+  assert.equal(handrolled.source, 'body');
+  assert.equal(handrolled.excerpt, 'I started at Limehouse a little after six, when the towpath...');
+  assert.equal(handrolled.canonicalUrl, '');
+
+  // JSON-LD articleBody carries the full text behind a paywalled DOM.
+  const paywalled = extractArticle(readPageFixture('jsonld'));
+  assert.equal(paywalled.source, 'jsonld');
+  assert.match(paywalled.excerpt, /answer back in pencil\.$/);
+  assert.ok(paywalled.wordCount > 50);
+
+  assert.deepEqual(extractArticle(''), { excerpt: '', text: '', wordCount: 0, canonicalUrl: '', source: '' });
+});
+
+test('word counts come from full feed content only', () => {
+  const body = Array.from({ length: 200 }, (_, i) => `word${i}`).join(' ');
+  assert.equal(countWords("It's a well-known fact, isn't it?"), 7);
+  assert.equal(getFeedWordCount({ 'content:encoded': `<p>${body}</p>`, content: 'Short summary.' }), 200);
+  // A long description counts; a short or visibly truncated one does not.
+  assert.equal(getFeedWordCount({ content: `<p>${body}</p>` }), 200);
+  assert.equal(getFeedWordCount({ content: 'Just a teaser of the post.' }), 0);
+  assert.equal(getFeedWordCount({ content: `<p>${body} [&#8230;]</p>` }), 0);
+  assert.equal(getFeedWordCount({ 'content:encoded': `<p>${body}</p><p>Continue reading</p>` }), 0);
+  assert.equal(getFeedWordCount({}), 0);
+});
+
+test('extractive summaries pick central sentences in reading order', () => {
+  assert.deepEqual(splitSentences('Dr. Smith read it. Then he left!\n\nA heading\n\nIt was 5 p.m. on a Monday.'), [
+    'Dr. Smith read it.',
+    'Then he left!',
+    'A heading',
+    'It was 5 p.m. on a Monday.',
+  ]);
+
+  const text = getFeedFullText({
+    'content:encoded': [
+      '<p>The first public libraries in Britain opened in the 1850s, funded by local rates and later by Carnegie.</p>',
+      '<p>They were meant to improve the working man, and the reading rooms were policed accordingly.</p>',
+      '<h2>Warm rooms</h2>',
+      '<p>Yet the public libraries became warm reading rooms where anyone could sit and read, and be left alone.</p>',
+      '<p>Subscribe to get new posts about libraries by email.</p>',
+      '<p>Fiction was borrowed far more than the improving books the founders had stocked in the libraries.</p>',
+      '<p>Today the reading room is still the heart of the public library, even as the books move online.</p>',
+    ].join(''),
+  });
+  const summary = summarize(text);
+  const sentences = splitSentences(summary);
+  assert.equal(sentences.length, 2);
+  assert.ok(sentences.every((sentence) => text.includes(sentence)));
+  assert.ok(text.indexOf(sentences[0]) < text.indexOf(sentences[1]));
+  assert.doesNotMatch(summary, /Subscribe|Warm rooms/);
+  assert.equal(summarize('Too short to summarise. Really.'), '');
+});
+
+test('related posts come from other writers, one per writer', () => {
+  const posts = [
+    { id: 'a1', blogId: 'a', date: '2024-05-01', title: 'Sourdough starter hydration', excerpt: 'Feeding a sourdough starter at high hydration.' },
+    { id: 'a2', blogId: 'a', date: '2024-05-02', title: 'Sourdough starter again', excerpt: 'More on sourdough starter hydration and flour.' },
+    { id: 'b1', blogId: 'b', date: '2024-04-01', title: 'My sourdough starter', excerpt: 'Hydration matters for a sourdough starter.' },
+    { id: 'b2', blogId: 'b', date: '2024-04-02', title: 'Sourdough starter notes', excerpt: 'Starter hydration and sourdough flour.' },
+    { id: 'c1', blogId: 'c', date: '2024-03-01', title: 'Bond yields explained', excerpt: 'Why bond yields rise when prices fall.' },
+    { id: 'd1', blogId: 'd', date: '2024-03-02', title: 'Bond yields again', excerpt: 'Bond prices and yields move apart.' },
+  ];
+  const vectors = buildVectors(posts);
+  assert.ok(Math.abs(cosine(vectors[0], vectors[0]) - 1) < 1e-6);
+  assert.ok(cosine(vectors[0], vectors[2]) > cosine(vectors[0], vectors[4]));
+
+  const roundTrip = decodeVector(encodeVector(vectors[0]));
+  assert.deepEqual([...roundTrip.indices], [...vectors[0].indices]);
+  assert.ok(Math.abs(cosine(roundTrip, vectors[0]) - 1) < 1e-6);
+  assert.equal(decodeVector(Buffer.alloc(3)), null);
+
+  const related = findRelated(posts, vectors, { maxBucketShare: 1, now: '2024-06-01' });
+  const picks = related.get('a1').map((pick) => pick.id);
+  assert.equal(picks.length, 1);
+  assert.match(picks[0], /^b/);
+  assert.deepEqual(related.get('c1').map((pick) => pick.id), ['d1']);
+});
+
+test('post categories come from the text, with the writer and tags as priors', () => {
+  assert.deepEqual(getItemTags({ tags: ['History', { _: 'Trade, Tariffs', $: { domain: 'x' } }, { $: { term: 'history' } }] }), ['history', 'trade', 'tariffs']);
+  assert.deepEqual(tagCategories(['Programming', 'histories', 'cats']).sort(), ['history', 'tech']);
+
+  const history = 'medieval monastery empire century archive king chronicle war';
+  const economics = 'inflation interest rates central bank prices wages unemployment market';
+  const docs = [];
+  for (let i = 0; i < 6; i++) {
+    docs.push({ blogId: 'hist', title: `Chronicle ${i}`, excerpt: history });
+    docs.push({ blogId: 'econ', title: `Rates ${i}`, excerpt: economics });
+  }
+  const blogCategories = new Map([['hist', ['history']], ['econ', ['economics']]]);
+  const model = trainClassifier(docs, blogCategories);
+
+  const essay = { title: 'The medieval king and his chronicle', excerpt: `${history} monastery empire` };
+  const picked = classifyPost(model, essay, ['economics']);
+  assert.equal(picked[0].slug, 'history');
+  assert.ok(picked[0].confidence > 0.5 && picked[0].confidence <= 1);
+
+  // Too little text to judge: the writer's category stands.
+  assert.deepEqual(classifyPost(model, { title: 'Notes' }, ['economics']), [{ slug: 'economics', confidence: 1 }]);
+});
+
+test('posts moved off their writer\'s shelves are listed for review', () => {
+  const blogCategories = new Map([['hist', ['history']], ['econ', ['economics', 'finance']], ['misc', []]]);
+  const posts = [
+    { id: 'e1', blogId: 'econ', title: 'Rates' },
+    { id: 'e2', blogId: 'econ', title: 'The medieval king' },
+    { id: 'e3', blogId: 'econ', title: 'Pinned' },
+    { id: 'm1', blogId: 'misc', title: 'Anything' },
+    { id: 'h1', blogId: 'hist', title: 'Unclassified' },
+  ];
+  const categoriesById = new Map([['e1', ['finance', 'history']], ['e2', ['history', 'economics']], ['e3', ['history']], ['m1', ['tech']]]);
+  const offShelf = findOffShelfPosts(posts, categoriesById, blogCategories, new Set(['e3']));
+  assert.deepEqual(offShelf, [
+    { id: 'e2', blogId: 'econ', title: 'The medieval king', slug: 'history', writerCategories: ['economics', 'finance'] },
+  ]);
+
+  const changes = { added: [posts[1]], changed: [], dropped: [], failing: [], recovered: [] };
+  const message = formatRunCommitMessage({ id: 8, runAt: '2026-03-02T12:00:00.000Z', changes }, { offShelf });
+  assert.ok(message.endsWith([
+    '',
+    "Shelved outside the writer's categories (pin in data/category-overrides.json if wrong):",
+    '- econ: The medieval king → history, not economics/finance (e2)',
+    '',
+  ].join('\n')));
+});
+
+test('schema migrations run once, in order, each in a transaction', () => {
+  const Database = createRequire(import.meta.url)('better-sqlite3');
+  const db = new Database(':memory:');
+  assert.equal(getMigrationStatus(db).current, 0);
+  assert.equal(runMigrations(db, { dryRun: true }).length, LATEST_SCHEMA_VERSION);
+  assert.equal(getMigrationStatus(db).current, 0);
+
+  runMigrations(db);
+  assert.equal(getMigrationStatus(db).current, LATEST_SCHEMA_VERSION);
+  assert.deepEqual(runMigrations(db), []);
+  const columns = db.prepare('PRAGMA table_info(posts)').all().map((col) => col.name);
+  assert.ok(columns.includes('word_count') && columns.includes('tags_json'));
+
+  // A failing migration leaves no trace and blocks the ones after it.
+  const extra = [
+    { version: LATEST_SCHEMA_VERSION + 1, name: 'broken', up: (d) => { d.exec('CREATE TABLE half_done (id INTEGER)'); throw new Error('boom'); } },
+  ];
+  const migrations = [...Array(LATEST_SCHEMA_VERSION)].map((_, i) => ({ version: i + 1, name: `m${i + 1}`, up() {} })).concat(extra);
+  assert.throws(() => runMigrations(db, { migrations }), /boom/);
+  assert.equal(getMigrationStatus(db).current, LATEST_SCHEMA_VERSION);
+  assert.equal(db.prepare("SELECT COUNT(*) as n FROM sqlite_master WHERE name = 'half_done'").get().n, 0);
+  db.close();
+});
+
+test('prune rolls up old fetch logs and archives posts outside the year window', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const cutoff = getPostCutoff(now, 3);
+  assert.equal(cutoff, '2024-01-01T00:00:00.000Z');
+
+  // The original of a kept syndicated copy stays, however old.
+  const posts = [
+    { id: 'new', date: '2026-03-01T00:00:00Z' },
+    { id: 'old', date: '2021-05-01T00:00:00Z' },
+    { id: 'old-original', date: '2023-12-30T00:00:00Z' },
+    { id: 'copy', date: '2024-01-02T00:00:00Z', syndicatedOf: 'old-original' },
+  ];
+  assert.deepEqual([...selectPostsToArchive(posts, cutoff)], ['old']);
+
+  const Database = createRequire(import.meta.url)('better-sqlite3');
+  const db = new Database(':memory:');
+  runMigrations(db);
+  upsertBlogs(db, [{ id: 'a', name: 'A', url: 'https://a.example', feed: 'https://a.example/feed' }]);
+
+  // 60 daily runs, healthy until the last three.
+  const day = (n) => new Date(now.getTime() - n * 86400000).toISOString();
+  insertFetchLogs(db, [...Array(60)].map((_, i) => ({
+    blogId: 'a',
+    status: i >= 57 ? 'error' : 'ok',
+    postCount: 5,
+    latencyMs: 100,
+    lastFetched: day(60 - i),
+  })));
+  const streakBefore = getFailureStreaks(db).get('a');
+  assert.equal(rollUpFetchLogs(db, { cutoff: day(30), keepRuns: 30 }), 30);
+  assert.deepEqual(getFailureStreaks(db).get('a'), streakBefore);
+  assert.equal(db.prepare('SELECT COUNT(*) as n FROM fetch_log').get().n, 30);
+  assert.deepEqual(db.prepare('SELECT SUM(runs) as runs, SUM(ok) as ok, MAX(max_latency_ms) as ms FROM fetch_log_daily').get(), { runs: 30, ok: 30, ms: 100 });
+
+  upsertPosts(db, [
+    { id: 'p1', blogId: 'a', title: 'Kept', link: 'https://a.example/1', date: '2026-03-01T00:00:00Z' },
+    { id: 'p2', blogId: 'a', title: 'Old', link: 'https://a.example/2', date: '2021-05-01T00:00:00Z', summary: 'Short.' },
+  ], now.toISOString());
+  assert.equal(archivePosts(db, new Set(['p2']), now.toISOString()).posts, 1);
+  assert.deepEqual(loadPosts(db).map((post) => post.id), ['p1']);
+  assert.deepEqual([...loadArchivedPostIds(db)], ['p2']);
+  assert.equal(db.prepare("SELECT summary FROM archived_posts WHERE id = 'p2'").get().summary, 'Short.');
+
+  // archive.json round-trips into a database rebuilt without the archive.
+  const archived = loadArchivedPosts(db);
+  assert.deepEqual(archived.map((post) => [post.id, post.title, post.summary]), [['p2', 'Old', 'Short.']]);
+  db.close();
+  const rebuilt = new Database(':memory:');
+  runMigrations(rebuilt);
+  assert.equal(importArchivedPosts(rebuilt, archived, now.toISOString()), 1);
+  assert.equal(importArchivedPosts(rebuilt, archived, now.toISOString()), 0);
+  assert.deepEqual(loadArchivedPosts(rebuilt), archived);
+  rebuilt.close();
+});
+
+test('post shards split by year, file copies with their original, and keep a recent window', () => {
+  const daysAgo = (n) => new Date(Date.UTC(2026, 5, 30) - n * 86400000).toISOString();
+  // Enough filler that the recent window is set by days, not the minimum count.
+  const filler = [...Array(RECENT_MIN_POSTS)].map((_, i) => ({ id: `f${i}`, blogId: 'f', date: daysAgo(0) }));
+  const posts = [
+    ...filler,
+    { id: 'copy', blogId: 'b', date: daysAgo(1), syndicatedOf: 'original', related: ['old-pick'] },
+    { id: 'mid', blogId: 'a', date: daysAgo(90), related: ['old-pick', 'older-pick', 'f0'] },
+    { id: 'original', blogId: 'a', date: '2025-12-31T20:00:00.000Z', updatedAt: daysAgo(2) },
+    { id: 'old-pick', blogId: 'c', date: '2024-03-01T00:00:00.000Z', updatedAt: daysAgo(5) },
+    { id: 'older-pick', blogId: 'c', date: '2023-03-01T00:00:00.000Z' },
+  ];
+  const { manifest, files } = buildPostsShards({ lastUpdated: daysAgo(0), posts });
+
+  assert.deepEqual(
+    manifest.years.map((entry) => [entry.year, entry.count, entry.canonical]),
+    [[2026, RECENT_MIN_POSTS + 1, RECENT_MIN_POSTS + 1], [2025, 2, 1], [2024, 1, 1], [2023, 1, 1]]
+  );
+  assert.deepEqual(JSON.parse(files.get('2025.json')).posts.map((post) => post.id), ['copy', 'original']);
+  assert.deepEqual(manifest.blogs.a, [2026, 2025]);
+  assert.deepEqual(manifest.blogs.b, [2025]);
+  assert.equal(manifest.total, posts.length);
+
+  const recent = JSON.parse(files.get('recent.json'));
+  assert.ok(recent.posts.some((post) => post.id === 'original'));
+  assert.ok(!recent.posts.some((post) => post.id === 'mid'));
+  assert.deepEqual(recent.linked.map((post) => post.id), ['old-pick']);
+  // Revised essays come with their copies; picks outside recent get a year.
+  assert.deepEqual(recent.revised.map((post) => post.id), ['copy', 'original', 'old-pick']);
+  assert.deepEqual(manifest.relatedYears, { 'older-pick': 2023 });
+
+  // Archived posts get year shards and writer years, never the recent shard.
+  const withArchive = buildPostsShards({ lastUpdated: daysAgo(0), posts }, new Map(), [
+    { id: 'pruned', blogId: 'a', date: '2021-05-01T00:00:00.000Z' },
+    { id: 'mid', blogId: 'a', date: daysAgo(90) },
+  ]);
+  assert.deepEqual(withArchive.manifest.years.map((entry) => entry.year), [2026, 2025, 2024, 2023, 2021]);
+  assert.deepEqual(withArchive.manifest.blogs.a, [2026, 2025, 2021]);
+  assert.equal(withArchive.manifest.total, posts.length + 1);
+  assert.equal(withArchive.manifest.archived, 1);
+  assert.equal(withArchive.files.get('recent.json'), files.get('recent.json'));
+
+  // Shelves and related picks are merged in from post-meta.json.
+  const withMeta = buildPostsShards({ lastUpdated: daysAgo(0), posts }, new Map(), [], {
+    older: { categories: ['history'] },
+    'older-pick': { categories: ['history', 'economics'], related: ['mid'] },
+  });
+  const [olderPick] = JSON.parse(withMeta.files.get('2023.json')).posts;
+  assert.deepEqual(olderPick.categories, [{ slug: 'history' }, { slug: 'economics' }]);
+  assert.deepEqual(olderPick.related, ['mid']);
+});
+
+test('shelves and related picks live in post-meta.json, not posts.json', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'smallweb-meta-'));
+  try {
+    const posts = [
+      { id: 'b', blogId: 'y', title: 'B', categories: [{ slug: 'history', confidence: 0.61 }], related: ['a'] },
+      { id: 'a', blogId: 'x', title: 'A', categories: [{ slug: 'tech', confidence: 0.9 }] },
+      { id: 'c', blogId: 'x', title: 'C' },
+    ];
+    assert.deepEqual(buildPostsCache(posts, 'now').posts.map((post) => Object.keys(post)), [
+      ['id', 'blogId', 'title'],
+      ['id', 'blogId', 'title'],
+      ['id', 'blogId', 'title'],
+    ]);
+    assert.equal(writePostMeta(dir, buildPostMeta(posts)), true);
+    assert.equal(writePostMeta(dir, buildPostMeta(posts)), false);
+    assert.deepEqual(loadPostMeta(dir), {
+      a: { categories: ['tech'] },
+      b: { categories: ['history'], related: ['a'] },
+    });
+
+    // A rerun replaces the field for every post and keeps the other field.
+    assert.equal(updatePostMetaField(dir, 'related', new Map([['a', ['b']], ['c', ['b']], ['b', []]])), 3);
+    assert.equal(updatePostMetaField(dir, 'related', new Map([['a', ['b']], ['c', ['b']]])), 0);
+    assert.deepEqual(loadPostMeta(dir), {
+      a: { categories: ['tech'], related: ['b'] },
+      b: { categories: ['history'] },
+      c: { related: ['b'] },
+    });
+
+    assert.deepEqual(removePostsFromPostMeta(dir, new Set(['b'])), { removed: 1, trimmed: 2 });
+    assert.deepEqual(loadPostMeta(dir), { a: { categories: ['tech'] } });
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
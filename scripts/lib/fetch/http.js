@@ -0,0 +1,153 @@
+import { sleep } from './concurrency.js';
+
+export const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const FEED_ACCEPT = 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.5';
+
+export function buildConditionalHeaders(validators) {
+  const headers = {};
+  if (validators?.etag) headers['If-None-Match'] = validators.etag;
+  if (validators?.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+  return headers;
+}
+
+export function readValidators(headers, fallback = null) {
+  const etag = headers?.get?.('etag') || '';
+  const lastModified = headers?.get?.('last-modified') || '';
+  if (!etag && !lastModified) return fallback;
+  return {
+    etag: etag || null,
+    lastModified: lastModified || null,
+  };
+}
+
+export function shouldRetryViaProxy(error) {
+  const status = error?.statusCode || error?.status;
+  if (status && [401, 403, 408, 425, 429, 500, 502, 503, 504].includes(status)) return true;
+  const msg = String(error?.message || '');
+  return /status code 403|status code 401|status code 429|timed out|timeout|ETIMEDOUT|ECONNRESET|EAI_AGAIN|ENOTFOUND/i.test(msg);
+}
+
+// Fetches a feed body directly, sending validators when we have them.
+// Errors mirror rss-parser's "Status code N" shape so proxy-retry logic keeps working.
+// `fetchImpl` lets tests swap in their own fetch.
+export async function fetchFeedDocument(url, { validators = null, timeoutMs = 30000, fetchImpl = fetch } = {}) {
+  let response;
+  try {
+    response = await fetchImpl(url, {
+      headers: {
+        'User-Agent': BROWSER_USER_AGENT,
+        Accept: FEED_ACCEPT,
+        ...buildConditionalHeaders(validators),
+      },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (error) {
+    const code = error?.cause?.code;
+    if (code && !String(error.message).includes(code)) {
+      error.message = `${error.message} (${code})`;
+    }
+    throw error;
+  }
+
+  if (response.status === 304) {
+    return { notModified: true, body: '', validators: readValidators(response.headers, validators) };
+  }
+
+  if (!response.ok) {
+    const error = new Error(`Status code ${response.status}`);
+    error.statusCode = response.status;
+    throw error;
+  }
+
+  return {
+    notModified: false,
+    body: await response.text(),
+    validators: readValidators(response.headers),
+  };
+}
+
+// Fetch RSS content through the Cloudflare proxy with retry logic.
+// Validators are sent as conditional headers for the proxy to forward upstream.
+// `sleepImpl` is the wait between retries, so tests need not sit through it.
+// With a `proxyPool` (./proxies.js) each attempt picks a proxy from the pool,
+// and a rate-limited attempt moves straight on to a proxy not yet tried for
+// this feed. The result, and any error thrown, carry the `proxyUrl` last used.
+export async function fetchViaRssProxy(feedUrl, {
+  proxyUrl,
+  proxyPool = null,
+  validators = null,
+  retries = 3,
+  timeoutMs = 30000,
+  fetchImpl = fetch,
+  sleepImpl = sleep,
+  logger = console,
+} = {}) {
+  const tried = new Set();
+
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    const proxy = proxyPool ? proxyPool.pick(tried) : proxyUrl;
+    tried.add(proxy);
+    const requestUrl = `${proxy}?url=${encodeURIComponent(feedUrl)}`;
+    try {
+      const response = await fetchImpl(requestUrl, {
+        headers: buildConditionalHeaders(validators),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (response.status === 304) {
+        proxyPool?.record(proxy, 'ok');
+        return { notModified: true, body: '', validators: readValidators(response.headers, validators), proxyUrl: proxy };
+      }
+
+      if (response.ok) {
+        const body = await response.text();
+        proxyPool?.record(proxy, 'ok');
+        return {
+          notModified: false,
+          body,
+          validators: readValidators(response.headers),
+          proxyUrl: proxy,
+        };
+      }
+
+      // If rate limited (403), wait and retry
+      if (response.status === 403) {
+        proxyPool?.record(proxy, 'rate-limited');
+        if (attempt < retries) {
+          if (proxyPool?.hasUntried(tried)) {
+            logger.log(`    → Rate limited by ${proxy}, trying another proxy ${attempt + 1}/${retries}...`);
+            continue;
+          }
+          const backoffMs = attempt * 5000; // 5s, 10s, 15s
+          logger.log(`    → Rate limited, waiting ${backoffMs/1000}s before retry ${attempt + 1}/${retries}...`);
+          await sleepImpl(backoffMs);
+          continue;
+        }
+      }
+
+      const errorData = await response.json().catch(() => ({}));
+      if (response.status !== 403) {
+        // A 4xx, or a 5xx carrying the feed's `upstreamStatus`, is the feed's
+        // answer relayed by a working proxy; any other 5xx counts against the proxy.
+        const relayed = response.status < 500 || Number.isInteger(errorData.upstreamStatus);
+        proxyPool?.record(proxy, relayed ? 'ok' : 'error');
+      }
+      const error = new Error(`Proxy returned ${response.status}: ${errorData.error || response.statusText}`);
+      error.proxyUrl = proxy;
+      throw error;
+    } catch (error) {
+      if (!error.proxyUrl) {
+        proxyPool?.record(proxy, 'error');
+        error.proxyUrl = proxy;
+      }
+      if (attempt === retries) throw error;
+      if (error.name === 'TimeoutError' || error.message.includes('timeout')) {
+        logger.log(`    → Timeout, retrying ${attempt + 1}/${retries}...`);
+        if (!proxyPool?.hasUntried(tried)) await sleepImpl(2000);
+      } else {
+        throw error;
+      }
+    }
+  }
+}
@@ -0,0 +1,17 @@
+import Parser from 'rss-parser';
+import { BROWSER_USER_AGENT } from './http.js';
+
+// Shared rss-parser setup so every script parses feeds the same way.
+export function createFeedParser({ timeoutMs = 30000 } = {}) {
+  return new Parser({
+    timeout: timeoutMs,
+    headers: {
+      'User-Agent': BROWSER_USER_AGENT,
+    },
+    // Last-modified stamps used for revision dates (Atom, RSS atom:updated, Dublin Core),
+    // and every <category> as `tags` (rss-parser only maps RSS categories itself).
+    customFields: {
+      item: ['updated', 'atom:updated', 'dc:modified', ['category', 'tags', { keepArray: true }]],
+    },
+  });
+}
@@ -0,0 +1,725 @@
+import { readFileSync } from 'fs';
+import {
+  upsertBlogs,
+  loadPosts,
+  hasFetchLogs,
+  upsertPosts,
+  seedPostRevisions,
+  insertFetchLogs,
+  insertPostRevisions,
+  loadFeedValidators,
+  upsertFeedValidators,
+  getFailureStreaks,
+  loadArchivedPostIds,
+  importArchivedPosts,
+  loadFeedItems,
+  replaceFeedItems,
+  insertRun,
+  loadRecentRuns,
+} from '../db.js';
+import {
+  buildPostsCache,
+  buildStatusCache,
+  diffPostsCache,
+  getLatestLogs,
+  writeCacheFiles,
+  isHealthyStatus,
+  attachFailureStreaks,
+  attachFeedHistory,
+  getFeedHistory,
+} from '../cache-export.js';
+import { loadFetchConfig } from '../fetch-config.js';
+import { loadArchiveCache } from '../posts-shards.js';
+import { sleep, mapWithLimit } from './concurrency.js';
+import { fetchPageDetails } from './excerpt.js';
+import { findSyndicatedCopies } from './syndication.js';
+import { coerceToString, decodeHtmlEntities, createExcerpt } from './html.js';
+import { normalizeUrl, isSubstackFeed } from './urls.js';
+import { generatePostId, getPostKey, makeLookupKey, getLookupKeyForPost } from './dedupe.js';
+import { createDateResolver, normalizeDate } from './dates.js';
+import { hashContent, detectRevision, getRevisedAt } from './revisions.js';
+import { countWords, getFeedFullText } from './word-count.js';
+import { getItemTags } from './tags.js';
+import { fetchFeedDocument, fetchViaRssProxy, shouldRetryViaProxy } from './http.js';
+import { createFeedParser } from './parser.js';
+import { getNextRetryAt, isRetryDue } from './backoff.js';
+import { createProxyPool, formatProxyStats } from './proxies.js';
+import {
+  CHANGES_HISTORY_RUNS,
+  buildChangesCache,
+  computeChangeSet,
+  getFeedItemEntries,
+  summarizeChangeSet,
+} from '../changes.js';
+
+// One fetch run: every due feed is fetched, merged with the stored posts and
+// written to SQLite, posts.json and status.json. scripts/fetch-feeds.js runs
+// it against the real data; tests inject fetch, the clock, sleep, the paths
+// and the database. A run can be limited to some blogs, and a dry run writes
+// nothing and reports what would change instead.
+
+// Substack Rate Limiting Workaround
+// ---------------------------------
+// Substack blocks RSS requests from GitHub Actions IPs (returns 403).
+// Solution: Route Substack feeds through the site worker's /api/fetch-rss
+// proxy (worker/fetch-rss.js), which only fetches feeds listed in blogs.json,
+// rotating with the older Cloudflare Pages proxy (DEFAULTS.PROXY_URLS).
+//
+// Strategies used:
+// 1. Cloudflare proxy with browser User-Agent (avoids bot detection)
+// 2. Sequential fetching for Substack feeds in small delayed batches
+// 3. Parallel fetching for non-Substack feeds (faster)
+// 4. Set PROXY_URL (or a weighted PROXY_URLS list) to use other proxies;
+//    each run rotates between them and drops ones that keep failing
+// 5. Use "proxy": true in blogs.json for custom-domain Substack feeds
+
+// Blogs to fetch: those named in `only` (ids), narrowed to `category` (slug).
+export function selectBlogs(blogs, { only = null, category = null } = {}) {
+  let selected = blogs;
+  if (only?.length) {
+    const known = new Set(blogs.map((blog) => blog.id));
+    const unknown = only.filter((id) => !known.has(id));
+    if (unknown.length) throw new Error(`Unknown blog id(s): ${unknown.join(', ')}`);
+    selected = selected.filter((blog) => only.includes(blog.id));
+  }
+  if (category) selected = selected.filter((blog) => (blog.categories || []).includes(category));
+  if (selected.length === 0) {
+    throw new Error(`No blogs match${only?.length ? ` --only ${only.join(',')}` : ''}${category ? ` --category ${category}` : ''}`);
+  }
+  return selected;
+}
+
+function formatItemDate(entry) {
+  const date = entry.date ? entry.date.slice(0, 16).replace('T', ' ') : 'skipped         ';
+  return `    · ${date} ${String(entry.source || '-').padEnd(8)} ${entry.title.substring(0, 50)} — ${entry.reason}`;
+}
+
+function getMaxPostsForBlog(blog, defaultMax) {
+  const override = Number.parseInt(blog.maxPosts, 10);
+  if (Number.isFinite(override) && override > 0) return override;
+  return defaultMax;
+}
+
+async function parseFeed(ctx, blog, useProxy, validators = null) {
+  const { config, fetchImpl, sleepImpl, logger } = ctx;
+  const result = useProxy
+    ? await fetchViaRssProxy(blog.feed, {
+      proxyPool: ctx.proxyPool,
+      validators,
+      timeoutMs: config.FEED_TIMEOUT_MS,
+      fetchImpl,
+      sleepImpl,
+      logger,
+    })
+    : await fetchFeedDocument(blog.feed, { validators, timeoutMs: config.FEED_TIMEOUT_MS, fetchImpl });
+  const proxy = result.proxyUrl || null;
+  if (result.notModified) {
+    return { feed: null, notModified: true, validators: result.validators, proxy };
+  }
+  try {
+    const feed = await ctx.parser.parseString(result.body);
+    return { feed, notModified: false, validators: result.validators, proxy };
+  } catch (error) {
+    error.proxyUrl = proxy;
+    throw error;
+  }
+}
+
+// `cachedFeed` carries the stored validators and cached post count for this blog.
+// It is only set when we still hold posts for the blog, so a 304 never leaves it empty.
+async function fetchFeed(ctx, blog, useProxy = false, existingPostsByKey = new Map(), cachedFeed = null) {
+  const { config, now, logger } = ctx;
+  const isSubstack = isSubstackFeed(blog.feed);
+  const forceProxy = blog.proxy === true;
+  const shouldUseProxy = useProxy || isSubstack || forceProxy;
+
+  logger.log(`Fetching: ${blog.name} (${blog.feed})${shouldUseProxy ? ' [via proxy]' : ''}`);
+  const startTime = now();
+  const nowMs = now();
+
+  const validators = cachedFeed?.validators || null;
+
+  try {
+    let parsed;
+    try {
+      parsed = await parseFeed(ctx, blog, shouldUseProxy, validators);
+    } catch (error) {
+      if (!shouldUseProxy && shouldRetryViaProxy(error)) {
+        logger.log('    → Retrying via proxy after fetch error...');
+        parsed = await parseFeed(ctx, blog, true, validators);
+      } else {
+        throw error;
+      }
+    }
+
+    if (parsed.notModified) {
+      const latency = now() - startTime;
+      const postCount = cachedFeed?.postCount || 0;
+      logger.log(`  ✓ Not modified (304), keeping ${postCount} cached posts`);
+
+      return {
+        posts: [],
+        validators: parsed.validators,
+        status: {
+          blogId: blog.id,
+          status: 'unchanged',
+          postCount,
+          lastFetched: new Date(now()).toISOString(),
+          latencyMs: latency,
+          error: null,
+          proxy: parsed.proxy,
+        }
+      };
+    }
+
+    const { feed } = parsed;
+
+    const maxPosts = getMaxPostsForBlog(blog, config.DEFAULT_MAX_POSTS_PER_BLOG);
+    const items = feed.items.slice(0, maxPosts);
+    const fetchedAt = new Date(now()).toISOString();
+    const revisions = [];
+    const itemDates = [];
+    const postsRaw = await mapWithLimit(
+      items,
+      config.EXCERPT_CONCURRENCY,
+      async (item, index) => {
+        try {
+        let link = coerceToString(item.link || item.guid || blog.url);
+
+        // URL Normalization for Paul Graham
+        if (blog.id === 'paulgraham' && link.includes('turbifycdn.com')) {
+          // Replace CDN links with something cleaner if possible
+          // Strip query params which are often added by the CDN
+          link = link.split('?')[0];
+        }
+
+        const canonicalLink = normalizeUrl(link, blog.url);
+        const itemTitle = coerceToString(item.title);
+        const postKey = getPostKey({
+          link: canonicalLink || link,
+          guid: coerceToString(item.guid),
+          title: itemTitle || '',
+          baseUrl: blog.url,
+        }) || `${blog.id}-item-${index}`;
+        const lookupKey = makeLookupKey(blog.id, postKey);
+        const existingPost = existingPostsByKey.get(lookupKey);
+
+        const existingExcerpt = coerceToString(existingPost?.excerpt).trim();
+
+        // Try to get excerpt from RSS first
+        let excerpt = createExcerpt(coerceToString(item.contentSnippet || item.content || item.summary || ''));
+
+        // Prefer cached excerpts for existing posts to avoid re-fetching pages every run
+        if (!excerpt && existingExcerpt) {
+          excerpt = existingExcerpt;
+        }
+
+        // rel=canonical is only known for posts whose page we have fetched.
+        let pageCanonicalUrl = coerceToString(existingPost?.canonicalUrl);
+
+        // Full-text feeds give the text and word count directly; otherwise
+        // they come from the extracted article page.
+        let contentText = getFeedFullText(item);
+        let wordCount = countWords(contentText) || existingPost?.wordCount || 0;
+
+        // Only fetch pages for a few new posts per feed (CI-safe default)
+        if (
+          (!excerpt || !wordCount) && !existingPost && config.FETCH_PAGE_EXCERPTS && link &&
+          index < config.MAX_PAGE_EXCERPTS_PER_FEED
+        ) {
+          logger.log(`    → Fetching page for ${excerpt ? 'word count' : 'excerpt'}: ${itemTitle.substring(0, 40)}...`);
+          const page = await fetchPageDetails(link, undefined, { fetchImpl: ctx.fetchImpl });
+          excerpt = excerpt || page.excerpt;
+          wordCount = wordCount || page.wordCount;
+          contentText = contentText || page.text;
+          pageCanonicalUrl = page.canonicalUrl;
+        }
+
+        const resolvedLink = canonicalLink || link;
+        const declaredCanonical = pageCanonicalUrl ? normalizeUrl(pageCanonicalUrl) : '';
+        const postId = existingPost?.id || generatePostId(blog.id, postKey);
+        const rawTitle = itemTitle || coerceToString(existingPost?.title) || 'Untitled';
+        const title = decodeHtmlEntities(rawTitle) || 'Untitled';
+
+        // Skip posts without proper dates unless explicitly allowed
+        const dated = ctx.explainPostDate(item, feed, blog, index, existingPost?.date, nowMs);
+        const postDate = dated.date;
+        if (ctx.verboseItems) itemDates.push({ index, title, link: resolvedLink, ...dated });
+        if (!postDate) {
+          logger.log(`    → Skipping "${itemTitle.substring(0, 40)}..." (no date)`);
+          return null;
+        }
+
+        const contentHash = hashContent(item['content:encoded'] || item.content || item.summary || '');
+        const feedUpdatedAt = normalizeDate(item.updated || item['atom:updated'] || item['dc:modified']);
+        const revisedFields = detectRevision(existingPost, { title, excerpt, contentHash });
+        let updatedAt = existingPost?.updatedAt;
+        if (revisedFields) {
+          updatedAt = getRevisedAt(existingPost.feedUpdatedAt, feedUpdatedAt, fetchedAt);
+          revisions.push({
+            postId,
+            fields: revisedFields,
+            revisedAt: updatedAt,
+            previous: {
+              title: existingPost.title,
+              excerpt: existingPost.excerpt,
+              contentHash: existingPost.contentHash || null,
+            },
+          });
+        }
+        // A changed body is re-summarised by scripts/summarize.js.
+        const summary = revisedFields?.includes('content') ? '' : existingPost?.summary;
+        const tags = getItemTags(item);
+
+        return {
+          id: postId,
+          blogId: blog.id,
+          title,
+          link: resolvedLink,
+          date: postDate,
+          excerpt,
+          ...(declaredCanonical && declaredCanonical !== resolvedLink ? { canonicalUrl: declaredCanonical } : {}),
+          ...(wordCount ? { wordCount } : {}),
+          ...(contentText ? { contentText } : {}),
+          ...(summary ? { summary } : {}),
+          ...(tags.length ? { tags } : {}),
+          ...(existingPost?.categories ? { categories: existingPost.categories } : {}),
+          ...(existingPost?.related ? { related: existingPost.related } : {}),
+          ...(updatedAt ? { updatedAt } : {}),
+          ...(contentHash ? { contentHash } : {}),
+          ...(feedUpdatedAt ? { feedUpdatedAt } : {}),
+        };
+        } catch (itemError) {
+          logger.log(`    → Skipping item ${index} (${coerceToString(item.title).substring(0, 40) || 'untitled'}): ${itemError.message}`);
+          return null;
+        }
+      }
+    );
+
+    // Filter out posts that were skipped (no date)
+    const posts = postsRaw.filter(p => p !== null);
+
+    const latency = now() - startTime;
+    logger.log(`  ✓ Found ${posts.length} posts`);
+    if (ctx.verboseItems) {
+      itemDates.sort((a, b) => a.index - b.index);
+      for (const entry of itemDates) logger.log(formatItemDate(entry));
+    }
+
+    if (revisions.length > 0) logger.log(`  ✎ ${revisions.length} revised`);
+
+    return {
+      posts,
+      revisions,
+      validators: parsed.validators,
+      ...(ctx.verboseItems ? { items: itemDates } : {}),
+      status: {
+        blogId: blog.id,
+        status: 'ok',
+        postCount: posts.length,
+        lastFetched: new Date(now()).toISOString(),
+        latencyMs: latency,
+        error: null,
+        proxy: parsed.proxy,
+      }
+    };
+  } catch (error) {
+    const latency = now() - startTime;
+    logger.error(`  ✗ Error fetching ${blog.name}: ${error.message}`);
+
+    return {
+      posts: [],
+      status: {
+        blogId: blog.id,
+        status: 'error',
+        postCount: 0,
+        lastFetched: new Date(now()).toISOString(),
+        latencyMs: latency,
+        error: error.message,
+        proxy: error.proxyUrl || null,
+      }
+    };
+  }
+}
+
+// `paths` holds `blogs` (blogs.json), `cacheDir`, `posts`, `status` and
+// optionally `changes` (changes.json).
+// `db` is an open, migrated database; the caller closes it. `now` returns
+// epoch milliseconds. `only` / `category` limit the run (see selectBlogs);
+// feeds named in `only` are fetched even when backed off. `verboseItems`
+// logs and returns how each item's date was picked. Returns what the run
+// wrote, or with `dryRun` would have written.
+export async function runFetchPipeline({
+  db,
+  paths,
+  config = loadFetchConfig(process.env),
+  force = false,
+  only = null,
+  category = null,
+  dryRun = false,
+  verboseItems = false,
+  fetchImpl = fetch,
+  now = Date.now,
+  sleepImpl = sleep,
+  logger = console,
+}) {
+  const ctx = {
+    config,
+    fetchImpl,
+    now,
+    sleepImpl,
+    logger,
+    parser: createFeedParser({ timeoutMs: config.FEED_TIMEOUT_MS }),
+    proxyPool: createProxyPool(config.PROXIES),
+    explainPostDate: createDateResolver({
+      maxFutureDays: config.MAX_FUTURE_DAYS,
+      recentPrimaryDays: config.RECENT_PRIMARY_DAYS,
+      inferredDateMaxDiffDays: config.INFERRED_DATE_MAX_DIFF_DAYS,
+    }).explainPostDate,
+    verboseItems,
+  };
+  const backoffOptions = {
+    threshold: config.BACKOFF_THRESHOLD,
+    baseHours: config.BACKOFF_BASE_HOURS,
+    maxHours: config.BACKOFF_MAX_HOURS,
+  };
+
+  const blogsData = JSON.parse(readFileSync(paths.blogs, 'utf-8'));
+  const allBlogs = blogsData.blogs;
+  const blogs = selectBlogs(allBlogs, { only, category });
+  const partial = blogs.length !== allBlogs.length;
+  if (partial) logger.log(`Fetching ${blogs.length} of ${allBlogs.length} blogs: ${blogs.map(b => b.id).join(', ')}`);
+  if (dryRun) logger.log('Dry run: nothing will be written.');
+
+  if (!dryRun) upsertBlogs(db, allBlogs);
+
+  // Load existing posts early for stable date fallbacks
+  let existingPosts = loadPosts(db);
+  let existingCacheLastUpdated = '';
+  let existingCachePosts = [];
+  try {
+    const existing = JSON.parse(readFileSync(paths.posts, 'utf-8'));
+    existingCacheLastUpdated = existing.lastUpdated || '';
+    existingCachePosts = existing.posts || [];
+    const seedPosts = existing.posts || [];
+    if (existingPosts.length === 0 && seedPosts.length > 0) {
+      if (!dryRun) {
+        upsertPosts(db, seedPosts, existing.lastUpdated || new Date(now()).toISOString());
+        seedPostRevisions(db, seedPosts, new Date(now()).toISOString());
+        // Keeps archived posts out of the new database when feeds still list them.
+        importArchivedPosts(db, loadArchiveCache(paths.cacheDir), new Date(now()).toISOString());
+      }
+      existingPosts = seedPosts;
+    }
+  } catch {
+    // No existing cache, start fresh
+  }
+
+  if (!dryRun && !hasFetchLogs(db)) {
+    try {
+      const statusSeed = JSON.parse(readFileSync(paths.status, 'utf-8'));
+      const seedLogs = statusSeed.feeds || [];
+      if (seedLogs.length > 0) {
+        insertFetchLogs(db, seedLogs);
+      }
+    } catch {
+      // No status cache, skip
+    }
+  }
+  const existingPostsByKey = new Map(
+    existingPosts.map((post) => [
+      makeLookupKey(post.blogId, getPostKey({ link: post.link, title: post.title })),
+      post,
+    ])
+  );
+
+  // Conditional GET: only send validators for blogs we still hold posts for.
+  const storedValidators = config.CONDITIONAL_REQUESTS ? loadFeedValidators(db) : new Map();
+  const cachedPostCounts = new Map();
+  for (const post of existingPosts) {
+    cachedPostCounts.set(post.blogId, (cachedPostCounts.get(post.blogId) || 0) + 1);
+  }
+  const cachedFeedsByBlog = new Map();
+  for (const [blogId, validators] of storedValidators) {
+    const postCount = cachedPostCounts.get(blogId) || 0;
+    if (postCount > 0) cachedFeedsByBlog.set(blogId, { validators, postCount });
+  }
+
+  // Failure backoff: feeds that keep failing are skipped until their next retry time.
+  const failureStreaks = getFailureStreaks(db);
+  const runStartMs = now();
+  const deferredResults = [];
+  const dueBlogs = [];
+  for (const blog of blogs) {
+    const streak = failureStreaks.get(blog.id);
+    const nextRetryAt = streak ? getNextRetryAt(streak.lastAttemptAt, streak.failures, backoffOptions) : null;
+    if (force || only?.includes(blog.id) || isRetryDue(nextRetryAt, runStartMs)) {
+      dueBlogs.push(blog);
+      continue;
+    }
+    deferredResults.push({
+      posts: [],
+      status: {
+        blogId: blog.id,
+        status: 'deferred',
+        postCount: cachedPostCounts.get(blog.id) || 0,
+        lastFetched: new Date(runStartMs).toISOString(),
+        latencyMs: 0,
+        error: streak.lastError || null,
+        nextRetryAt,
+        proxy: null,
+      },
+    });
+  }
+  if (deferredResults.length > 0) {
+    logger.log(`Deferring ${deferredResults.length} failing feeds (use --force to fetch them anyway):`);
+    for (const { status } of deferredResults) {
+      const streak = failureStreaks.get(status.blogId);
+      logger.log(`  → ${status.blogId}: ${streak.failures} failures in a row, next retry ${status.nextRetryAt}`);
+    }
+    logger.log('');
+  }
+
+  // Separate Substack feeds from others
+  const substackBlogs = dueBlogs.filter(b => isSubstackFeed(b.feed) || b.proxy === true);
+  const otherBlogs = dueBlogs.filter(b => !isSubstackFeed(b.feed) && b.proxy !== true);
+
+  logger.log(`Found ${dueBlogs.length} blogs to fetch (${substackBlogs.length} Substack, ${otherBlogs.length} others)\n`);
+
+  // Fetch non-Substack feeds in parallel (they don't rate limit)
+  logger.log('--- Fetching non-Substack feeds in parallel ---\n');
+  const otherResults = await mapWithLimit(otherBlogs, config.FEED_CONCURRENCY, (blog) =>
+    fetchFeed(ctx, blog, false, existingPostsByKey, cachedFeedsByBlog.get(blog.id))
+  );
+
+  // Fetch Substack feeds in small parallel batches with delays between batches
+  const batchSize = config.SUBSTACK_BATCH_SIZE;
+  logger.log(`\n--- Fetching Substack feeds in batches of ${batchSize} via proxy ---\n`);
+  const substackResults = [];
+  for (let i = 0; i < substackBlogs.length; i += batchSize) {
+    const batch = substackBlogs.slice(i, i + batchSize);
+    const batchNum = Math.floor(i / batchSize) + 1;
+    const totalBatches = Math.ceil(substackBlogs.length / batchSize);
+    logger.log(`  Batch ${batchNum}/${totalBatches} (${batch.map(b => b.name).join(', ')})`);
+
+    const batchResults = await Promise.all(
+      batch.map(blog => fetchFeed(ctx, blog, true, existingPostsByKey, cachedFeedsByBlog.get(blog.id)))
+    );
+    substackResults.push(...batchResults);
+
+    // Add delay between batches to avoid rate limiting
+    if (i + batchSize < substackBlogs.length) {
+      logger.log(`    → Waiting ${config.SUBSTACK_BATCH_DELAY_MS / 1000}s before next batch...`);
+      await sleepImpl(config.SUBSTACK_BATCH_DELAY_MS);
+    }
+  }
+
+  logger.log('\n--- Persisting merged posts and status to SQLite/cache ---');
+  const results = [...otherResults, ...substackResults];
+
+  // Record when each failing feed will next be tried.
+  for (const { status } of results) {
+    if (status.status !== 'error') continue;
+    const failures = (failureStreaks.get(status.blogId)?.failures || 0) + 1;
+    status.nextRetryAt = getNextRetryAt(status.lastFetched, failures, backoffOptions);
+  }
+
+  // Posts prune.js moved to archived_posts stay there even if a feed still lists them.
+  const archivedIds = loadArchivedPostIds(db);
+  const freshPosts = results
+    .flatMap(r => r.posts)
+    .filter(post => !archivedIds.has(post.id))
+    .sort((a, b) => new Date(b.date).getTime() - new Date(a.date).getTime());
+
+  const seenLookupKeys = new Set();
+  const allPosts = [];
+
+  // Fresh posts take priority (they may have updated excerpts, etc.)
+  for (const post of freshPosts) {
+    const lookupKey = getLookupKeyForPost(post);
+    if (!seenLookupKeys.has(lookupKey)) {
+      seenLookupKeys.add(lookupKey);
+      allPosts.push(post);
+    }
+  }
+  for (const post of existingPosts) {
+    const lookupKey = getLookupKeyForPost(post);
+    if (!seenLookupKeys.has(lookupKey)) {
+      seenLookupKeys.add(lookupKey);
+      allPosts.push(post);
+    }
+  }
+
+  allPosts.sort((a, b) => new Date(b.date).getTime() - new Date(a.date).getTime());
+
+  // Cross-blog duplicates: every copy points at one canonical post. Recomputed
+  // over the whole corpus each run, so a late-arriving original takes over.
+  const syndicatedCopies = findSyndicatedCopies(allPosts);
+  for (const post of allPosts) {
+    const canonicalId = syndicatedCopies.get(post.id);
+    if (canonicalId) post.syndicatedOf = canonicalId;
+    else delete post.syndicatedOf;
+  }
+  logger.log(`  → Marked ${syndicatedCopies.size} posts as syndicated copies`);
+
+  const allStatuses = [...results, ...deferredResults].map(r => r.status);
+
+  const nowIso = new Date(now()).toISOString();
+  const revisions = results.flatMap(r => r.revisions || []);
+
+  const healthyCount = allStatuses.filter(s => isHealthyStatus(s.status)).length;
+  const unchangedCount = allStatuses.filter(s => s.status === 'unchanged').length;
+  const cacheLastUpdated = healthyCount === 0 && existingCacheLastUpdated
+    ? existingCacheLastUpdated
+    : nowIso;
+  const cachePosts = allPosts.length > 0 ? allPosts : existingPosts;
+
+  const postsCache = buildPostsCache(cachePosts, cacheLastUpdated);
+  const diff = diffPostsCache(existingCachePosts, postsCache.posts);
+  const changeSet = computeChangeSet({
+    diff,
+    results,
+    previousItems: loadFeedItems(db),
+    failureStreaks,
+    postsById: new Map(cachePosts.map(p => [p.id, p])),
+  });
+  let statusData = null;
+  let changesData = null;
+  let runId = null;
+
+  if (dryRun) {
+    logger.log('  → Dry run: skipping SQLite and cache writes');
+  } else {
+    logger.log(`  → Upserting ${allPosts.length} posts`);
+    upsertPosts(db, allPosts, nowIso);
+    logger.log(`  → Recording ${revisions.length} post revisions`);
+    insertPostRevisions(db, revisions, nowIso);
+    logger.log(`  → Inserting ${allStatuses.length} fetch log rows`);
+    insertFetchLogs(db, allStatuses);
+    if (config.CONDITIONAL_REQUESTS) {
+      // Failed fetches keep whatever validators were stored before.
+      const fetchedResults = results.filter(r => isHealthyStatus(r.status.status));
+      upsertFeedValidators(db, fetchedResults.map(r => ({ blogId: r.status.blogId, validators: r.validators })));
+    }
+    runId = insertRun(db, { runAt: nowIso, partial, feeds: allStatuses.length, changes: changeSet });
+    replaceFeedItems(db, getFeedItemEntries(results));
+    changesData = buildChangesCache(loadRecentRuns(db, CHANGES_HISTORY_RUNS));
+
+    // A partial run keeps every other blog's latest row in status.json.
+    const fetchedIds = new Set(allStatuses.map(s => s.blogId));
+    const listedIds = new Set(allBlogs.map(b => b.id));
+    const otherStatuses = partial
+      ? getLatestLogs(db).filter(row => listedIds.has(row.blogId) && !fetchedIds.has(row.blogId))
+      : [];
+    const streaksAfterRun = getFailureStreaks(db);
+    const statusRows = attachFeedHistory(
+      attachFailureStreaks([...allStatuses, ...otherStatuses], streaksAfterRun),
+      getFeedHistory(db, streaksAfterRun)
+    );
+    statusData = buildStatusCache(statusRows, nowIso);
+
+    logger.log('  → Writing cache files');
+    writeCacheFiles({
+      cacheDir: paths.cacheDir,
+      postsPath: paths.posts,
+      statusPath: paths.status,
+      postsCache,
+      statusCache: statusData,
+      changesPath: paths.changes,
+      changesCache: changesData,
+    });
+  }
+
+  logger.log(`\n=== Summary ===`);
+  logger.log(`Total posts fetched: ${allPosts.length}`);
+  logger.log(`Feeds healthy: ${healthyCount}/${allStatuses.length}`);
+  logger.log(`Feeds unchanged (304): ${unchangedCount}`);
+  logger.log(`Feeds deferred (backoff): ${deferredResults.length}`);
+  logger.log(`Posts revised: ${revisions.length}`);
+  logger.log(`Changes: ${summarizeChangeSet(changeSet)}`);
+  const postsById = new Map(allPosts.map(p => [p.id, p]));
+  for (const revision of revisions.slice(0, 10)) {
+    const post = postsById.get(revision.postId);
+    logger.log(`  ✎ ${post?.blogId}: ${post?.title.substring(0, 60)} (${revision.fields.join(', ')})`);
+  }
+  if (revisions.length > 10) logger.log(`  … and ${revisions.length - 10} more`);
+  const proxyStats = ctx.proxyPool.stats();
+  if (proxyStats.some((stat) => stat.attempts > 0)) {
+    logger.log('Proxies:');
+    for (const stat of proxyStats) logger.log(`  ${formatProxyStats(stat)}`);
+  }
+  if (dryRun) {
+    logDiff(logger, diff, paths.posts);
+  } else {
+    logger.log(`Cache updated: ${postsCache.lastUpdated}`);
+  }
+
+  const feeds = [...results, ...deferredResults].map(r => (r.items ? { ...r.status, items: r.items } : r.status));
+  return {
+    runAt: nowIso,
+    dryRun,
+    blogIds: blogs.map(b => b.id),
+    posts: allPosts,
+    statuses: allStatuses,
+    feeds,
+    revisions,
+    diff,
+    runId,
+    changeSet,
+    proxies: proxyStats,
+    postsCache,
+    statusCache: statusData,
+    changesCache: changesData,
+  };
+}
+
+const DIFF_LOG_LIMIT = 50;
+
+function logDiff(logger, diff, postsPath) {
+  const { added, changed, removed } = diff;
+  logger.log(`\n=== Dry run: changes against ${postsPath} ===`);
+  logger.log(`${added.length} added, ${changed.length} changed, ${removed.length} removed`);
+  const section = (label, entries, format) => {
+    if (entries.length === 0) return;
+    logger.log(`${label}:`);
+    for (const entry of entries.slice(0, DIFF_LOG_LIMIT)) logger.log(`  ${format(entry)}`);
+    if (entries.length > DIFF_LOG_LIMIT) logger.log(`  … and ${entries.length - DIFF_LOG_LIMIT} more`);
+  };
+  const describe = (post) => `${post.blogId}: ${post.title.substring(0, 60)} (${String(post.date).slice(0, 10)})`;
+  section('Added', added, (post) => `+ ${describe(post)}`);
+  section('Changed', changed, ({ post, fields }) => `~ ${describe(post)} [${fields.join(', ')}]`);
+  section('Removed', removed, (post) => `- ${describe(post)}`);
+}
+
+// The --json report: per-feed results, revisions, the posts.json diff, the
+// run's change set (scripts/lib/changes.js) and proxy stats.
+export function buildRunReport(result) {
+  const brief = (post) => ({ id: post.id, blogId: post.blogId, title: post.title, date: post.date, link: post.link });
+  const count = (status) => result.statuses.filter(s => s.status === status).length;
+  return {
+    runAt: result.runAt,
+    dryRun: result.dryRun,
+    blogs: result.blogIds,
+    summary: {
+      feeds: result.statuses.length,
+      ok: count('ok'),
+      unchanged: count('unchanged'),
+      errors: count('error'),
+      deferred: count('deferred'),
+      posts: result.postsCache.posts.length,
+      revised: result.revisions.length,
+      added: result.diff.added.length,
+      changed: result.diff.changed.length,
+      removed: result.diff.removed.length,
+    },
+    feeds: result.feeds,
+    revisions: result.revisions.map(({ postId, fields, revisedAt }) => ({ postId, fields, revisedAt })),
+    changes: {
+      added: result.diff.added.map(brief),
+      changed: result.diff.changed.map(({ post, fields }) => ({ ...brief(post), fields })),
+      removed: result.diff.removed.map(brief),
+    },
+    run: { id: result.runId, ...result.changeSet },
+    proxies: result.proxies,
+  };
+}
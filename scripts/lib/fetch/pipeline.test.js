@@ -0,0 +1,372 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtempSync, readFileSync, readdirSync, rmSync, writeFileSync, mkdirSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createRequire } from 'node:module';
+
+import { runFetchPipeline, buildRunReport } from './pipeline.js';
+import { runMigrations } from '../migrate.js';
+import { loadPosts, seedPostRevisions, upsertBlogs, upsertPosts } from '../db.js';
+import { loadFetchConfig } from '../fetch-config.js';
+
+// End-to-end runs of the fetcher against a local server: fixture feeds with
+// ETags, a blog that blocks direct requests, a fake /api/fetch-rss proxy, a
+// second proxy that is always rate limited, and a feed that is gone. Nothing
+// leaves 127.0.0.1.
+
+const require = createRequire(import.meta.url);
+const Database = require('better-sqlite3');
+
+const readFeedFixture = (name) => readFileSync(new URL(`./fixtures/feeds/${name}.xml`, import.meta.url), 'utf8');
+const HOUR_MS = 60 * 60 * 1000;
+const LETTERS = ['letters-ana', 'letters-bo', 'letters-cy'];
+
+// `state.fieldNotes` picks the field-notes version; `state.proxy403` counts
+// down rate-limited answers from the proxy for slow-compiles.
+function startFixtureServer(state) {
+  const requests = [];
+
+  function serveFeed(path, req, res, origin) {
+    const [, id] = path.split('/');
+    let body;
+    let etag;
+    if (id === 'field-notes') {
+      body = readFeedFixture(`field-notes-${state.fieldNotes}`);
+      etag = `"field-notes-${state.fieldNotes}"`;
+    } else if (id === 'slow-compiles') {
+      body = readFeedFixture('slow-compiles');
+      etag = '"slow-compiles-1"';
+    } else if (LETTERS.includes(id)) {
+      body = readFeedFixture('letters').replaceAll('{{id}}', id).replaceAll('{{name}}', id.replace('letters-', 'Letters from '));
+      etag = `"${id}-1"`;
+    } else {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    if (req.headers['if-none-match'] === etag) {
+      res.writeHead(304, { ETag: etag });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { ETag: etag, 'Content-Type': 'application/rss+xml' });
+    res.end(body.replaceAll('{{origin}}', origin));
+  }
+
+  const server = createServer((req, res) => {
+    const origin = `http://${req.headers.host}`;
+    const url = new URL(req.url, origin);
+    if (url.pathname === '/api/blocked-rss') {
+      requests.push({ via: 'blocked-proxy', path: new URL(url.searchParams.get('url')).pathname });
+      res.writeHead(403, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Upstream returned 403' }));
+      return;
+    }
+    if (url.pathname === '/api/fetch-rss') {
+      const target = new URL(url.searchParams.get('url'));
+      requests.push({ via: 'proxy', path: target.pathname });
+      if (target.pathname.startsWith('/slow-compiles/') && state.proxy403 > 0) {
+        state.proxy403--;
+        res.writeHead(403);
+        res.end();
+        return;
+      }
+      serveFeed(target.pathname, req, res, origin);
+      return;
+    }
+    requests.push({ via: 'direct', path: url.pathname });
+    // Blocks direct requests, as Substack does for CI runners.
+    if (url.pathname.startsWith('/slow-compiles/') || LETTERS.some((id) => url.pathname.startsWith(`/${id}/`))) {
+      res.writeHead(403);
+      res.end();
+      return;
+    }
+    serveFeed(url.pathname, req, res, origin);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, origin: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+function createWorkspace(origin) {
+  const dir = mkdtempSync(join(tmpdir(), 'smallweb-fetch-'));
+  const blog = (id, name, extra = {}) => ({
+    id,
+    name,
+    url: `${origin}/${id}/`,
+    feed: `${origin}/${id}/feed.xml`,
+    categories: ['tech'],
+    ...extra,
+  });
+  const blogs = [
+    blog('field-notes', 'Field Notes', { categories: ['life'] }),
+    blog('slow-compiles', 'Slow Compiles'),
+    blog('gone', 'Gone Quiet'),
+    ...LETTERS.map((id) => blog(id, id, { proxy: true })),
+  ];
+  writeFileSync(join(dir, 'blogs.json'), JSON.stringify({ blogs }, null, 2));
+  mkdirSync(join(dir, 'cache'));
+  return {
+    dir,
+    paths: {
+      blogs: join(dir, 'blogs.json'),
+      cacheDir: join(dir, 'cache'),
+      posts: join(dir, 'cache/posts.json'),
+      status: join(dir, 'cache/status.json'),
+      changes: join(dir, 'cache/changes.json'),
+    },
+  };
+}
+
+function createRun({ origin, paths, db, env = {} }) {
+  const clock = { ms: Date.parse('2026-03-10T12:00:00.000Z') };
+  const sleeps = [];
+  const config = loadFetchConfig({
+    PROXY_URL: `${origin}/api/fetch-rss`,
+    ...env,
+    FETCH_PAGE_EXCERPTS: 'false',
+    SUBSTACK_BATCH_SIZE: '2',
+    SUBSTACK_BATCH_DELAY_MS: '4000',
+    BACKOFF_THRESHOLD: '1',
+  });
+  const run = (options = {}) => runFetchPipeline({
+    db,
+    paths,
+    config,
+    now: () => clock.ms,
+    sleepImpl: async (ms) => { sleeps.push(ms); },
+    logger: { log() {}, error() {} },
+    ...options,
+  });
+  return { run, clock, sleeps };
+}
+
+function proxyOf(db, blogId) {
+  return db.prepare('SELECT proxy FROM fetch_log WHERE blog_id = ? ORDER BY id').all(blogId).map((row) => row.proxy);
+}
+
+function statusOf(db, blogId) {
+  return db.prepare('SELECT status FROM fetch_log WHERE blog_id = ? ORDER BY id').all(blogId).map((row) => row.status);
+}
+
+async function withFixtures(fn, { proxy403 = 1, env = () => ({}) } = {}) {
+  const state = { fieldNotes: 'v1', proxy403 };
+  const { server, requests, origin } = await startFixtureServer(state);
+  const { dir, paths } = createWorkspace(origin);
+  const db = new Database(':memory:');
+  runMigrations(db);
+  try {
+    await fn({ state, requests, origin, paths, db, ...createRun({ origin, paths, db, env: env(origin) }) });
+  } finally {
+    db.close();
+    server.close();
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('fetch pipeline writes posts, fetch logs and cache files, falling back to the proxy', async () => {
+  await withFixtures(async ({ requests, origin, paths, db, run, sleeps }) => {
+    const result = await run();
+
+    const posts = db.prepare('SELECT id, blog_id as blogId, title FROM posts ORDER BY date DESC').all();
+    assert.equal(posts.length, 6);
+    assert.deepEqual(posts.filter((p) => p.blogId === 'field-notes').map((p) => p.title), [
+      'Planting garlic in October',
+      'Why I stopped digging',
+    ]);
+    assert.deepEqual(statusOf(db, 'slow-compiles'), ['ok']);
+    assert.deepEqual(statusOf(db, 'gone'), ['error']);
+    assert.equal(db.prepare('SELECT COUNT(*) as n FROM feed_validators').get().n, 5);
+
+    // slow-compiles: direct 403, then the proxy's own 403 waits 5s before its retry.
+    const slowRequests = requests.filter((r) => r.path.startsWith('/slow-compiles/')).map((r) => r.via);
+    assert.deepEqual(slowRequests, ['direct', 'proxy', 'proxy']);
+    // proxy: true blogs never go direct and run in batches of two with a delay between.
+    assert.ok(requests.filter((r) => r.via === 'direct').every((r) => !r.path.startsWith('/letters-')));
+    assert.deepEqual(sleeps, [5000, 4000]);
+    assert.deepEqual(proxyOf(db, 'slow-compiles'), [`${origin}/api/fetch-rss`]);
+    assert.deepEqual(proxyOf(db, 'field-notes'), [null]);
+
+    const postsCache = JSON.parse(readFileSync(paths.posts, 'utf8'));
+    assert.equal(postsCache.lastUpdated, '2026-03-10T12:00:00.000Z');
+    assert.deepEqual(postsCache.posts.map((p) => p.id), result.posts.map((p) => p.id));
+    const statusCache = JSON.parse(readFileSync(paths.status, 'utf8'));
+    assert.equal(statusCache.summary.total, 6);
+    assert.equal(statusCache.summary.healthy, 5);
+    assert.deepEqual(statusCache.summary.proxies, [{ url: `${origin}/api/fetch-rss`, feeds: 4, healthy: 4 }]);
+    const gone = statusCache.feeds.find((f) => f.blogId === 'gone');
+    assert.equal(gone.error, 'Status code 404');
+    assert.equal(gone.nextRetryAt, '2026-03-10T20:00:00.000Z');
+
+    // Only the committed files; the posts shards are written at build time.
+    assert.deepEqual(readdirSync(paths.cacheDir).sort(), ['changes.json', 'posts.json', 'status.json']);
+  });
+});
+
+test('fetch pipeline merges later runs, keeps 304 feeds and defers failing ones', async () => {
+  await withFixtures(async ({ state, requests, paths, db, run, clock }) => {
+    await run();
+    const firstIds = db.prepare('SELECT id FROM posts').all().map((row) => row.id);
+
+    state.fieldNotes = 'v2';
+    clock.ms += HOUR_MS;
+    requests.length = 0;
+    const result = await run();
+
+    // Unchanged feeds answer 304 and keep their posts.
+    assert.deepEqual(statusOf(db, 'slow-compiles'), ['ok', 'unchanged']);
+    assert.deepEqual(statusOf(db, 'letters-ana'), ['ok', 'unchanged']);
+    const ids = db.prepare('SELECT id FROM posts').all().map((row) => row.id);
+    assert.equal(ids.length, 7);
+    assert.ok(firstIds.every((id) => ids.includes(id)));
+
+    // The renamed post keeps its id and records a revision; the new post is merged in.
+    const garlic = result.posts.find((p) => p.link.endsWith('/field-notes/garlic'));
+    assert.equal(garlic.title, 'Planting garlic before the frost');
+    assert.ok(firstIds.includes(garlic.id));
+    const revisions = db.prepare('SELECT post_id as postId, fields, previous_title as previousTitle FROM post_revisions').all();
+    assert.deepEqual(revisions, [{ postId: garlic.id, fields: 'title', previousTitle: 'Planting garlic in October' }]);
+    assert.equal(result.posts[0].title, 'Saving tomato seed');
+
+    // One failure with a threshold of 1 pushes the next try 8h out.
+    assert.ok(requests.every((r) => !r.path.startsWith('/gone/')));
+    assert.deepEqual(statusOf(db, 'gone'), ['error', 'deferred']);
+
+    const postsCache = JSON.parse(readFileSync(paths.posts, 'utf8'));
+    assert.equal(postsCache.posts.length, 7);
+    assert.equal(postsCache.lastUpdated, '2026-03-10T13:00:00.000Z');
+
+    // A database rebuilt from posts.json keeps the revision date.
+    const revisedAt = postsCache.posts.find((p) => p.id === garlic.id).updatedAt;
+    assert.ok(revisedAt);
+    const reseeded = new Database(':memory:');
+    runMigrations(reseeded);
+    upsertBlogs(reseeded, JSON.parse(readFileSync(paths.blogs, 'utf8')).blogs);
+    upsertPosts(reseeded, postsCache.posts, postsCache.lastUpdated);
+    assert.equal(seedPostRevisions(reseeded, postsCache.posts), 1);
+    assert.equal(seedPostRevisions(reseeded, postsCache.posts), 0);
+    assert.equal(loadPosts(reseeded).find((p) => p.id === garlic.id).updatedAt, revisedAt);
+    reseeded.close();
+    const statusCache = JSON.parse(readFileSync(paths.status, 'utf8'));
+    assert.equal(statusCache.feeds.find((f) => f.blogId === 'gone').status, 'deferred');
+
+    // --force fetches the deferred feed anyway.
+    clock.ms += HOUR_MS;
+    await run({ force: true });
+    assert.deepEqual(statusOf(db, 'gone'), ['error', 'deferred', 'error']);
+  });
+});
+
+test('fetch pipeline records what each run added, changed and dropped', async () => {
+  await withFixtures(async ({ state, paths, db, run, clock }) => {
+    const first = await run();
+    assert.equal(first.changeSet.added.length, 6);
+    assert.deepEqual(first.changeSet.failing, [{ blogId: 'gone', error: 'Status code 404' }]);
+    assert.deepEqual(first.changeSet.dropped, []);
+
+    state.fieldNotes = 'v2';
+    clock.ms += HOUR_MS;
+    const second = await run();
+    assert.deepEqual(second.changeSet.added.map((p) => p.title), ['Saving tomato seed']);
+    assert.deepEqual(
+      second.changeSet.changed.map((p) => [p.title, p.previousTitle, p.previousDate]),
+      [['Planting garlic before the frost', 'Planting garlic in October', undefined]]
+    );
+    // A feed that is still failing is not reported again.
+    assert.deepEqual(second.changeSet.failing, []);
+
+    // The garlic post leaves the feed while older posts stay listed: dropped, but kept.
+    state.fieldNotes = 'v3';
+    clock.ms += HOUR_MS;
+    const third = await run();
+    assert.deepEqual(third.changeSet.dropped.map((p) => p.title), ['Planting garlic before the frost']);
+    assert.ok(third.posts.some((p) => p.title === 'Planting garlic before the frost'));
+
+    const runs = db.prepare('SELECT id, posts_added as added, posts_changed as changed, posts_dropped as dropped, feeds_failing as failing FROM runs ORDER BY id').all();
+    assert.deepEqual(runs, [
+      { id: 1, added: 6, changed: 0, dropped: 0, failing: 1 },
+      { id: 2, added: 1, changed: 1, dropped: 0, failing: 0 },
+      { id: 3, added: 0, changed: 0, dropped: 1, failing: 0 },
+    ]);
+    const changesCache = JSON.parse(readFileSync(paths.changes, 'utf8'));
+    assert.equal(changesCache.lastUpdated, '2026-03-10T14:00:00.000Z');
+    assert.deepEqual(changesCache.runs.map((r) => r.id), [3, 2, 1]);
+    assert.deepEqual(changesCache.runs[0].changes, third.changeSet);
+    assert.deepEqual(buildRunReport(third).run, { id: 3, ...third.changeSet });
+  });
+});
+
+test('fetch pipeline rotates proxies and moves off one that is rate limited', async () => {
+  await withFixtures(async ({ requests, origin, db, run, sleeps }) => {
+    const result = await run();
+    const good = `${origin}/api/fetch-rss`;
+    const blocked = `${origin}/api/blocked-rss`;
+
+    // Every proxied feed ends up served by the working proxy, without 5s waits.
+    for (const id of ['slow-compiles', ...LETTERS]) {
+      assert.deepEqual(statusOf(db, id), ['ok'], id);
+      assert.deepEqual(proxyOf(db, id), [good], id);
+    }
+    assert.deepEqual(sleeps, [4000]);
+
+    const stats = new Map(result.proxies.map((stat) => [stat.url, stat]));
+    assert.equal(stats.get(good).ok, 4);
+    assert.equal(stats.get(good).weight, 2);
+    const blockedStat = stats.get(blocked);
+    assert.equal(blockedStat.attempts, requests.filter((r) => r.via === 'blocked-proxy').length);
+    assert.ok(blockedStat.attempts > 0);
+    assert.equal(blockedStat.rateLimited, blockedStat.attempts);
+    assert.equal(blockedStat.ok, 0);
+  }, { proxy403: 0, env: (origin) => ({ PROXY_URLS: `${origin}/api/fetch-rss|2,${origin}/api/blocked-rss` }) });
+});
+
+test('fetch pipeline dry runs and single-blog runs leave everything else alone', async () => {
+  await withFixtures(async ({ state, requests, paths, db, run, clock }) => {
+    await run();
+    const postsBefore = readFileSync(paths.posts, 'utf8');
+    const statusBefore = readFileSync(paths.status, 'utf8');
+    const logRows = db.prepare('SELECT COUNT(*) as n FROM fetch_log').get().n;
+
+    // The dry run fetches only field-notes (v2: one new post, one retitled) and writes nothing.
+    state.fieldNotes = 'v2';
+    clock.ms += HOUR_MS;
+    requests.length = 0;
+    const dry = await run({ only: ['field-notes'], dryRun: true, verboseItems: true });
+    assert.deepEqual(requests.map((r) => r.path), ['/field-notes/feed.xml']);
+    assert.equal(readFileSync(paths.posts, 'utf8'), postsBefore);
+    assert.equal(readFileSync(paths.status, 'utf8'), statusBefore);
+    assert.equal(db.prepare('SELECT COUNT(*) as n FROM fetch_log').get().n, logRows);
+    assert.equal(db.prepare('SELECT COUNT(*) as n FROM post_revisions').get().n, 0);
+
+    const report = buildRunReport(dry);
+    assert.equal(report.dryRun, true);
+    assert.deepEqual(report.blogs, ['field-notes']);
+    assert.deepEqual(report.changes.added.map((p) => p.title), ['Saving tomato seed']);
+    assert.deepEqual(report.changes.changed.map((p) => [p.title, p.fields]), [['Planting garlic before the frost', ['title', 'updatedAt']]]);
+    assert.deepEqual(report.changes.removed, []);
+    const items = report.feeds[0].items;
+    assert.deepEqual(items.map((item) => [item.index, item.source, item.reason]), [
+      [0, 'primary', 'feed date'],
+      [1, 'primary', 'feed date'],
+      [2, 'primary', 'feed date'],
+    ]);
+    assert.equal(JSON.parse(JSON.stringify(report)).summary.added, 1);
+
+    // A real --only run for a backed-off feed fetches it and keeps the other feeds' status rows.
+    await run({ only: ['gone'] });
+    assert.deepEqual(statusOf(db, 'gone'), ['error', 'error']);
+    assert.deepEqual(statusOf(db, 'field-notes'), ['ok']);
+    const statusCache = JSON.parse(readFileSync(paths.status, 'utf8'));
+    assert.equal(statusCache.feeds.length, 6);
+    assert.equal(statusCache.feeds.find((f) => f.blogId === 'slow-compiles').status, 'ok');
+    assert.equal(JSON.parse(readFileSync(paths.posts, 'utf8')).posts.length, 6);
+
+    await assert.rejects(run({ only: ['nope'] }), /Unknown blog id\(s\): nope/);
+    await assert.rejects(run({ category: 'politics' }), /No blogs match --category politics/);
+  });
+});
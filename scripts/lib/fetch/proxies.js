@@ -0,0 +1,79 @@
+// RSS proxy rotation for one fetch run. Proxies are picked by smooth weighted
+// round-robin; one that keeps getting rate limited or failing is taken out of
+// rotation for the rest of the run.
+
+export const MIN_ATTEMPTS_FOR_HEALTH = 3;
+export const MAX_FAILURE_RATE = 0.5;
+
+// `proxies` is [{ url, weight }] from loadFetchConfig.
+export function createProxyPool(proxies, { minAttempts = MIN_ATTEMPTS_FOR_HEALTH, maxFailureRate = MAX_FAILURE_RATE } = {}) {
+  const entries = proxies.map(({ url, weight }) => ({
+    url,
+    weight: weight > 0 ? weight : 1,
+    current: 0,
+    attempts: 0,
+    ok: 0,
+    rateLimited: 0,
+    errors: 0,
+  }));
+  const byUrl = new Map(entries.map((entry) => [entry.url, entry]));
+
+  function isHealthy(entry) {
+    if (entry.attempts < minAttempts) return true;
+    return (entry.rateLimited + entry.errors) / entry.attempts <= maxFailureRate;
+  }
+
+  // Healthy proxies not in `exclude`; failing that any healthy one, and if
+  // every proxy is unhealthy, all of them rather than none.
+  function candidates(exclude) {
+    const healthy = entries.filter(isHealthy);
+    const untried = healthy.filter((entry) => !exclude.has(entry.url));
+    if (untried.length) return untried;
+    return healthy.length ? healthy : entries;
+  }
+
+  return {
+    pick(exclude = new Set()) {
+      const pool = candidates(exclude);
+      const total = pool.reduce((sum, entry) => sum + entry.weight, 0);
+      let best = null;
+      for (const entry of pool) {
+        entry.current += entry.weight;
+        if (!best || entry.current > best.current) best = entry;
+      }
+      best.current -= total;
+      return best.url;
+    },
+    // True when `pick(exclude)` would return a proxy not in `exclude`.
+    hasUntried(exclude) {
+      return entries.some((entry) => isHealthy(entry) && !exclude.has(entry.url));
+    },
+    // `outcome` is 'ok', 'rate-limited' or 'error'.
+    record(url, outcome) {
+      const entry = byUrl.get(url);
+      if (!entry) return;
+      entry.attempts++;
+      if (outcome === 'ok') entry.ok++;
+      else if (outcome === 'rate-limited') entry.rateLimited++;
+      else entry.errors++;
+    },
+    stats() {
+      return entries.map((entry) => ({
+        url: entry.url,
+        weight: entry.weight,
+        attempts: entry.attempts,
+        ok: entry.ok,
+        rateLimited: entry.rateLimited,
+        errors: entry.errors,
+        healthy: isHealthy(entry),
+      }));
+    },
+  };
+}
+
+export function formatProxyStats(stat) {
+  const rate = (n) => (stat.attempts ? `${Math.round((n / stat.attempts) * 100)}%` : '-');
+  return `${stat.url} (weight ${stat.weight}): ${stat.attempts} requests, ${stat.ok} ok, ` +
+    `${stat.rateLimited} rate-limited (${rate(stat.rateLimited)}), ${stat.errors} errors` +
+    `${stat.healthy ? '' : ' — out of rotation'}`;
+}
@@ -0,0 +1,46 @@
+import { createHash } from 'crypto';
+import { stripHtml } from './html.js';
+
+// Hash of an item's full body as the feed delivers it, markup- and whitespace-insensitive.
+export function hashContent(content) {
+  const text = stripHtml(content);
+  if (!text) return null;
+  return createHash('sha1').update(text).digest('hex');
+}
+
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Fields that changed between the stored post and a fresh fetch of it, or null.
+// Hashes are only compared when both sides have one, so posts stored before
+// hashing existed never count as revised on their first re-fetch. Excerpts
+// only count when there is no hash to go on: with an unchanged body, a
+// different excerpt means our excerpting changed, not the essay.
+export function detectRevision(previous, next) {
+  if (!previous) return null;
+  const fields = [];
+  if (normalizeText(previous.title) !== normalizeText(next.title)) fields.push('title');
+  const hashesKnown = Boolean(previous.contentHash && next.contentHash);
+  if (hashesKnown && previous.contentHash !== next.contentHash) fields.push('content');
+  if (
+    !hashesKnown &&
+    previous.excerpt &&
+    next.excerpt &&
+    normalizeText(previous.excerpt) !== normalizeText(next.excerpt)
+  ) {
+    fields.push('excerpt');
+  }
+  return fields.length > 0 ? fields : null;
+}
+
+// When the revision happened: the feed's own <updated> if it moved forward
+// and is not in the future, otherwise the time we noticed.
+export function getRevisedAt(previousFeedUpdatedAt, feedUpdatedAt, detectedAt) {
+  const updatedMs = Date.parse(feedUpdatedAt || '');
+  const previousMs = Date.parse(previousFeedUpdatedAt || '');
+  const detectedMs = Date.parse(detectedAt);
+  if (Number.isNaN(updatedMs) || updatedMs > detectedMs) return detectedAt;
+  if (!Number.isNaN(previousMs) && updatedMs <= previousMs) return detectedAt;
+  return new Date(updatedMs).toISOString();
+}
@@ -0,0 +1,221 @@
+import { normalizeUrl } from './urls.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SHINGLE_SIZE = 4;
+
+// Hosts that usually carry the copy rather than the original.
+const PLATFORM_HOST = /(^|\.)(substack\.com|medium\.com|ghost\.io|wordpress\.com|blogspot\.com|tumblr\.com|linkedin\.com)$/i;
+
+const DEFAULTS = {
+  windowDays: 14,
+  minTitleWords: 4,
+  minExcerptWords: 20,
+  excerptSimilarity: 0.6,
+  titleSimilarity: 0.5,
+  // Shingles shared by more posts than this are boilerplate ("subscribe now…").
+  maxShingleBucket: 40,
+};
+
+function words(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+export function normalizeTitleForMatch(title) {
+  return words(title).join(' ');
+}
+
+export function getShingles(text, size = SHINGLE_SIZE) {
+  const tokens = words(text);
+  const shingles = new Set();
+  for (let i = 0; i + size <= tokens.length; i++) {
+    shingles.add(tokens.slice(i, i + size).join(' '));
+  }
+  return shingles;
+}
+
+export function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) if (b.has(item)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+function comparableHost(url) {
+  try {
+    return new URL(normalizeUrl(url)).hostname.replace(/^www\./, '').toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+// Scheme- and www-insensitive form of a URL for equality checks.
+function comparableUrl(url) {
+  const normalized = normalizeUrl(url);
+  if (!normalized) return '';
+  try {
+    const parsed = new URL(normalized);
+    return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname}${parsed.search}`.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+export function isPlatformUrl(url) {
+  try {
+    return PLATFORM_HOST.test(new URL(url).hostname);
+  } catch {
+    return false;
+  }
+}
+
+// Which member of a group is the original: the one the others declare as
+// rel=canonical, then the one on the writer's own domain, then the earliest.
+function pickCanonical(group) {
+  const declared = new Set(group.map((p) => p.canonicalKey).filter(Boolean));
+  return [...group].sort((a, b) => {
+    const aDeclared = declared.has(a.linkKey) ? 0 : 1;
+    const bDeclared = declared.has(b.linkKey) ? 0 : 1;
+    if (aDeclared !== bDeclared) return aDeclared - bDeclared;
+    const aPlatform = isPlatformUrl(a.post.link) ? 1 : 0;
+    const bPlatform = isPlatformUrl(b.post.link) ? 1 : 0;
+    if (aPlatform !== bPlatform) return aPlatform - bPlatform;
+    if (a.ts !== b.ts) return a.ts - b.ts;
+    return String(a.post.id).localeCompare(String(b.post.id));
+  })[0];
+}
+
+// Finds the same essay published under more than one blog. Returns a Map of
+// copy post id → canonical post id; posts within one blog are never paired
+// (getLookupKeyForPost already dedupes those).
+export function findSyndicatedCopies(posts, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const windowMs = opts.windowDays * DAY_MS;
+
+  const entries = posts.map((post, index) => {
+    const titleWords = words(post.title);
+    const excerptWords = words(post.excerpt);
+    return {
+      index,
+      post,
+      ts: Date.parse(post.date),
+      linkKey: comparableUrl(post.link),
+      canonicalKey: post.canonicalUrl ? comparableUrl(post.canonicalUrl) : '',
+      hosts: new Set([comparableHost(post.link), post.canonicalUrl ? comparableHost(post.canonicalUrl) : ''].filter(Boolean)),
+      title: titleWords.join(' '),
+      titleWordCount: titleWords.length,
+      titleSet: new Set(titleWords),
+      shingles: excerptWords.length >= opts.minExcerptWords ? getShingles(post.excerpt) : null,
+    };
+  });
+
+  // Union-find over posts. A group holds at most one post per blog, so a
+  // weak title match can never chain two different posts of one writer together.
+  const parent = entries.map((_, i) => i);
+  const groupBlogs = entries.map((entry) => new Set([entry.post.blogId]));
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  const union = (a, b) => {
+    const ra = find(a);
+    const rb = find(b);
+    if (ra === rb) return;
+    for (const blogId of groupBlogs[rb]) if (groupBlogs[ra].has(blogId)) return;
+    const [root, child] = ra < rb ? [ra, rb] : [rb, ra];
+    parent[child] = root;
+    for (const blogId of groupBlogs[child]) groupBlogs[root].add(blogId);
+  };
+  const crossBlog = (a, b) => a.post.blogId !== b.post.blogId;
+  const closeInTime = (a, b) =>
+    Number.isNaN(a.ts) || Number.isNaN(b.ts) || Math.abs(a.ts - b.ts) <= windowMs;
+
+  // 1. Same URL, either directly or through a declared rel=canonical.
+  const byUrl = new Map();
+  for (const entry of entries) {
+    for (const key of new Set([entry.linkKey, entry.canonicalKey])) {
+      if (!key) continue;
+      if (!byUrl.has(key)) byUrl.set(key, []);
+      byUrl.get(key).push(entry);
+    }
+  }
+  for (const group of byUrl.values()) {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        if (crossBlog(group[i], group[j])) union(group[i].index, group[j].index);
+      }
+    }
+  }
+
+  // 2. Identical, reasonably specific titles close in time, backed by either
+  //    overlapping excerpts or a shared link/canonical host. A title alone
+  //    ("Notes on Writing Well") is too common to prove two posts are one.
+  const byTitle = new Map();
+  for (const entry of entries) {
+    if (entry.titleWordCount < opts.minTitleWords) continue;
+    if (!byTitle.has(entry.title)) byTitle.set(entry.title, []);
+    byTitle.get(entry.title).push(entry);
+  }
+  for (const group of byTitle.values()) {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const a = group[i];
+        const b = group[j];
+        if (!crossBlog(a, b) || !closeInTime(a, b)) continue;
+        const excerptsOverlap = a.shingles && b.shingles && jaccard(a.shingles, b.shingles) >= opts.excerptSimilarity / 2;
+        const sharedHost = [...a.hosts].some((host) => b.hosts.has(host));
+        if (excerptsOverlap || sharedHost) union(a.index, b.index);
+      }
+    }
+  }
+
+  // 3. Near-identical excerpts with similar titles (an edited headline on the copy).
+  const byShingle = new Map();
+  for (const entry of entries) {
+    if (!entry.shingles) continue;
+    for (const shingle of entry.shingles) {
+      if (!byShingle.has(shingle)) byShingle.set(shingle, []);
+      byShingle.get(shingle).push(entry);
+    }
+  }
+  const compared = new Set();
+  for (const bucket of byShingle.values()) {
+    if (bucket.length < 2 || bucket.length > opts.maxShingleBucket) continue;
+    for (let i = 0; i < bucket.length; i++) {
+      for (let j = i + 1; j < bucket.length; j++) {
+        const a = bucket[i];
+        const b = bucket[j];
+        const pairKey = `${a.index}:${b.index}`;
+        if (compared.has(pairKey)) continue;
+        compared.add(pairKey);
+        if (!crossBlog(a, b) || !closeInTime(a, b)) continue;
+        if (jaccard(a.titleSet, b.titleSet) < opts.titleSimilarity) continue;
+        if (jaccard(a.shingles, b.shingles) >= opts.excerptSimilarity) union(a.index, b.index);
+      }
+    }
+  }
+
+  const groups = new Map();
+  for (const entry of entries) {
+    const root = find(entry.index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(entry);
+  }
+
+  const copies = new Map();
+  for (const group of groups.values()) {
+    if (group.length < 2) continue;
+    const canonical = pickCanonical(group);
+    for (const entry of group) {
+      if (entry !== canonical) copies.set(entry.post.id, canonical.post.id);
+    }
+  }
+  return copies;
+}
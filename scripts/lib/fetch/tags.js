@@ -0,0 +1,18 @@
+import { coerceToString, decodeHtmlEntities } from './html.js';
+
+const MAX_TAGS = 20;
+
+// Item <category> tags as plain lowercase strings. RSS gives text nodes (with
+// an optional domain attribute); Atom gives <category term="…" label="…"/>.
+export function getItemTags(item) {
+  const raw = [].concat(item?.tags || item?.categories || []);
+  const tags = [];
+  for (const entry of raw) {
+    const value = typeof entry === 'string' ? entry : entry?._ || entry?.$?.term || entry?.$?.label || '';
+    for (const part of coerceToString(value).split(/\s*[,;|]\s*/)) {
+      const tag = decodeHtmlEntities(part).trim().toLowerCase();
+      if (tag && tag.length <= 60 && !tags.includes(tag)) tags.push(tag);
+    }
+  }
+  return tags.slice(0, MAX_TAGS);
+}
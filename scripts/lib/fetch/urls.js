@@ -55,3 +55,8 @@ export function normalizeGuid(rawGuid, baseUrl) {
   return guid;
 }
 
+
+// Check if a feed URL is from Substack
+export function isSubstackFeed(url) {
+  return coerceToString(url).includes('substack.com');
+}
@@ -0,0 +1,34 @@
+import { stripHtml } from './html.js';
+
+// Below this, an item's body is more likely a summary than the full post.
+const MIN_FULL_CONTENT_WORDS = 150;
+const TRUNCATED = /(\[(…|\.\.\.)\]|…|\.\.\.|read more|continue reading)\W*$/i;
+const BLOCK_END = /<\/(?:p|h[1-6]|li|blockquote|pre|div|section|figure)>|<br\s*\/?>/i;
+
+export function countWords(text) {
+  return (String(text || '').match(/[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu) || []).length;
+}
+
+// Plain text with one blank line between blocks, so paragraphs survive.
+function toParagraphs(html) {
+  return String(html || '')
+    .split(BLOCK_END)
+    .map((chunk) => stripHtml(chunk))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+// The post's full text when the feed carries it, otherwise ''.
+// `content:encoded` is the full body by convention; a plain description or
+// Atom <content> only counts when it is long and not visibly cut off.
+export function getFeedFullText(item) {
+  const encoded = toParagraphs(item?.['content:encoded']);
+  if (encoded && !TRUNCATED.test(encoded)) return encoded;
+  const content = toParagraphs(item?.content);
+  if (!content || TRUNCATED.test(content)) return '';
+  return countWords(content) >= MIN_FULL_CONTENT_WORDS ? content : '';
+}
+
+export function getFeedWordCount(item) {
+  return countWords(getFeedFullText(item));
+}
@@ -0,0 +1,69 @@
+import { MIGRATIONS } from './migrations/index.js';
+
+// Versioned schema migrations. Each applied migration is recorded in
+// schema_migrations; pending ones run in order, each in its own transaction.
+
+function checkSequence(migrations) {
+  migrations.forEach((migration, i) => {
+    if (migration.version !== i + 1) {
+      throw new Error(`Migration ${migration.name} has version ${migration.version}, expected ${i + 1}`);
+    }
+  });
+}
+
+checkSequence(MIGRATIONS);
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS.length;
+
+function hasMigrationsTable(db) {
+  return Boolean(db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'").get());
+}
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    );
+  `);
+}
+
+// Read-only: never creates schema_migrations, so it is safe for --status and verify.
+export function getMigrationStatus(db, migrations = MIGRATIONS) {
+  const applied = hasMigrationsTable(db)
+    ? db.prepare('SELECT version, name, applied_at as appliedAt FROM schema_migrations ORDER BY version').all()
+    : [];
+  const appliedVersions = new Set(applied.map((row) => row.version));
+  const known = new Set(migrations.map((migration) => migration.version));
+  return {
+    current: applied.length ? applied[applied.length - 1].version : 0,
+    latest: migrations.length,
+    applied,
+    pending: migrations.filter((migration) => !appliedVersions.has(migration.version)),
+    // Applied by newer code than this checkout.
+    unknown: applied.filter((row) => !known.has(row.version)),
+  };
+}
+
+// Applies pending migrations and returns them. With `dryRun`, only reports
+// what would run.
+export function runMigrations(db, { dryRun = false, migrations = MIGRATIONS } = {}) {
+  const { pending, unknown } = getMigrationStatus(db, migrations);
+  if (unknown.length > 0) {
+    throw new Error(
+      `Database has migrations this checkout does not know (${unknown.map((row) => row.version).join(', ')}); update the code.`
+    );
+  }
+  if (dryRun || pending.length === 0) return pending;
+
+  ensureMigrationsTable(db);
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+  for (const migration of pending) {
+    db.transaction(() => {
+      migration.up(db);
+      record.run(migration.version, migration.name, new Date().toISOString());
+    })();
+  }
+  return pending;
+}
@@ -0,0 +1,45 @@
+export const version = 1;
+export const name = 'initial-schema';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS blogs (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      url TEXT NOT NULL,
+      feed TEXT NOT NULL,
+      categories_json TEXT NOT NULL,
+      description TEXT DEFAULT '',
+      proxy INTEGER DEFAULT 0,
+      allow_missing_dates INTEGER DEFAULT 0,
+      max_posts INTEGER,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS posts (
+      id TEXT PRIMARY KEY,
+      blog_id TEXT NOT NULL REFERENCES blogs(id),
+      title TEXT NOT NULL,
+      link TEXT NOT NULL,
+      date TEXT NOT NULL,
+      excerpt TEXT DEFAULT '',
+      fetched_at TEXT NOT NULL,
+      summary TEXT,
+      embedding BLOB
+    );
+
+    CREATE TABLE IF NOT EXISTS fetch_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      blog_id TEXT NOT NULL REFERENCES blogs(id),
+      status TEXT NOT NULL,
+      post_count INTEGER DEFAULT 0,
+      latency_ms INTEGER,
+      error TEXT,
+      fetched_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_posts_date ON posts(date DESC);
+    CREATE INDEX IF NOT EXISTS idx_posts_blog ON posts(blog_id);
+    CREATE INDEX IF NOT EXISTS idx_fetch_log_blog ON fetch_log(blog_id);
+  `);
+}
@@ -0,0 +1,14 @@
+// ETag / Last-Modified per feed, for conditional GETs.
+export const version = 2;
+export const name = 'feed-validators';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS feed_validators (
+      blog_id TEXT PRIMARY KEY REFERENCES blogs(id),
+      etag TEXT,
+      last_modified TEXT,
+      updated_at TEXT NOT NULL
+    );
+  `);
+}
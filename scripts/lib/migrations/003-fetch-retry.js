@@ -0,0 +1,9 @@
+import { addColumn } from './helpers.js';
+
+// When a failing feed may next be fetched (backoff).
+export const version = 3;
+export const name = 'fetch-retry';
+
+export function up(db) {
+  addColumn(db, 'fetch_log', 'next_retry_at', 'TEXT');
+}
@@ -0,0 +1,10 @@
+import { addColumn } from './helpers.js';
+
+// Declared rel=canonical URLs and cross-blog syndicated copies.
+export const version = 4;
+export const name = 'syndication';
+
+export function up(db) {
+  addColumn(db, 'posts', 'canonical_url', 'TEXT');
+  addColumn(db, 'posts', 'syndicated_of', 'TEXT');
+}
@@ -0,0 +1,24 @@
+import { addColumn } from './helpers.js';
+
+// Content hashes and feed update stamps, and a log of detected revisions.
+export const version = 5;
+export const name = 'post-revisions';
+
+export function up(db) {
+  addColumn(db, 'posts', 'content_hash', 'TEXT');
+  addColumn(db, 'posts', 'feed_updated_at', 'TEXT');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS post_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      post_id TEXT NOT NULL REFERENCES posts(id),
+      revised_at TEXT NOT NULL,
+      detected_at TEXT NOT NULL,
+      fields TEXT NOT NULL,
+      previous_title TEXT,
+      previous_excerpt TEXT,
+      previous_content_hash TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_post_revisions_post ON post_revisions(post_id);
+  `);
+}
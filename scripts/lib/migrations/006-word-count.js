@@ -0,0 +1,8 @@
+import { addColumn } from './helpers.js';
+
+export const version = 6;
+export const name = 'word-count';
+
+export function up(db) {
+  addColumn(db, 'posts', 'word_count', 'INTEGER');
+}
@@ -0,0 +1,9 @@
+import { addColumn } from './helpers.js';
+
+// The post's plain text, read by the summary, embedding and category steps.
+export const version = 7;
+export const name = 'content-text';
+
+export function up(db) {
+  addColumn(db, 'posts', 'content_text', 'TEXT');
+}
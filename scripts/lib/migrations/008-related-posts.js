@@ -0,0 +1,14 @@
+export const version = 8;
+export const name = 'related-posts';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS post_related (
+      post_id TEXT NOT NULL REFERENCES posts(id),
+      rank INTEGER NOT NULL,
+      related_id TEXT NOT NULL REFERENCES posts(id),
+      score REAL NOT NULL,
+      PRIMARY KEY (post_id, rank)
+    );
+  `);
+}
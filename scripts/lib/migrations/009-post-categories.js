@@ -0,0 +1,19 @@
+import { addColumn } from './helpers.js';
+
+// Feed item tags and the classifier's per-post categories.
+export const version = 9;
+export const name = 'post-categories';
+
+export function up(db) {
+  addColumn(db, 'posts', 'tags_json', 'TEXT');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS post_categories (
+      post_id TEXT NOT NULL REFERENCES posts(id),
+      rank INTEGER NOT NULL,
+      category TEXT NOT NULL,
+      confidence REAL NOT NULL,
+      source TEXT NOT NULL DEFAULT 'model',
+      PRIMARY KEY (post_id, rank)
+    );
+  `);
+}
@@ -0,0 +1,42 @@
+// Daily per-blog roll-ups of old fetch_log rows, and a cold table for posts
+// older than the site's year window (see scripts/prune.js).
+export const version = 10;
+export const name = 'retention';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE fetch_log_daily (
+      blog_id TEXT NOT NULL,
+      day TEXT NOT NULL,
+      runs INTEGER NOT NULL,
+      ok INTEGER NOT NULL,
+      unchanged INTEGER NOT NULL,
+      errors INTEGER NOT NULL,
+      deferred INTEGER NOT NULL,
+      max_post_count INTEGER,
+      latency_sum_ms INTEGER NOT NULL DEFAULT 0,
+      latency_count INTEGER NOT NULL DEFAULT 0,
+      max_latency_ms INTEGER,
+      PRIMARY KEY (blog_id, day)
+    );
+
+    CREATE TABLE archived_posts (
+      id TEXT PRIMARY KEY,
+      blog_id TEXT NOT NULL,
+      title TEXT NOT NULL,
+      link TEXT NOT NULL,
+      date TEXT NOT NULL,
+      excerpt TEXT DEFAULT '',
+      canonical_url TEXT,
+      syndicated_of TEXT,
+      word_count INTEGER,
+      summary TEXT,
+      categories_json TEXT,
+      updated_at TEXT,
+      fetched_at TEXT NOT NULL,
+      archived_at TEXT NOT NULL
+    );
+
+    CREATE INDEX idx_archived_posts_blog ON archived_posts(blog_id);
+  `);
+}
@@ -0,0 +1,7 @@
+// Which RSS proxy served each fetch, for the per-proxy stats in the run summary.
+export const version = 11;
+export const name = 'fetch-proxy';
+
+export function up(db) {
+  db.exec('ALTER TABLE fetch_log ADD COLUMN proxy TEXT');
+}
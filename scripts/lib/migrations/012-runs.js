@@ -0,0 +1,28 @@
+// One row per fetch run with its change set (see scripts/lib/changes.js), and
+// the posts each feed listed on its last successful fetch, so a post that
+// drops out of a feed can be told apart from one that scrolled off its end.
+export const version = 12;
+export const name = 'runs';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_at TEXT NOT NULL,
+      partial INTEGER NOT NULL DEFAULT 0,
+      feeds INTEGER NOT NULL,
+      posts_added INTEGER NOT NULL,
+      posts_changed INTEGER NOT NULL,
+      posts_dropped INTEGER NOT NULL,
+      feeds_failing INTEGER NOT NULL,
+      feeds_recovered INTEGER NOT NULL,
+      changes_json TEXT NOT NULL
+    );
+
+    CREATE TABLE feed_items (
+      blog_id TEXT NOT NULL,
+      post_id TEXT NOT NULL,
+      PRIMARY KEY (blog_id, post_id)
+    );
+  `);
+}
@@ -0,0 +1,8 @@
+// Migrations 1–9 describe the schema openDb() used to create ad hoc, so they
+// must also run cleanly on a database that already has some of it. Later
+// migrations only ever see a versioned database and can use plain ALTER TABLE.
+export function addColumn(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (columns.some((col) => col.name === column)) return;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
@@ -0,0 +1,29 @@
+// Every schema migration, oldest first. To change the schema, add the next
+// numbered file here; never edit one that has shipped.
+import * as initialSchema from './001-initial-schema.js';
+import * as feedValidators from './002-feed-validators.js';
+import * as fetchRetry from './003-fetch-retry.js';
+import * as syndication from './004-syndication.js';
+import * as postRevisions from './005-post-revisions.js';
+import * as wordCount from './006-word-count.js';
+import * as contentText from './007-content-text.js';
+import * as relatedPosts from './008-related-posts.js';
+import * as postCategories from './009-post-categories.js';
+import * as retention from './010-retention.js';
+import * as fetchProxy from './011-fetch-proxy.js';
+import * as runs from './012-runs.js';
+
+export const MIGRATIONS = [
+  initialSchema,
+  feedValidators,
+  fetchRetry,
+  syndication,
+  postRevisions,
+  wordCount,
+  contentText,
+  relatedPosts,
+  postCategories,
+  retention,
+  fetchProxy,
+  runs,
+];
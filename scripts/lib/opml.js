@@ -0,0 +1,100 @@
+import { decodeHtmlEntities } from './fetch/html.js';
+import { CATEGORY_SLUGS } from './categories.js';
+
+// Folder names and tags other curators commonly use, mapped onto our shelves.
+const CATEGORY_ALIASES = {
+  technology: 'tech',
+  programming: 'tech',
+  software: 'tech',
+  dev: 'tech',
+  development: 'tech',
+  engineering: 'tech',
+  ai: 'tech',
+  web: 'tech',
+  ux: 'design',
+  art: 'design',
+  personal: 'life',
+  lifestyle: 'life',
+  productivity: 'life',
+  career: 'life',
+  society: 'culture',
+  politics: 'culture',
+  books: 'culture',
+  literature: 'culture',
+  arts: 'culture',
+  econ: 'economics',
+  policy: 'economics',
+  investing: 'finance',
+  markets: 'finance',
+  money: 'finance',
+  business: 'finance',
+  mind: 'psychology',
+  ideas: 'philosophy',
+  ethics: 'philosophy',
+  physics: 'science',
+  biology: 'science',
+  math: 'science',
+  mathematics: 'science',
+};
+
+function parseAttributes(tag) {
+  const attrs = {};
+  const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(tag))) {
+    attrs[match[1]] = decodeHtmlEntities(match[2] ?? match[3] ?? '').trim();
+  }
+  return attrs;
+}
+
+// Returns every feed outline (one with an xmlUrl) together with the names
+// of the folder outlines it sits in, outermost first.
+export function parseOpml(xml) {
+  const feeds = [];
+  const folders = [];
+  const pattern = /<outline\b([^>]*?)(\/?)>|<\/outline\s*>/gi;
+  let match;
+  while ((match = pattern.exec(String(xml || '')))) {
+    if (match[0].startsWith('</')) {
+      folders.pop();
+      continue;
+    }
+    const attrs = parseAttributes(match[1]);
+    const selfClosing = match[2] === '/';
+    const xmlUrl = attrs.xmlUrl || attrs.xmlurl || '';
+    if (xmlUrl) {
+      feeds.push({
+        text: attrs.text || attrs.title || '',
+        title: attrs.title || attrs.text || '',
+        xmlUrl,
+        htmlUrl: attrs.htmlUrl || attrs.htmlurl || '',
+        description: attrs.description || '',
+        category: attrs.category || '',
+        folders: [...folders],
+      });
+    }
+    if (!selfClosing) folders.push(attrs.text || attrs.title || '');
+  }
+  return feeds;
+}
+
+export function toCategorySlug(label) {
+  const key = String(label || '').trim().toLowerCase().replace(/^\/+|\/+$/g, '');
+  if (!key) return null;
+  if (CATEGORY_SLUGS.includes(key)) return key;
+  return CATEGORY_ALIASES[key] || null;
+}
+
+// Maps an outline's `category` attribute and folder names onto CATEGORY_SLUGS.
+export function mapOutlineCategories(outline) {
+  const labels = [
+    ...String(outline.category || '').split(/[,/]/),
+    ...[...outline.folders].reverse(),
+  ];
+  const slugs = [];
+  for (const label of labels) {
+    const slug = toCategorySlug(label);
+    if (slug && !slugs.includes(slug)) slugs.push(slug);
+  }
+  return slugs;
+}
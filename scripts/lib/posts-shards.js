@@ -0,0 +1,207 @@
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readdirSync, readFileSync, unlinkSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+
+// posts.json split for the site build: one file per year, a "recent" file for
+// the homepage and /feed, and a manifest listing them. posts.json stays the
+// only committed source; the shards are a build artifact (gitignored) that
+// `export-cache --shards` writes before every build.
+// Posts scripts/prune.js moved to archive.json are filed into the year shards
+// too, so writer pages and permalinks keep them; they never reach recent.json.
+// Shelves and related picks come from post-meta.json and are merged in here.
+
+export const SHARDS_DIR_NAME = 'posts';
+export const MANIFEST_FILE = 'manifest.json';
+export const RECENT_FILE = 'recent.json';
+export const ARCHIVE_FILE = 'archive.json';
+export const POST_META_FILE = 'post-meta.json';
+// The recent shard covers this many days before the newest post, at least
+// this many posts (the /feed page lists 500), and each shelf's newest posts
+// so quiet shelves still fill their homepage column.
+export const RECENT_DAYS = 30;
+export const RECENT_MIN_POSTS = 1000;
+export const RECENT_PER_CATEGORY = 10;
+// The most recently revised essays, carried in the recent shard for /archive.
+export const REVISED_POSTS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function serializeShard(data) {
+  return JSON.stringify(data, null, 2);
+}
+
+export function hashShard(content) {
+  return createHash('sha1').update(content).digest('hex').slice(0, 12);
+}
+
+function postYear(post) {
+  return new Date(post.date).getUTCFullYear();
+}
+
+// Adds a post's post-meta.json entry: shelves as [{ slug }] and related ids.
+function withPostMeta(post, meta) {
+  if (!meta) return post;
+  return {
+    ...post,
+    ...(meta.categories?.length ? { categories: meta.categories.map((slug) => ({ slug })) } : {}),
+    ...(meta.related?.length ? { related: meta.related } : {}),
+  };
+}
+
+// A post's main shelf as the site reads it: the classifier's first pick, else its writer's first shelf.
+function primaryCategory(post, blogCategories) {
+  return post.categories?.[0]?.slug || blogCategories.get(post.blogId)?.[0] || 'tech';
+}
+
+// Returns { manifest, files } where `files` maps file name → serialized
+// content. Copies are filed with their original so each year shard can fold
+// "also on" links by itself; the recent shard likewise carries the originals
+// of its copies, the related picks it links to as `linked`, and the latest
+// revised essays (with their copies) as `revised`. The manifest's
+// `relatedYears` gives the year shard of every other related pick.
+// `blogCategories` maps blog id → its shelves from blogs.json; `archivedPosts`
+// are the posts from archive.json and `postMeta` the entries of post-meta.json.
+export function buildPostsShards(postsCache, blogCategories = new Map(), archivedPosts = [], postMeta = {}) {
+  const posts = (postsCache.posts || []).map((post) => withPostMeta(post, postMeta[post.id]));
+  const liveIds = new Set(posts.map((post) => post.id));
+  const archived = archivedPosts.filter((post) => !liveIds.has(post.id));
+  const allPosts = [...posts, ...archived];
+  const byId = new Map(allPosts.map((post) => [post.id, post]));
+  const shardYear = (post) => postYear(byId.get(post.syndicatedOf) || post);
+
+  const postsByYear = new Map();
+  const yearsByBlog = new Map();
+  for (const post of allPosts) {
+    const year = shardYear(post);
+    if (!postsByYear.has(year)) postsByYear.set(year, []);
+    postsByYear.get(year).push(post);
+    if (!yearsByBlog.has(post.blogId)) yearsByBlog.set(post.blogId, new Set());
+    yearsByBlog.get(post.blogId).add(year);
+  }
+
+  const files = new Map();
+  const years = [...postsByYear.keys()].sort((a, b) => b - a).map((year) => {
+    const yearPosts = postsByYear.get(year);
+    const file = `${year}.json`;
+    const content = serializeShard({ year, posts: yearPosts });
+    files.set(file, content);
+    return {
+      year,
+      file,
+      count: yearPosts.length,
+      canonical: yearPosts.filter((post) => !post.syndicatedOf).length,
+      hash: hashShard(content),
+    };
+  });
+
+  // posts.json is sorted newest first.
+  const newestMs = posts.length ? Date.parse(posts[0].date) : 0;
+  const windowStartMs = newestMs - RECENT_DAYS * DAY_MS;
+  const recentIds = new Set();
+  const perCategory = new Map();
+  posts.forEach((post, i) => {
+    if (i < RECENT_MIN_POSTS || Date.parse(post.date) >= windowStartMs) recentIds.add(post.id);
+    if (post.syndicatedOf) return;
+    const slug = primaryCategory(post, blogCategories);
+    const seen = perCategory.get(slug) || 0;
+    if (seen < RECENT_PER_CATEGORY) {
+      perCategory.set(slug, seen + 1);
+      recentIds.add(post.id);
+    }
+  });
+  for (const id of [...recentIds]) {
+    const original = byId.get(id).syndicatedOf;
+    if (original && liveIds.has(original)) recentIds.add(original);
+  }
+  const recentPosts = posts.filter((post) => recentIds.has(post.id));
+  const linkedIds = new Set(
+    recentPosts.flatMap((post) => post.related || []).filter((id) => liveIds.has(id) && !recentIds.has(id))
+  );
+  const linked = posts.filter((post) => linkedIds.has(post.id));
+  const revisedIds = new Set(
+    posts
+      .filter((post) => post.updatedAt && !post.syndicatedOf)
+      .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt))
+      .slice(0, REVISED_POSTS)
+      .map((post) => post.id)
+  );
+  const revised = posts.filter((post) => revisedIds.has(post.id) || revisedIds.has(post.syndicatedOf));
+  const since = recentPosts.length ? recentPosts[recentPosts.length - 1].date : null;
+  const recentContent = serializeShard({ since, posts: recentPosts, linked, revised });
+
+  const relatedYears = new Map();
+  for (const post of allPosts) {
+    for (const id of post.related || []) {
+      if (recentIds.has(id) || linkedIds.has(id) || !byId.has(id)) continue;
+      relatedYears.set(id, shardYear(byId.get(id)));
+    }
+  }
+  files.set(RECENT_FILE, recentContent);
+
+  const manifest = {
+    lastUpdated: postsCache.lastUpdated || null,
+    total: allPosts.length,
+    canonical: allPosts.filter((post) => !post.syndicatedOf).length,
+    archived: archived.length,
+    recent: { file: RECENT_FILE, count: recentPosts.length, linked: linked.length, since, hash: hashShard(recentContent) },
+    years,
+    blogs: Object.fromEntries(
+      [...yearsByBlog].sort(([a], [b]) => a.localeCompare(b)).map(([blogId, set]) => [blogId, [...set].sort((a, b) => b - a)])
+    ),
+    relatedYears: Object.fromEntries([...relatedYears].sort(([a], [b]) => a.localeCompare(b))),
+  };
+  return { manifest, files };
+}
+
+// Shelves per blog from data/blogs.json, which sits one level above the cache.
+export function loadBlogCategories(cacheDir) {
+  const path = join(dirname(cacheDir), 'blogs.json');
+  if (!existsSync(path)) return new Map();
+  const { blogs = [] } = JSON.parse(readFileSync(path, 'utf-8'));
+  return new Map(blogs.map((blog) => [blog.id, blog.categories || []]));
+}
+
+// Archived posts from data/cache/archive.json, or none before the first prune.
+export function loadArchiveCache(cacheDir) {
+  const path = join(cacheDir, ARCHIVE_FILE);
+  if (!existsSync(path)) return [];
+  return JSON.parse(readFileSync(path, 'utf-8')).posts || [];
+}
+
+// Shelves and related picks per post id from data/cache/post-meta.json, or
+// none before the first classify or embed run.
+export function loadPostMeta(cacheDir) {
+  const path = join(cacheDir, POST_META_FILE);
+  if (!existsSync(path)) return {};
+  return JSON.parse(readFileSync(path, 'utf-8')).posts || {};
+}
+
+// Writes the shards next to posts.json, skipping files whose content is
+// unchanged and removing year files that no longer have posts.
+export function writePostsShards(cacheDir, postsCache) {
+  const dir = join(cacheDir, SHARDS_DIR_NAME);
+  mkdirSync(dir, { recursive: true });
+  const { manifest, files } = buildPostsShards(
+    postsCache,
+    loadBlogCategories(cacheDir),
+    loadArchiveCache(cacheDir),
+    loadPostMeta(cacheDir)
+  );
+  files.set(MANIFEST_FILE, serializeShard(manifest));
+
+  let written = 0;
+  for (const [file, content] of files) {
+    const path = join(dir, file);
+    if (existsSync(path) && readFileSync(path, 'utf-8') === content) continue;
+    writeFileSync(path, content);
+    written++;
+  }
+  let removed = 0;
+  for (const file of readdirSync(dir)) {
+    if (file.endsWith('.json') && !files.has(file)) {
+      unlinkSync(join(dir, file));
+      removed++;
+    }
+  }
+  return { written, removed };
+}
@@ -0,0 +1,31 @@
+// Retention windows for scripts/prune.js.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The archive pages (src/lib/archive.ts) show the current year and the two before it.
+export const DEFAULT_KEEP_YEARS = 3;
+export const DEFAULT_LOG_DAYS = 30;
+
+// Posts dated before 1 January of the oldest kept year (UTC) are archived.
+export function getPostCutoff(now, keepYears = DEFAULT_KEEP_YEARS) {
+  return new Date(Date.UTC(now.getUTCFullYear() - (keepYears - 1), 0, 1)).toISOString();
+}
+
+export function getLogCutoff(now, days = DEFAULT_LOG_DAYS) {
+  return new Date(now.getTime() - days * DAY_MS).toISOString();
+}
+
+// Ids of posts dated before the cutoff. An original with a syndicated copy
+// that stays is kept as well, so no copy ever points at an archived post.
+export function selectPostsToArchive(posts, cutoffIso) {
+  const cutoffMs = Date.parse(cutoffIso);
+  const ids = new Set(
+    posts
+      .filter((post) => Date.parse(post.date) < cutoffMs)
+      .map((post) => post.id)
+  );
+  for (const post of posts) {
+    if (post.syndicatedOf && !ids.has(post.id)) ids.delete(post.syndicatedOf);
+  }
+  return ids;
+}
@@ -0,0 +1,102 @@
+import { contentWords } from './text.js';
+
+// Extractive summaries with TextRank: sentences are ranked by how much
+// vocabulary they share with the rest of the post, and the best few are
+// returned in their original order. Entirely local; no model or network.
+
+const MIN_SENTENCES = 4;
+const MAX_CANDIDATES = 60;
+const MIN_SENTENCE_WORDS = 6;
+const MIN_CONTENT_WORDS = 3;
+const MAX_SENTENCE_LENGTH = 400;
+const DAMPING = 0.85;
+const ITERATIONS = 40;
+
+// Sentences that belong to the page, not the essay.
+const BOILERPLATE = /subscri(be|ption)|sign up|newsletter|cookie|click here|share this|read more|continue reading|follow me|patreon|paid members|this post|leave a comment|thanks for reading/i;
+
+// Common abbreviations whose trailing period does not end a sentence.
+const ABBREVIATIONS = /\b(mr|mrs|ms|dr|prof|sr|jr|st|vs|etc|e\.g|i\.e|cf|no|fig|approx|inc|ltd|co|u\.s|u\.k)\.$/i;
+
+// Blank lines separate paragraphs (and headings), so a sentence never spans two.
+export function splitSentences(text) {
+  const sentences = [];
+  for (const paragraph of String(text || '').split(/\n\s*\n/)) {
+    const normalized = paragraph.replace(/\s+/g, ' ').trim();
+    if (!normalized) continue;
+    const pieces = normalized.split(/(?<=[.!?…]["'”’)\]]?)\s+(?=["'“‘(\[]?[\p{Lu}\p{N}])/u);
+    const start = sentences.length;
+    for (const piece of pieces) {
+      const previous = sentences.length > start ? sentences[sentences.length - 1] : '';
+      if (previous && ABBREVIATIONS.test(previous)) sentences[sentences.length - 1] = `${previous} ${piece}`;
+      else sentences.push(piece);
+    }
+  }
+  return sentences.map((s) => s.trim()).filter(Boolean);
+}
+
+// Shared words normalised by sentence length, as in the original TextRank paper.
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) if (b.has(word)) shared++;
+  if (shared === 0) return 0;
+  return shared / (Math.log(a.size + 1) + Math.log(b.size + 1));
+}
+
+function rank(wordSets) {
+  const n = wordSets.length;
+  const weights = wordSets.map((a, i) => wordSets.map((b, j) => (i === j ? 0 : similarity(a, b))));
+  const outTotals = weights.map((row) => row.reduce((sum, w) => sum + w, 0));
+  let scores = new Array(n).fill(1 / n);
+  for (let iter = 0; iter < ITERATIONS; iter++) {
+    const next = new Array(n).fill((1 - DAMPING) / n);
+    for (let j = 0; j < n; j++) {
+      if (outTotals[j] === 0) continue;
+      for (let i = 0; i < n; i++) {
+        if (weights[j][i] > 0) next[i] += DAMPING * scores[j] * (weights[j][i] / outTotals[j]);
+      }
+    }
+    const delta = next.reduce((sum, score, i) => sum + Math.abs(score - scores[i]), 0);
+    scores = next;
+    if (delta < 1e-6) break;
+  }
+  return scores;
+}
+
+// A 2–3 sentence summary of `text`, or '' when the text is too short to
+// summarise (a teaser or a one-paragraph note reads better as its excerpt).
+export function summarize(text, { maxSentences = 3, maxLength = 480 } = {}) {
+  const candidates = splitSentences(text)
+    .slice(0, MAX_CANDIDATES)
+    .map((sentence, index) => ({ sentence, index, words: contentWords(sentence) }))
+    .filter(({ sentence, words }) =>
+      words.length >= MIN_CONTENT_WORDS &&
+      sentence.split(' ').length >= MIN_SENTENCE_WORDS &&
+      sentence.length <= MAX_SENTENCE_LENGTH &&
+      !BOILERPLATE.test(sentence)
+    );
+  if (candidates.length < MIN_SENTENCES) return '';
+
+  const scores = rank(candidates.map((c) => new Set(c.words)));
+  // A light lead bias: essays tend to state their point early.
+  const ranked = candidates
+    .map((c, i) => ({ ...c, score: scores[i] * (1 + 0.3 / (1 + c.index)) }))
+    .sort((a, b) => b.score - a.score);
+
+  const count = candidates.length >= 10 ? maxSentences : Math.min(2, maxSentences);
+  const picked = [];
+  let length = 0;
+  for (const candidate of ranked) {
+    if (picked.length >= count) break;
+    if (length + candidate.sentence.length > maxLength) continue;
+    picked.push(candidate);
+    length += candidate.sentence.length + 1;
+  }
+  if (picked.length < 2) return '';
+
+  return picked
+    .sort((a, b) => a.index - b.index)
+    .map((c) => c.sentence)
+    .join(' ');
+}
@@ -0,0 +1,17 @@
+// Shared tokenising for the offline text steps (summaries, embeddings).
+
+export const STOPWORDS = new Set(`
+a about above after again against all also am an and any are as at be because been before being below between both
+but by can could did do does doing down during each even ever every few for from further had has have having he her
+here hers herself him himself his how i if in into is it its itself just like me more most much my myself no nor not
+now of off on once one only or other our ours ourselves out over own same she should so some such than that the their
+theirs them themselves then there these they this those through to too under until up us very was we were what when
+where which while who whom why will with would you your yours yourself yourselves
+`.trim().split(/\s+/));
+
+// Lowercased words minus stopwords and very short words, with plurals folded.
+export function contentWords(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu) || [])
+    .filter((word) => word.length > 2 && !STOPWORDS.has(word))
+    .map((word) => word.replace(/(ies|es|s)$/, (suffix) => (suffix === 'ies' ? 'y' : '')));
+}
@@ -1,23 +1,31 @@
-import { readFileSync } from 'fs';
+import { existsSync, readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import {
   openDb,
+  getDbPath,
   upsertBlogs,
   upsertPosts,
+  seedPostRevisions,
+  importArchivedPosts,
   insertFetchLogs,
   countPosts,
   hasFetchLogs,
 } from './lib/db.js';
+import { getMigrationStatus, runMigrations } from './lib/migrate.js';
+import { loadArchiveCache } from './lib/posts-shards.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const BLOGS_PATH = join(__dirname, '../data/blogs.json');
-const CACHE_PATH = join(__dirname, '../data/cache/posts.json');
+const CACHE_DIR = join(__dirname, '../data/cache');
+const CACHE_PATH = join(CACHE_DIR, 'posts.json');
 const STATUS_PATH = join(__dirname, '../data/cache/status.json');
 
 const force = process.argv.includes('--force');
+const statusOnly = process.argv.includes('--status');
+const dryRun = process.argv.includes('--dry-run');
 
 function loadJson(path) {
   try {
@@ -27,14 +35,50 @@ function loadJson(path) {
   }
 }
 
+function describe(migration) {
+  return `${String(migration.version).padStart(3, '0')} ${migration.name}`;
+}
+
+function printStatus(db) {
+  const { current, latest, applied, pending, unknown } = getMigrationStatus(db);
+  console.log(`Schema version ${current} of ${latest}.`);
+  for (const row of applied) console.log(`  applied  ${describe(row)}  ${row.appliedAt}`);
+  for (const migration of pending) console.log(`  pending  ${describe(migration)}`);
+  for (const row of unknown) console.log(`  unknown  ${describe(row)} (applied by newer code)`);
+}
+
+// --status and --dry-run only read the database.
 function main() {
+  if (statusOnly || dryRun) {
+    if (!existsSync(getDbPath())) {
+      console.log(`No database at ${getDbPath()}; every migration is pending.`);
+      return;
+    }
+    const db = openDb({ migrate: false });
+    try {
+      if (statusOnly) printStatus(db);
+      if (dryRun) {
+        const pending = runMigrations(db, { dryRun: true });
+        if (pending.length === 0) console.log('Dry run: schema is up to date.');
+        else console.log(`Dry run: would apply ${pending.length} migration(s): ${pending.map(describe).join(', ')}.`);
+      }
+    } finally {
+      db.close();
+    }
+    return;
+  }
+
   const blogsData = loadJson(BLOGS_PATH);
   if (!blogsData?.blogs?.length) {
     console.error('No blogs found in data/blogs.json');
     process.exit(1);
   }
 
-  const db = openDb();
+  const db = openDb({ migrate: false });
+  const applied = runMigrations(db);
+  if (applied.length > 0) console.log(`Applied ${applied.length} migration(s): ${applied.map(describe).join(', ')}.`);
+  else console.log('Schema is up to date.');
+
   upsertBlogs(db, blogsData.blogs);
 
   const postCount = countPosts(db);
@@ -43,7 +87,10 @@ function main() {
     const posts = cache?.posts || [];
     if (posts.length > 0) {
       upsertPosts(db, posts, cache?.lastUpdated || new Date().toISOString());
-      console.log(`Imported ${posts.length} posts into SQLite.`);
+      const revisions = seedPostRevisions(db, posts);
+      console.log(`Imported ${posts.length} posts (${revisions} revision dates) into SQLite.`);
+      const archived = importArchivedPosts(db, loadArchiveCache(CACHE_DIR));
+      if (archived > 0) console.log(`Imported ${archived} archived posts from archive.json.`);
     } else {
       console.log('No posts.json cache found to import.');
     }
@@ -0,0 +1,134 @@
+import { existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import {
+  openDb,
+  getDbPath,
+  planFetchLogRollup,
+  rollUpFetchLogs,
+  loadPostsForRetention,
+  archivePosts,
+  importArchivedPosts,
+  loadArchivedPostIds,
+  loadArchivedPosts,
+} from './lib/db.js';
+import { getMigrationStatus } from './lib/migrate.js';
+import { STATUS_HISTORY_WINDOW, removePostsFromCache, removePostsFromPostMeta, writeArchiveCache } from './lib/cache-export.js';
+import { loadArchiveCache } from './lib/posts-shards.js';
+import {
+  DEFAULT_KEEP_YEARS,
+  DEFAULT_LOG_DAYS,
+  getLogCutoff,
+  getPostCutoff,
+  selectPostsToArchive,
+} from './lib/retention.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const CACHE_DIR = join(__dirname, '../data/cache');
+const CACHE_PATH = join(CACHE_DIR, 'posts.json');
+
+function getFlagValue(flag, args) {
+  const idx = args.indexOf(flag);
+  if (idx === -1) return null;
+  const value = args[idx + 1];
+  if (!value || value.startsWith('--')) return null;
+  return value;
+}
+
+function parsePositiveInt(value, fallback) {
+  const parsed = Number.parseInt(value || '', 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const logDays = parsePositiveInt(getFlagValue('--log-days', args) || process.env.PRUNE_LOG_DAYS, DEFAULT_LOG_DAYS);
+const keepYears = parsePositiveInt(getFlagValue('--keep-years', args) || process.env.PRUNE_KEEP_YEARS, DEFAULT_KEEP_YEARS);
+
+function countByYear(posts) {
+  const counts = new Map();
+  for (const post of posts) {
+    const year = String(post.date).slice(0, 4);
+    counts.set(year, (counts.get(year) || 0) + 1);
+  }
+  return [...counts].sort(([a], [b]) => a.localeCompare(b)).map(([year, n]) => `${year}: ${n}`).join(', ');
+}
+
+// Runs after embed: rolls fetch_log rows older than `logDays` into
+// fetch_log_daily, and moves posts dated before the site's year window into
+// archived_posts so posts.json only carries what the archive pages show.
+// archived_posts is written out to data/cache/archive.json, which is
+// committed and built into the shards for writer pages and permalinks.
+function main() {
+  if (!existsSync(getDbPath())) {
+    console.log(`No database at ${getDbPath()}; nothing to prune.`);
+    return;
+  }
+
+  const now = new Date();
+  const logCutoff = getLogCutoff(now, logDays);
+  const postCutoff = getPostCutoff(now, keepYears);
+  // A dry run never writes, so it cannot bring an old schema up to date either.
+  const db = openDb({ migrate: !dryRun });
+  try {
+    if (dryRun && getMigrationStatus(db).pending.length > 0) {
+      console.log('Dry run: the schema has pending migrations; run npm run migrate-db first.');
+      return;
+    }
+    const rollup = { cutoff: logCutoff, keepRuns: STATUS_HISTORY_WINDOW };
+    const plan = planFetchLogRollup(db, rollup);
+    const posts = loadPostsForRetention(db);
+    const archiveIds = selectPostsToArchive(posts, postCutoff);
+    const toArchive = posts.filter((post) => archiveIds.has(post.id));
+
+    console.log(`Fetch logs: keeping ${logDays} days (rolling up rows before ${logCutoff.slice(0, 10)}) and each feed's last ${STATUS_HISTORY_WINDOW} runs.`);
+    console.log(`Posts: keeping ${keepYears} years (dated from ${postCutoff.slice(0, 10)}).`);
+
+    if (dryRun) {
+      console.log('\nDry run:');
+      if (plan.rows > 0) {
+        console.log(`  would roll up ${plan.rows} fetch log rows into ${plan.days} daily rows across ${plan.blogs} blogs (oldest ${plan.oldestDay})`);
+      } else {
+        console.log('  no fetch log rows to roll up');
+      }
+      if (toArchive.length > 0) {
+        console.log(`  would archive ${toArchive.length} of ${posts.length} posts (${countByYear(toArchive)})`);
+      } else {
+        console.log(`  no posts to archive (${posts.length} posts in window)`);
+      }
+      return;
+    }
+
+    // A database rebuilt after the cache was lost starts from the committed archive.
+    const restored = importArchivedPosts(db, loadArchiveCache(CACHE_DIR), now.toISOString());
+    if (restored > 0) console.log(`Restored ${restored} archived posts from archive.json.`);
+
+    const rolledUp = plan.rows > 0 ? rollUpFetchLogs(db, rollup) : 0;
+    console.log(`Rolled up ${rolledUp} fetch log rows into ${plan.days} daily rows.`);
+
+    if (toArchive.length === 0) {
+      console.log('No posts to archive.');
+    } else {
+      const removed = archivePosts(db, archiveIds, now.toISOString());
+      console.log(
+        `Archived ${removed.posts} posts (${countByYear(toArchive)}); dropped ${removed.revisions} revisions, ` +
+        `${removed.related} related links, ${removed.categories} category rows.`
+      );
+    }
+    const archiveWritten = writeArchiveCache(CACHE_DIR, loadArchivedPosts(db), now.toISOString());
+    if (archiveWritten) console.log(`Wrote ${loadArchivedPostIds(db).size} archived posts to archive.json.`);
+    // Every archived id, so a posts.json restored from git is cleaned up too.
+    const archivedIds = loadArchivedPostIds(db);
+    if (existsSync(CACHE_PATH)) {
+      console.log(`Removed ${removePostsFromCache(CACHE_PATH, archivedIds)} posts from posts.json.`);
+    }
+    const meta = removePostsFromPostMeta(CACHE_DIR, archivedIds);
+    console.log(`Removed ${meta.removed} post-meta.json entries; trimmed ${meta.trimmed} related lists.`);
+  } finally {
+    db.close();
+  }
+}
+
+main();
@@ -0,0 +1,31 @@
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { openDb, loadPosts, loadPostsToSummarize, updatePostSummaries } from './lib/db.js';
+import { updatePostsCacheField } from './lib/cache-export.js';
+import { summarize } from './lib/summary.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const CACHE_PATH = join(__dirname, '../data/cache/posts.json');
+
+// Runs after fetch-feeds: summarises posts whose text is new or changed, then
+// folds the summaries into posts.json without touching anything else in it.
+function main() {
+  const db = openDb();
+  try {
+    const pending = loadPostsToSummarize(db);
+    const summaries = pending.map(({ id, contentText }) => ({ id, summary: summarize(contentText) }));
+    updatePostSummaries(db, summaries);
+    const written = summaries.filter((s) => s.summary).length;
+    console.log(`Summarized ${written} of ${pending.length} new or changed posts.`);
+
+    const summaryById = new Map(loadPosts(db).map((post) => [post.id, post.summary || '']));
+    const changed = updatePostsCacheField(CACHE_PATH, 'summary', summaryById);
+    console.log(`Updated ${changed} summaries in posts.json.`);
+  } finally {
+    db.close();
+  }
+}
+
+main();
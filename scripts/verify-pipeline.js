@@ -1,7 +1,12 @@
 import { existsSync, readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { openDb, countPosts } from './lib/db.js';
+import { openDb, countPosts, getDbPath, loadArchivedPostIds } from './lib/db.js';
+import { getMigrationStatus } from './lib/migrate.js';
+import { isHealthyStatus } from './lib/cache-export.js';
+import { isCategorySlug } from './lib/categories.js';
+import { checkDatePolicy } from './lib/fetch/dates.js';
+import { buildPostsShards, hashShard, loadArchiveCache, loadBlogCategories, loadPostMeta } from './lib/posts-shards.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -9,12 +14,79 @@ const __dirname = dirname(__filename);
 const BLOGS_PATH = join(__dirname, '../data/blogs.json');
 const POSTS_CACHE_PATH = join(__dirname, '../data/cache/posts.json');
 const STATUS_CACHE_PATH = join(__dirname, '../data/cache/status.json');
+const CHANGES_CACHE_PATH = join(__dirname, '../data/cache/changes.json');
+const CACHE_DIR = join(__dirname, '../data/cache');
 
 function fail(message) {
   console.error(`VERIFY FAIL: ${message}`);
   process.exitCode = 1;
 }
 
+// Classifier output in post-meta.json: one or more known category slugs, each once.
+function verifyPostCategories(id, categories) {
+  if (!Array.isArray(categories) || categories.length === 0) {
+    fail(`Post ${id} has an empty or non-array categories list`);
+    return;
+  }
+  const seen = new Set();
+  for (const slug of categories) {
+    if (!isCategorySlug(slug)) fail(`Post ${id} has unknown category ${JSON.stringify(slug)}`);
+    else if (seen.has(slug)) fail(`Post ${id} lists category ${slug} twice`);
+    seen.add(slug);
+  }
+}
+
+// The shards are a build artifact (npm run build writes them first), so they
+// are built here the same way and checked for gaps: every post filed under
+// exactly one year its writer lists, counts and hashes matching the manifest,
+// and every related pick outside recent.json in the year the manifest gives.
+function verifyPostShards(postsCache, archivedPosts, postMeta) {
+  const { manifest, files } = buildPostsShards(postsCache, loadBlogCategories(CACHE_DIR), archivedPosts, postMeta);
+  const filed = new Map();
+  const yearOf = new Map();
+  for (const entry of [...manifest.years, manifest.recent]) {
+    const content = files.get(entry.file);
+    if (hashShard(content) !== entry.hash) fail(`Posts shard ${entry.file} does not match its manifest hash`);
+    const { posts } = JSON.parse(content);
+    if (posts.length !== entry.count) fail(`Posts shard ${entry.file} count differs from the manifest`);
+    if (entry === manifest.recent) continue;
+    for (const post of posts) {
+      filed.set(post.id, (filed.get(post.id) || 0) + 1);
+      yearOf.set(post.id, entry.year);
+      if (!manifest.blogs[post.blogId]?.includes(entry.year)) {
+        fail(`Posts shard manifest does not list ${entry.year} for ${post.blogId}`);
+      }
+    }
+  }
+  const ids = new Set([...postsCache.posts, ...archivedPosts].map((post) => post.id));
+  const misfiled = [...ids].filter((id) => filed.get(id) !== 1);
+  if (misfiled.length > 0) fail(`${misfiled.length} posts are not filed in exactly one year shard (e.g. ${misfiled[0]})`);
+  if (manifest.total !== ids.size) {
+    fail(`Posts shard manifest counts ${manifest.total} posts; posts.json and archive.json have ${ids.size}`);
+  }
+  const wrongYear = Object.entries(manifest.relatedYears).filter(([id, year]) => yearOf.get(id) !== year);
+  if (wrongYear.length > 0) fail(`${wrongYear.length} related picks are not in the year shard the manifest gives (e.g. ${wrongYear[0][0]})`);
+}
+
+// changes.json: the /changes page and the refresh commit message read it, newest run first.
+function verifyChangesCache() {
+  if (!existsSync(CHANGES_CACHE_PATH)) {
+    fail(`Missing changes cache: ${CHANGES_CACHE_PATH}`);
+    return;
+  }
+  const { runs } = loadJson(CHANGES_CACHE_PATH);
+  if (!Array.isArray(runs)) {
+    fail('changes.json missing `runs` array');
+    return;
+  }
+  const kinds = ['added', 'changed', 'dropped', 'failing', 'recovered'];
+  for (const [i, run] of runs.entries()) {
+    if (!isValidIsoDate(run?.runAt)) fail(`changes.json run ${run?.id} has invalid runAt`);
+    if (!kinds.every((kind) => Array.isArray(run?.changes?.[kind]))) fail(`changes.json run ${run?.id} has a malformed change set`);
+    if (i > 0 && !(run.id < runs[i - 1].id)) fail(`changes.json runs are not newest first at index ${i - 1}/${i}`);
+  }
+}
+
 function warn(message) {
   console.warn(`VERIFY WARN: ${message}`);
 }
@@ -44,6 +116,9 @@ function main() {
   }
 
   const blogs = loadJson(BLOGS_PATH).blogs || [];
+  for (const blog of blogs) {
+    for (const problem of checkDatePolicy(blog)) fail(`Blog ${blog.id}: ${problem}`);
+  }
   const postsCache = loadJson(POSTS_CACHE_PATH);
   const statusCache = loadJson(STATUS_CACHE_PATH);
 
@@ -73,8 +148,59 @@ function main() {
     if (!post.title) fail(`Post ${post.id} missing title`);
     if (!post.link) fail(`Post ${post.id} missing link`);
     if (!isValidIsoDate(post.date)) fail(`Post ${post.id} has invalid date: ${post.date}`);
+    if (post.updatedAt !== undefined && !isValidIsoDate(post.updatedAt)) {
+      fail(`Post ${post.id} has invalid updatedAt: ${post.updatedAt}`);
+    }
+    if (post.wordCount !== undefined && !(Number.isInteger(post.wordCount) && post.wordCount > 0)) {
+      fail(`Post ${post.id} has invalid wordCount: ${post.wordCount}`);
+    }
+    if (post.summary !== undefined && (typeof post.summary !== 'string' || !post.summary.trim())) {
+      fail(`Post ${post.id} has an empty summary`);
+    }
+    if (post.categories !== undefined || post.related !== undefined) {
+      fail(`Post ${post.id} carries categories or related picks in posts.json; they belong in post-meta.json`);
+    }
   }
   if (duplicateIds.size > 0) fail(`Duplicate post ids detected (${duplicateIds.size})`);
+  const archivedPosts = loadArchiveCache(CACHE_DIR);
+  const archivedInCache = archivedPosts.filter((post) => seenIds.has(post.id));
+  if (archivedInCache.length > 0) {
+    fail(`${archivedInCache.length} posts are in both posts.json and archive.json (e.g. ${archivedInCache[0].id})`);
+  }
+  const postMeta = loadPostMeta(CACHE_DIR);
+  verifyPostShards(postsCache, archivedPosts, postMeta);
+  verifyChangesCache();
+
+  // A syndicated copy must point at an original that is itself in the cache and not a copy.
+  const postsById = new Map(posts.map((post) => [post.id, post]));
+  for (const post of posts) {
+    if (!post.syndicatedOf) continue;
+    const original = postsById.get(post.syndicatedOf);
+    if (!original) fail(`Post ${post.id} is syndicated from missing post ${post.syndicatedOf}`);
+    else if (original.syndicatedOf) fail(`Post ${post.id} is syndicated from another copy (${original.id})`);
+  }
+
+  // post-meta.json: entries for cached posts only (classify and embed rewrite
+  // it after every fetch), whose related lists point at other writers' posts.
+  const unknownMeta = Object.keys(postMeta).filter((id) => !postsById.has(id));
+  if (unknownMeta.length > 0) {
+    warn(`${unknownMeta.length} post-meta.json entries are for posts not in posts.json (e.g. ${unknownMeta[0]}); rerun classify and embed`);
+  }
+  for (const [id, entry] of Object.entries(postMeta)) {
+    const post = postsById.get(id);
+    if (!post) continue;
+    if (entry.categories !== undefined) verifyPostCategories(id, entry.categories);
+    if (entry.related === undefined) continue;
+    if (!Array.isArray(entry.related)) {
+      fail(`Post ${id} has a non-array related list`);
+      continue;
+    }
+    for (const relatedId of entry.related) {
+      const related = postsById.get(relatedId);
+      if (!related) fail(`Post ${id} is related to missing post ${relatedId}`);
+      else if (related.blogId === post.blogId) fail(`Post ${id} is related to a post by the same writer (${relatedId})`);
+    }
+  }
 
   for (let i = 1; i < posts.length; i++) {
     const prev = Date.parse(posts[i - 1].date);
@@ -93,16 +219,38 @@ function main() {
     }
     if (feedBlogIds.has(feed.blogId)) fail(`Duplicate feed status row for blogId=${feed.blogId}`);
     feedBlogIds.add(feed.blogId);
-    if (!['ok', 'error'].includes(feed.status)) warn(`Unexpected feed status "${feed.status}" for ${feed.blogId}`);
+    if (!['ok', 'unchanged', 'error', 'deferred'].includes(feed.status)) warn(`Unexpected feed status "${feed.status}" for ${feed.blogId}`);
     if (!isValidIsoDate(feed.lastFetched)) fail(`Feed ${feed.blogId} has invalid lastFetched`);
+    if (feed.history) {
+      const { uptimePct, statuses, latencies } = feed.history;
+      if (uptimePct !== null && !(uptimePct >= 0 && uptimePct <= 100)) {
+        fail(`Feed ${feed.blogId} has out-of-range uptimePct: ${uptimePct}`);
+      }
+      if (typeof statuses !== 'string' || !Array.isArray(latencies) || latencies.length !== statuses.length) {
+        fail(`Feed ${feed.blogId} has a malformed history window`);
+      }
+    }
+    if (feed.status === 'deferred' && !isValidIsoDate(feed.nextRetryAt)) {
+      fail(`Deferred feed ${feed.blogId} has invalid nextRetryAt`);
+    }
   }
 
   const summary = statusCache.summary || {};
   if (summary.total !== feeds.length) fail(`status.summary.total (${summary.total}) != feeds.length (${feeds.length})`);
-  const healthy = feeds.filter((f) => f.status === 'ok').length;
+  const healthy = feeds.filter((f) => isHealthyStatus(f.status)).length;
   const errors = feeds.filter((f) => f.status === 'error').length;
   if (summary.healthy !== healthy) fail(`status.summary.healthy (${summary.healthy}) != computed (${healthy})`);
   if (summary.errors !== errors) fail(`status.summary.errors (${summary.errors}) != computed (${errors})`);
+  const deferred = feeds.filter((f) => f.status === 'deferred').length;
+  if (summary.deferred !== undefined && summary.deferred !== deferred) {
+    fail(`status.summary.deferred (${summary.deferred}) != computed (${deferred})`);
+  }
+
+  if (Array.isArray(summary.proxies)) {
+    const proxied = feeds.filter((f) => f.proxy && f.status !== 'deferred').length;
+    const counted = summary.proxies.reduce((sum, proxy) => sum + proxy.feeds, 0);
+    if (counted !== proxied) fail(`status.summary.proxies counts ${counted} feeds, but ${proxied} were fetched through a proxy`);
+  }
 
   if (blogs.length && feeds.length !== blogs.length) {
     warn(`Feed status count (${feeds.length}) != configured blogs count (${blogs.length})`);
@@ -113,15 +261,45 @@ function main() {
     warn('posts.json lastUpdated is older than newest post date by >1h');
   }
 
+  if (!existsSync(getDbPath())) {
+    warn(`SQLite verification skipped: no database at ${getDbPath()}`);
+    if (hasFailures()) return;
+    console.log(`VERIFY OK (cache-only): posts=${posts.length}, feeds=${feeds.length}, healthy=${healthy}, errors=${errors}`);
+    return;
+  }
+
   try {
-    const db = openDb();
+    const db = openDb({ migrate: false });
+    const schema = getMigrationStatus(db);
+    if (schema.pending.length > 0 || schema.unknown.length > 0) {
+      db.close();
+      if (schema.pending.length > 0) {
+        fail(`SQLite schema is at version ${schema.current} of ${schema.latest}; run npm run migrate-db`);
+      }
+      if (schema.unknown.length > 0) {
+        fail(`SQLite schema has migrations this checkout does not know: ${schema.unknown.map((row) => row.version).join(', ')}`);
+      }
+      return;
+    }
     const dbPostCount = countPosts(db);
+    const archivedIds = loadArchivedPostIds(db);
     db.close();
+    // prune.js removes archived posts from posts.json and writes them to
+    // archive.json in the same run.
+    const stillCached = posts.filter((post) => archivedIds.has(post.id));
+    if (stillCached.length > 0) {
+      fail(`${stillCached.length} archived posts are still in posts.json (e.g. ${stillCached[0].id}); run npm run prune`);
+    }
+    const archiveFileIds = new Set(archivedPosts.map((post) => post.id));
+    const notInArchive = [...archivedIds].filter((id) => !archiveFileIds.has(id));
+    if (notInArchive.length > 0) {
+      fail(`${notInArchive.length} archived posts are missing from archive.json (e.g. ${notInArchive[0]}); run npm run prune`);
+    }
     if (dbPostCount < posts.length) {
       warn(`SQLite posts count (${dbPostCount}) is less than cache posts count (${posts.length}); local DB may be stale`);
     }
     if (hasFailures()) return;
-    console.log(`VERIFY OK: cache posts=${posts.length}, db posts=${dbPostCount}, feeds=${feeds.length}, healthy=${healthy}, errors=${errors}`);
+    console.log(`VERIFY OK: cache posts=${posts.length}, db posts=${dbPostCount}, archived=${archivedIds.size}, feeds=${feeds.length}, healthy=${healthy}, errors=${errors}`);
   } catch (error) {
     warn(`SQLite verification skipped: ${error.message}`);
     if (hasFailures()) return;
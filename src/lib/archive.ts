@@ -1,8 +1,9 @@
-import { getBlogMap, getBlogs, getEnrichedPosts } from './site-data';
+import { getBlogMap, getBlogs, getEnrichedPostsForYear, getPostsManifest, getRevisedEnrichedPosts } from './site-data';
 
+// Years and totals come from the shard manifest; each archive page then
+// loads only the year shards it shows.
 export function getArchiveData() {
   const blogs = getBlogs();
-  const blogMap = getBlogMap(blogs);
 
   const now = new Date();
   const currentYear = now.getFullYear();
@@ -10,32 +11,49 @@ export function getArchiveData() {
   const MAX_YEAR = currentYear + 1;
 
   // Drop posts with garbage RSS dates (year outside reasonable window).
-  const allPosts = getEnrichedPosts({ blogs, blogMap })
-    .filter((p) => {
-      const d = new Date(p.date);
-      if (Number.isNaN(d.getTime())) return false;
-      const y = d.getFullYear();
-      return y >= MIN_YEAR && y <= MAX_YEAR;
-    })
-    .sort((a, b) => new Date(b.date).getTime() - new Date(a.date).getTime());
-
-  const years = Array.from(new Set(allPosts.map((p) => new Date(p.date).getFullYear())))
-    .sort((a, b) => b - a);
+  const shards = getPostsManifest().years
+    .filter((entry) => entry.year >= MIN_YEAR && entry.year <= MAX_YEAR && entry.canonical > 0);
+  const years = shards.map((entry) => entry.year).sort((a, b) => b - a);
 
   const earliestYear = years[years.length - 1] || currentYear;
 
   return {
-    allPosts,
     years,
     currentYear,
     earliestYear,
-    totalPosts: allPosts.length,
+    totalPosts: shards.reduce((sum, entry) => sum + entry.canonical, 0),
     totalWriters: blogs.length,
   };
 }
 
+// Canonical posts for one archive year, newest first.
+export function getArchiveYearPosts(year: number) {
+  const blogs = getBlogs();
+  return getEnrichedPostsForYear(year, { blogs, blogMap: getBlogMap(blogs) })
+    .filter((p) => !Number.isNaN(new Date(p.date).getTime()));
+}
+
+// Candidates for recentlyRevised, from the recent shard rather than every year.
+export function getArchiveRevisedPosts() {
+  const blogs = getBlogs();
+  return getRevisedEnrichedPosts({ blogs, blogMap: getBlogMap(blogs) })
+    .filter((p) => !Number.isNaN(new Date(p.date).getTime()));
+}
+
 export const ARCHIVE_YEAR_LIMIT = 1000;
 
+// Essays whose title or body changed recently, latest revision first.
+export function recentlyRevised<T extends { updatedAt?: string }>(
+  posts: T[],
+  { days = 30, limit = 10 } = {}
+) {
+  const cutoffMs = Date.now() - days * 24 * 60 * 60 * 1000;
+  return posts
+    .filter((p) => p.updatedAt && new Date(p.updatedAt).getTime() >= cutoffMs)
+    .sort((a, b) => new Date(b.updatedAt!).getTime() - new Date(a.updatedAt!).getTime())
+    .slice(0, limit);
+}
+
 export function postsForYear<T extends { date: string }>(
   posts: T[],
   year: number,
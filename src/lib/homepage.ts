@@ -30,14 +30,17 @@ export function curateHomepage<T extends EnrichedPost & { id?: string; excerpt?:
     if (post.id) usedIds.add(post.id);
   }
 
+  // Summaries read better than a truncated opening paragraph, so they win.
   const featuredExcerpt = enrichedPosts
     .filter((p) =>
       PROSE_CATEGORY_SLUGS.includes(p.category) &&
-      Boolean(p.excerpt) &&
-      (p.excerpt?.length || 0) > 80 &&
+      (Boolean(p.summary) || (p.excerpt?.length || 0) > 80) &&
       (!p.id || !usedIds.has(p.id))
     )
-    .sort((a, b) => (b.excerpt?.length || 0) - (a.excerpt?.length || 0))[0] || null;
+    .sort((a, b) =>
+      Number(Boolean(b.summary)) - Number(Boolean(a.summary)) ||
+      (b.excerpt?.length || 0) - (a.excerpt?.length || 0)
+    )[0] || null;
   if (featuredExcerpt?.id) usedIds.add(featuredExcerpt.id);
 
   const categoryPosts = new Map<string, T[]>();
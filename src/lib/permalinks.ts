@@ -0,0 +1,64 @@
+import type { EnrichedPost, Post } from './posts';
+
+// "Same period" on a permalink page: posts within this many days either side.
+export const SAME_PERIOD_DAYS = 45;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+type PermalinkPost = EnrichedPost<Post & { id: string }>;
+
+export function postPath(post: { id: string }) {
+  return `/p/${post.id}`;
+}
+
+// The original's URL for rel=canonical, or undefined when the link is not absolute.
+export function canonicalFor(post: { link: string; canonicalUrl?: string }) {
+  for (const candidate of [post.canonicalUrl, post.link]) {
+    if (!candidate) continue;
+    try {
+      const url = new URL(candidate);
+      if (url.protocol === 'http:' || url.protocol === 'https:') return url.toString();
+    } catch {
+      // Fall through to the next candidate.
+    }
+  }
+  return undefined;
+}
+
+function timeOf(post: { date: string }) {
+  const ms = new Date(post.date).getTime();
+  return Number.isNaN(ms) ? null : ms;
+}
+
+// Neighbours for permalink pages, indexed once for the whole build.
+export function createPermalinkIndex<T extends PermalinkPost>(posts: T[]) {
+  const newestFirst = [...posts].sort((a, b) => (timeOf(b) ?? 0) - (timeOf(a) ?? 0));
+  const byWriter = new Map<string, T[]>();
+  const byCategory = new Map<string, T[]>();
+  for (const post of newestFirst) {
+    if (!byWriter.has(post.blogId)) byWriter.set(post.blogId, []);
+    byWriter.get(post.blogId)!.push(post);
+    if (!byCategory.has(post.category)) byCategory.set(post.category, []);
+    byCategory.get(post.category)!.push(post);
+  }
+
+  return {
+    // The writer's most recent other posts.
+    moreByWriter(post: T, limit = 5) {
+      return (byWriter.get(post.blogId) || []).filter((p) => p.id !== post.id).slice(0, limit);
+    },
+    // Other writers' posts on the same shelf, closest in date first.
+    samePeriod(post: T, limit = 5) {
+      const at = timeOf(post);
+      if (at === null) return [];
+      const windowMs = SAME_PERIOD_DAYS * DAY_MS;
+      return (byCategory.get(post.category) || [])
+        .filter((p) => p.blogId !== post.blogId)
+        .map((p) => ({ post: p, distance: Math.abs((timeOf(p) ?? Infinity) - at) }))
+        .filter(({ distance }) => distance <= windowMs)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit)
+        .map(({ post: p }) => p);
+    },
+  };
+}
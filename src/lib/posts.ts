@@ -8,18 +8,50 @@ export type Blog = {
   proxy?: boolean;
   allowMissingDates?: boolean;
   ignoreLinkDateInference?: boolean;
+  // How the fetcher dates this blog's posts; see scripts/lib/fetch/dates.js.
+  datePolicy?: {
+    linkDates?: 'auto' | 'always' | 'never';
+    storedDates?: 'fallback' | 'prefer' | 'never';
+    missingDates?: 'skip' | 'fallback';
+    timezone?: string;
+    maxFutureDays?: number;
+  };
   maxPosts?: number;
 };
 
+// Posts from blogs whose feeds omit dates carry synthesized ones.
+export function hasSynthesizedDates(blog: Blog | undefined) {
+  const missingDates = blog?.datePolicy?.missingDates;
+  return missingDates ? missingDates === 'fallback' : Boolean(blog?.allowMissingDates);
+}
+
+// Another blog's copy of the same essay (see scripts/lib/fetch/syndication.js).
+export type AlsoOn = { blogId: string; blogName: string; link: string };
+
+// One of the post's categories as picked by scripts/classify.js. Only archived
+// posts and manual overrides carry a confidence (1 = manual override).
+export type PostCategory = { slug: string; confidence?: number };
+
 export type Post = {
   blogId: string;
   date: string;
+  alsoOn?: AlsoOn[];
+  // Set once the fetcher has seen the title or body change after first indexing.
+  updatedAt?: string;
+  // Words in the full post, from the feed's full text or the fetched page.
+  wordCount?: number;
+  // 2–3 sentences picked from the post by scripts/summarize.js.
+  summary?: string;
+  categories?: PostCategory[];
+  related?: string[];
 };
 
 export type EnrichedPost<T extends Post = Post> = T & {
   blogName: string;
   blogUrl: string;
   category: string;
+  // The post's own categories, best first (see getPostCategories).
+  categorySlugs: string[];
   blogCategories: string[];
 };
 
@@ -27,6 +59,14 @@ export function createBlogMap(blogs: Blog[]) {
   return new Map(blogs.map((blog) => [blog.id, blog]));
 }
 
+// A post's categories, best first: the classifier's picks when it has run on
+// the post, otherwise every category of its writer.
+export function getPostCategories(post: Post, blog?: Blog) {
+  const picked = (post.categories || []).map((c) => c.slug).filter(Boolean);
+  if (picked.length > 0) return picked;
+  return blog?.categories?.length ? blog.categories : ['tech'];
+}
+
 export function enrichPosts<T extends Post>(
   posts: T[],
   blogMap: Map<string, Blog>,
@@ -36,12 +76,14 @@ export function enrichPosts<T extends Post>(
   return posts.map((post) => {
     const blog = blogMap.get(post.blogId);
     const blogCategories = blog?.categories || [];
-    const category = categoryOverride || blogCategories[0] || 'tech';
+    const categorySlugs = getPostCategories(post, blog);
+    const category = categoryOverride || categorySlugs[0];
     return {
       ...post,
       blogName: blog?.name || '',
       blogUrl: blog?.url || '',
       category,
+      categorySlugs,
       blogCategories,
     };
   });
@@ -79,7 +121,7 @@ export function pickFeaturedPost<T extends Post & { excerpt?: string; id?: strin
       return {
         post,
         dateMs,
-        allowMissingDates: Boolean(blog?.allowMissingDates),
+        allowMissingDates: hasSynthesizedDates(blog),
         excerptLength,
       };
     })
@@ -0,0 +1,27 @@
+// Reading time from the word count the fetcher records per post.
+export const WORDS_PER_MINUTE = 230;
+
+export const SHORT_READ_MAX_MINUTES = 10;
+export const LONG_READ_MIN_MINUTES = 20;
+
+export type ReadingLength = 'short' | 'medium' | 'long';
+
+// Minutes to read a post, or null when its length is unknown.
+export function readingMinutes(post: { wordCount?: number }) {
+  if (!post.wordCount || post.wordCount <= 0) return null;
+  return Math.max(1, Math.round(post.wordCount / WORDS_PER_MINUTE));
+}
+
+export function readingLength(minutes: number | null): ReadingLength | null {
+  if (minutes === null) return null;
+  if (minutes < SHORT_READ_MAX_MINUTES) return 'short';
+  if (minutes >= LONG_READ_MIN_MINUTES) return 'long';
+  return 'medium';
+}
+
+// Mean over the posts whose length is known.
+export function averageReadingMinutes(posts: { wordCount?: number }[]) {
+  const known = posts.map(readingMinutes).filter((m): m is number => m !== null);
+  if (known.length === 0) return null;
+  return Math.round(known.reduce((sum, m) => sum + m, 0) / known.length);
+}
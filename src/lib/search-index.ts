@@ -0,0 +1,111 @@
+import { createHash } from 'node:crypto';
+import { CATEGORIES } from './categories';
+import { getBlogs, getEnrichedPosts } from './site-data';
+import {
+  DOC_SHARD_SIZE,
+  FIELD_BOOST,
+  SEARCH_INDEX_VERSION,
+  analyze,
+  termShardKey,
+  type SearchDoc,
+  type SearchManifest,
+  type TermShard,
+} from './search';
+
+const SNIPPET_LENGTH = 220;
+
+type SearchIndexFiles = {
+  manifest: SearchManifest;
+  // File name (without .json) → serialized body.
+  files: Map<string, string>;
+};
+
+let cached: SearchIndexFiles | null = null;
+
+function hashOf(body: string) {
+  return createHash('sha1').update(body).digest('hex').slice(0, 10);
+}
+
+function snippet(text: string | undefined) {
+  const t = (text || '').replace(/\s+/g, ' ').trim();
+  return t.length <= SNIPPET_LENGTH ? t : `${t.slice(0, SNIPPET_LENGTH).trimEnd()}…`;
+}
+
+// Builds the whole index once per build; every /search-index route reads from it.
+export function getSearchIndex(): SearchIndexFiles {
+  if (cached) return cached;
+
+  const blogs = getBlogs();
+  const writerIndex = new Map(blogs.map((b, i) => [b.id, i]));
+  const categoryIndex = new Map<string, number>(CATEGORIES.map((c, i) => [c.slug, i]));
+  const posts = getEnrichedPosts({ blogs })
+    .map((post) => ({ post, ts: new Date(post.date).getTime() }))
+    .filter((it) => !Number.isNaN(it.ts) && writerIndex.has(it.post.blogId))
+    .sort((a, b) => b.ts - a.ts);
+
+  const postings = new Map<string, Map<number, number>>();
+  const docs: SearchDoc[] = [];
+  const docMeta: [number, number, number][] = [];
+  const years = new Set<number>();
+
+  posts.forEach(({ post, ts }, docIndex) => {
+    const writer = writerIndex.get(post.blogId)!;
+    const date = new Date(ts);
+    years.add(date.getFullYear());
+    docs.push([post.title, post.link, writer, date.toISOString(), post.category, snippet(post.excerpt)]);
+    docMeta.push([writer, date.getFullYear(), categoryIndex.get(post.category) ?? -1]);
+
+    const fields: [string, number][] = [
+      [post.title, FIELD_BOOST.title],
+      [post.blogName, FIELD_BOOST.writer],
+      [post.excerpt || '', FIELD_BOOST.excerpt],
+    ];
+    for (const [text, boost] of fields) {
+      for (const term of analyze(text)) {
+        let termDocs = postings.get(term);
+        if (!termDocs) postings.set(term, (termDocs = new Map()));
+        termDocs.set(docIndex, (termDocs.get(docIndex) || 0) + boost);
+      }
+    }
+  });
+
+  const files = new Map<string, string>();
+
+  const termShards = new Map<string, TermShard>();
+  for (const term of [...postings.keys()].sort()) {
+    const key = termShardKey(term);
+    if (!termShards.has(key)) termShards.set(key, {});
+    termShards.get(key)![term] = [...postings.get(term)!].flat();
+  }
+  const termShardNames: Record<string, string> = {};
+  for (const [key, shard] of termShards) {
+    const body = JSON.stringify(shard);
+    const name = `t-${key}-${hashOf(body)}`;
+    termShardNames[key] = name;
+    files.set(name, body);
+  }
+
+  const docShardNames: string[] = [];
+  for (let start = 0; start < docs.length; start += DOC_SHARD_SIZE) {
+    const body = JSON.stringify(docs.slice(start, start + DOC_SHARD_SIZE));
+    const name = `d-${start / DOC_SHARD_SIZE}-${hashOf(body)}`;
+    docShardNames.push(name);
+    files.set(name, body);
+  }
+
+  const manifest: SearchManifest = {
+    version: SEARCH_INDEX_VERSION,
+    generatedAt: new Date().toISOString(),
+    docCount: docs.length,
+    docShardSize: DOC_SHARD_SIZE,
+    termShards: termShardNames,
+    docShards: docShardNames,
+    writers: blogs.map((b) => ({ id: b.id, name: b.name })),
+    categories: CATEGORIES.map((c) => c.slug),
+    years: [...years].sort((a, b) => b - a),
+    docMeta,
+  };
+
+  cached = { manifest, files };
+  return cached;
+}
@@ -0,0 +1,116 @@
+// Text analysis shared by the build-time index (search-index.ts) and the
+// /search page, so a query is always tokenized exactly like the documents.
+
+export const SEARCH_INDEX_VERSION = 2;
+
+// Field weights applied at index time; a hit in a title outranks the same
+// word in an excerpt, and a writer's name is a strong signal on its own.
+export const FIELD_BOOST = {
+  title: 3,
+  writer: 2,
+  excerpt: 1,
+} as const;
+
+// Posts per doc shard. Shards are cut in index order (newest first), so the
+// first page of most result lists only needs one or two of them.
+export const DOC_SHARD_SIZE = 500;
+
+// Only a query token at least this long is expanded into a prefix search.
+export const MIN_PREFIX_LENGTH = 3;
+
+const STOPWORDS = new Set(
+  (
+    'a an and are as at be but by for from has have he her his i if in into is it its ' +
+    'me my not of on or our she so that the their them then there these they this to ' +
+    'was we were what when which who will with you your'
+  ).split(' ')
+);
+
+// Light suffix stripper in the spirit of Porter step 1: enough to fold
+// plurals and common verb/adjective endings without a dictionary.
+const SUFFIXES: [string, string][] = [
+  ['ational', 'ate'],
+  ['ization', 'ize'],
+  ['fulness', 'ful'],
+  ['ousness', 'ous'],
+  ['iveness', 'ive'],
+  ['ements', ''],
+  ['ement', ''],
+  ['ments', ''],
+  ['ment', ''],
+  ['ness', ''],
+  ['ities', 'ity'],
+  ['ically', 'ic'],
+  ['ingly', ''],
+  ['ings', ''],
+  ['ing', ''],
+  ['edly', ''],
+  ['ies', 'y'],
+  ['ied', 'y'],
+  ['ly', ''],
+  ['ed', ''],
+  ['es', ''],
+  ['s', ''],
+];
+
+export function stem(word: string): string {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  for (const [suffix, replacement] of SUFFIXES) {
+    if (!word.endsWith(suffix)) continue;
+    const base = word.slice(0, -suffix.length);
+    if (base.length < 3) continue;
+    // "-es" only marks a plural after a sibilant (boxes, wishes); "ss" is not a plural.
+    if (suffix === 'es' && !/(x|z|ch|sh|ss)$/.test(base)) continue;
+    if (suffix === 's' && /(s|u|i)$/.test(base)) continue;
+    let result = base + replacement;
+    // running → run, stopped → stop
+    if (!replacement && /([^aeiouslz])\1$/.test(result)) result = result.slice(0, -1);
+    return result;
+  }
+  return word;
+}
+
+export function normalizeText(text: string): string {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '');
+}
+
+// Raw lowercased words, stopwords dropped, in order.
+export function tokenize(text: string): string[] {
+  const words = normalizeText(text).match(/[\p{L}\p{N}]+/gu) || [];
+  return words.filter((w) => w.length > 1 && !STOPWORDS.has(w));
+}
+
+export function analyze(text: string): string[] {
+  return tokenize(text).map(stem);
+}
+
+// Terms are sharded on their first character so a prefix query touches one shard.
+export function termShardKey(term: string): string {
+  const first = term.charAt(0);
+  return /[a-z0-9]/.test(first) ? first : '_';
+}
+
+export type SearchManifest = {
+  version: number;
+  generatedAt: string;
+  docCount: number;
+  docShardSize: number;
+  // Shard key → file name (content-hashed, so it can be cached forever).
+  termShards: Record<string, string>;
+  docShards: string[];
+  writers: { id: string; name: string }[];
+  categories: string[];
+  years: number[];
+  // Per document, in index order: [writer index, year, category index].
+  docMeta: [number, number, number][];
+};
+
+// term → flat [docIndex, weight, docIndex, weight, …]
+export type TermShard = Record<string, number[]>;
+
+// Per document: [title, link, writer index, ISO date, category, excerpt snippet]
+export type SearchDoc = [string, string, number, string, string, string];
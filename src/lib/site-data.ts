@@ -1,6 +1,7 @@
 import blogsData from '../../data/blogs.json';
-import postsData from '../../data/cache/posts.json';
-import { createBlogMap, enrichPosts, type Blog } from './posts';
+import categoryOverridesData from '../../data/category-overrides.json';
+import { CATEGORY_SLUGS } from './categories';
+import { createBlogMap, enrichPosts, type AlsoOn, type Blog, type PostCategory } from './posts';
 
 type CachePost = {
   id: string;
@@ -9,20 +10,71 @@ type CachePost = {
   link: string;
   date: string;
   excerpt?: string;
+  canonicalUrl?: string;
+  // Set on cross-blog copies: the id of the post treated as the original.
+  syndicatedOf?: string;
+  updatedAt?: string;
+  wordCount?: number;
+  summary?: string;
+  categories?: PostCategory[];
+  // Other writers' posts, best first (scripts/embed.js).
+  related?: string[];
 };
 
-type PostsCache = {
-  lastUpdated?: string;
-  posts: CachePost[];
+// data/cache/posts.json split by scripts/lib/posts-shards.js: one file per
+// year (copies sit with their original), a recent file and this manifest.
+// Year files also hold the posts pruned into archive.json. Pages load only
+// the shards they need.
+export type PostsManifest = {
+  lastUpdated: string | null;
+  total: number;
+  canonical: number;
+  archived: number;
+  recent: { file: string; count: number; linked: number; since: string | null; hash: string };
+  years: { year: number; file: string; count: number; canonical: number; hash: string }[];
+  // Blog id → the years its posts are filed under.
+  blogs: Record<string, number[]>;
+  // Related pick id → its year shard, for picks outside the recent shard.
+  relatedYears: Record<string, number>;
 };
 
+type YearShard = { year: number; posts: CachePost[] };
+// `linked`: related picks of recent posts that fall outside the window.
+// `revised`: the latest revised essays and their copies, for /archive.
+type RecentShard = { since: string | null; posts: CachePost[]; linked: CachePost[]; revised: CachePost[] };
+
+// Bundled as text by Vite, like blogs.json above; each shard is parsed on first use.
+// npm run build writes data/cache/posts/ first (export-cache --shards).
+const SHARD_FILES = import.meta.glob<string>('../../data/cache/posts/*.json', {
+  eager: true,
+  query: '?raw',
+  import: 'default',
+});
+
 export type FeedStatusRow = {
   blogId: string;
-  status: 'ok' | 'error' | string;
+  status: 'ok' | 'unchanged' | 'error' | 'deferred' | string;
   postCount: number;
   latencyMs?: number;
   error?: string | null;
   lastFetched: string;
+  nextRetryAt?: string | null;
+  // RSS proxy that served (or failed) the fetch; null for direct fetches.
+  proxy?: string | null;
+  failures?: number;
+  history?: FeedHistory | null;
+};
+
+export type FeedHistory = {
+  runs: number;
+  uptimePct: number | null;
+  medianLatencyMs: number | null;
+  p95LatencyMs: number | null;
+  lastSuccessAt: string | null;
+  outageSince: string | null;
+  // One character per run, oldest first: o=ok, u=unchanged, x=error, d=deferred.
+  statuses: string;
+  latencies: (number | null)[];
 };
 
 export type StatusCache = {
@@ -32,33 +84,161 @@ export type StatusCache = {
     total: number;
     healthy: number;
     errors: number;
+    deferred: number;
+    // Feeds whose latest fetch went through each RSS proxy, and how many were healthy.
+    proxies: { url: string; feeds: number; healthy: number }[];
+  };
+};
+
+// One fetch run's change set, as written by scripts/lib/changes.js.
+export type RunPostChange = {
+  id: string;
+  blogId: string;
+  title: string;
+  date: string;
+  link: string;
+  previousTitle?: string;
+  previousDate?: string;
+};
+
+export type FetchRun = {
+  id: number;
+  runAt: string;
+  partial: boolean;
+  feeds: number;
+  changes: {
+    added: RunPostChange[];
+    changed: RunPostChange[];
+    dropped: RunPostChange[];
+    failing: { blogId: string; error: string | null }[];
+    recovered: { blogId: string; failures: number; failingSince: string }[];
   };
 };
 
+export type ChangesCache = {
+  lastUpdated: string | null;
+  runs: FetchRun[];
+};
+
 const EMPTY_STATUS: StatusCache = {
   lastUpdated: null,
   feeds: [],
-  summary: { total: 0, healthy: 0, errors: 0 },
+  summary: { total: 0, healthy: 0, errors: 0, deferred: 0, proxies: [] },
 };
 
 export function getBlogs() {
   return (blogsData.blogs || []) as Blog[];
 }
 
-export function getPostsCache() {
-  return postsData as PostsCache;
+const shards = new Map<string, unknown>();
+
+function readShard<T>(file: string): T {
+  if (!shards.has(file)) {
+    const content = SHARD_FILES[`../../data/cache/posts/${file}`];
+    if (content === undefined) throw new Error(`Missing posts shard ${file}; run npm run export-cache -- --shards`);
+    shards.set(file, JSON.parse(content));
+  }
+  return shards.get(file) as T;
+}
+
+export function getPostsManifest() {
+  return readShard<PostsManifest>('manifest.json');
+}
+
+// Manual category overrides are applied as shards load, so editing the map
+// takes effect on the next build without rerunning the classifier.
+function applyCategoryOverrides(posts: CachePost[]) {
+  const overrides = (categoryOverridesData.posts || {}) as Record<string, string[]>;
+  return posts.map((post) => {
+    const slugs = (overrides[post.id] || []).filter((slug) => (CATEGORY_SLUGS as string[]).includes(slug));
+    return slugs.length > 0 ? { ...post, categories: slugs.map((slug) => ({ slug, confidence: 1 })) } : post;
+  });
+}
+
+const byDateDesc = (a: CachePost, b: CachePost) => new Date(b.date).getTime() - new Date(a.date).getTime();
+
+// Years that have a shard, newest first.
+export function getPostYears() {
+  return getPostsManifest().years.map((entry) => entry.year);
+}
+
+const postsByYear = new Map<number, CachePost[]>();
+
+// Every post filed under `year`, syndicated copies included.
+export function getAllPostsForYear(year: number) {
+  let posts = postsByYear.get(year);
+  if (!posts) {
+    const entry = getPostsManifest().years.find((y) => y.year === year);
+    posts = entry ? applyCategoryOverrides(readShard<YearShard>(entry.file).posts) : [];
+    postsByYear.set(year, posts);
+  }
+  return posts;
+}
+
+// A writer's posts, copies included, from only the years they posted in.
+export function getPostsForBlog(blogId: string) {
+  return (getPostsManifest().blogs[blogId] || [])
+    .flatMap((year) => getAllPostsForYear(year))
+    .filter((post) => post.blogId === blogId)
+    .sort(byDateDesc);
+}
+
+let allPosts: CachePost[] | null = null;
+
+// Every cached post, syndicated copies included. Loads every shard.
+export function getAllPosts() {
+  if (!allPosts) allPosts = getPostYears().flatMap((year) => getAllPostsForYear(year)).sort(byDateDesc);
+  return allPosts;
+}
+
+// Each essay once: copies are folded into their original as `alsoOn` links.
+// `posts` must hold the originals of any copies in it, as every shard does.
+function foldCopies(posts: CachePost[]) {
+  const blogMap = createBlogMap(getBlogs());
+  const copiesByOriginal = new Map<string, AlsoOn[]>();
+  for (const post of posts) {
+    if (!post.syndicatedOf) continue;
+    const list = copiesByOriginal.get(post.syndicatedOf) || [];
+    list.push({ blogId: post.blogId, blogName: blogMap.get(post.blogId)?.name || post.blogId, link: post.link });
+    copiesByOriginal.set(post.syndicatedOf, list);
+  }
+  return posts
+    .filter((post) => !post.syndicatedOf)
+    .map((post): CachePost & { alsoOn?: AlsoOn[] } =>
+      (copiesByOriginal.has(post.id) ? { ...post, alsoOn: copiesByOriginal.get(post.id) } : post));
 }
 
+let canonicalPosts: ReturnType<typeof foldCopies> | null = null;
+
 export function getPosts() {
-  return getPostsCache().posts || [];
+  if (!canonicalPosts) canonicalPosts = foldCopies(getAllPosts());
+  return canonicalPosts;
+}
+
+export function getPostsForYear(year: number) {
+  return foldCopies(getAllPostsForYear(year)).sort(byDateDesc);
+}
+
+let recentPosts: ReturnType<typeof foldCopies> | null = null;
+
+// The newest essays (see RECENT_* in scripts/lib/posts-shards.js) for the
+// homepage, /feed and the site-wide feeds.
+export function getRecentPosts() {
+  if (!recentPosts) recentPosts = foldCopies(applyCategoryOverrides(readShard<RecentShard>(getPostsManifest().recent.file).posts));
+  return recentPosts;
+}
+
+// The most recently revised essays (REVISED_POSTS in scripts/lib/posts-shards.js).
+export function getRevisedPosts() {
+  return foldCopies(applyCategoryOverrides(readShard<RecentShard>(getPostsManifest().recent.file).revised || []));
 }
 
 export function getSiteStats() {
-  const postsCache = getPostsCache();
+  const manifest = getPostsManifest();
   return {
     blogCount: getBlogs().length,
-    postCount: postsCache.posts?.length || 0,
-    lastUpdated: postsCache.lastUpdated || '',
+    postCount: manifest.total,
+    lastUpdated: manifest.lastUpdated || '',
   };
 }
 
@@ -66,10 +246,60 @@ export function getBlogMap(blogs = getBlogs()) {
   return createBlogMap(blogs);
 }
 
-export function getEnrichedPosts(options: { blogs?: Blog[]; blogMap?: ReturnType<typeof createBlogMap> } = {}) {
-  const blogs = options.blogs || getBlogs();
-  const blogMap = options.blogMap || createBlogMap(blogs);
-  return enrichPosts(getPosts(), blogMap);
+type EnrichOptions = { blogs?: Blog[]; blogMap?: ReturnType<typeof createBlogMap> };
+
+function enrich<T extends CachePost & { alsoOn?: AlsoOn[] }>(posts: T[], options: EnrichOptions) {
+  const blogMap = options.blogMap || createBlogMap(options.blogs || getBlogs());
+  return enrichPosts(posts, blogMap);
+}
+
+export function getEnrichedPosts(options: EnrichOptions = {}) {
+  return enrich(getPosts(), options);
+}
+
+export function getRecentEnrichedPosts(options: EnrichOptions = {}) {
+  return enrich(getRecentPosts(), options);
+}
+
+export function getEnrichedPostsForYear(year: number, options: EnrichOptions = {}) {
+  return enrich(getPostsForYear(year), options);
+}
+
+export function getRevisedEnrichedPosts(options: EnrichOptions = {}) {
+  return enrich(getRevisedPosts(), options);
+}
+
+type EnrichedCachePost = ReturnType<typeof getEnrichedPosts>[number];
+let recentById: Map<string, EnrichedCachePost> | null = null;
+const yearById = new Map<number, Map<string, EnrichedCachePost>>();
+
+function getPostsByIdForYear(year: number) {
+  let index = yearById.get(year);
+  if (!index) {
+    index = new Map(getEnrichedPostsForYear(year).map((p) => [p.id, p]));
+    yearById.set(year, index);
+  }
+  return index;
+}
+
+// "If you liked this" picks for a post, resolved against the canonical posts.
+// Picks in the recent shard resolve there; others load only the year shard
+// the manifest files them under.
+export function getRelatedPosts(post: { related?: string[] }, limit = 3) {
+  if (!post.related?.length) return [];
+  if (!recentById) {
+    const linked = applyCategoryOverrides(readShard<RecentShard>(getPostsManifest().recent.file).linked);
+    recentById = new Map(enrich([...getRecentPosts(), ...linked], {}).map((p) => [p.id, p]));
+  }
+  const relatedYears = getPostsManifest().relatedYears || {};
+  const picks: EnrichedCachePost[] = [];
+  for (const id of post.related) {
+    if (picks.length >= limit) break;
+    const year = relatedYears[id];
+    const pick = recentById.get(id) || (year === undefined ? undefined : getPostsByIdForYear(year).get(id));
+    if (pick) picks.push(pick);
+  }
+  return picks;
 }
 
 export async function getStatusCacheSafe(): Promise<StatusCache> {
@@ -83,9 +313,24 @@ export async function getStatusCacheSafe(): Promise<StatusCache> {
         total: Number(data.summary?.total || 0),
         healthy: Number(data.summary?.healthy || 0),
         errors: Number(data.summary?.errors || 0),
+        deferred: Number(data.summary?.deferred || 0),
+        proxies: Array.isArray(data.summary?.proxies) ? data.summary.proxies : [],
       },
     };
   } catch {
     return EMPTY_STATUS;
   }
 }
+
+export async function getChangesCacheSafe(): Promise<ChangesCache> {
+  try {
+    const mod = await import('../../data/cache/changes.json');
+    const data = (mod.default || mod) as Partial<ChangesCache>;
+    return {
+      lastUpdated: data.lastUpdated ?? null,
+      runs: Array.isArray(data.runs) ? data.runs : [],
+    };
+  } catch {
+    return { lastUpdated: null, runs: [] };
+  }
+}
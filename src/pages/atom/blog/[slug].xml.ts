@@ -0,0 +1,87 @@
+import type { APIRoute, GetStaticPaths } from 'astro';
+import { getBlogs, getPostsForBlog } from '../../../lib/site-data';
+import { getPostCategories } from '../../../lib/posts';
+
+const SITE_URL = 'https://smallweb.blog';
+const FEED_LIMIT = 50;
+
+function escapeXml(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttr(text: string): string {
+  return escapeXml(text).replace(/"/g, '&quot;');
+}
+
+export const getStaticPaths: GetStaticPaths = () => {
+  return getBlogs().map((blog) => ({ params: { slug: blog.id }, props: { blog } }));
+};
+
+// Atom twin of /rss/blog/[slug].xml. Each entry carries an atom:source
+// describing the writer's own feed, as RFC 4287 intends for copied entries.
+export const GET: APIRoute = async ({ props }) => {
+  const { blog } = props as { blog: ReturnType<typeof getBlogs>[number] };
+
+  const now = new Date();
+  const MAX_YEAR = now.getFullYear() + 1;
+
+  const entries = getPostsForBlog(blog.id)
+    .map((p) => ({ post: p, ts: new Date(p.date).getTime() }))
+    .filter((it) => !Number.isNaN(it.ts) && new Date(it.ts).getFullYear() <= MAX_YEAR)
+    .sort((a, b) => b.ts - a.ts)
+    .slice(0, FEED_LIMIT);
+
+  const updated = entries.length > 0 ? new Date(entries[0].ts).toISOString() : now.toISOString();
+  const sourceLinks = [
+    blog.feed ? `      <link rel="self" href="${escapeAttr(blog.feed)}"/>` : '',
+    `      <link rel="alternate" type="text/html" href="${escapeAttr(blog.url)}"/>`,
+  ]
+    .filter(Boolean)
+    .join('\n');
+  const source = `    <source>
+      <id>${escapeXml(blog.feed || blog.url)}</id>
+      <title>${escapeXml(blog.name)}</title>
+${sourceLinks}
+    </source>`;
+
+  const items = entries
+    .map(({ post, ts }) => {
+      const published = new Date(ts).toISOString();
+      const updated = post.updatedAt || published;
+      const summary = post.excerpt ? `    <summary><![CDATA[${post.excerpt}]]></summary>\n` : '';
+      const categories = getPostCategories(post, blog)
+        .map((c: string) => `    <category term="${escapeAttr(c)}"/>`)
+        .join('\n');
+      return `  <entry>
+    <title type="text"><![CDATA[${post.title}]]></title>
+    <link rel="alternate" type="text/html" href="${escapeAttr(post.link)}"/>
+    <id>${escapeXml(post.link)}</id>
+    <published>${published}</published>
+    <updated>${updated}</updated>
+    <author><name>${escapeXml(blog.name)}</name><uri>${escapeXml(blog.url)}</uri></author>
+${summary}${categories}
+${source}
+  </entry>`;
+    })
+    .join('\n');
+
+  const atom = `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(blog.name)} · smallweb</title>
+  <subtitle>${escapeXml(blog.description || `Essays by ${blog.name}`)}</subtitle>
+  <id>${SITE_URL}/atom/blog/${blog.id}.xml</id>
+  <link rel="self" type="application/atom+xml" href="${SITE_URL}/atom/blog/${blog.id}.xml"/>
+  <link rel="alternate" type="text/html" href="${SITE_URL}/blog/${blog.id}"/>
+${blog.feed ? `  <link rel="via" href="${escapeAttr(blog.feed)}"/>\n` : ''}  <updated>${updated}</updated>
+  <author><name>${escapeXml(blog.name)}</name><uri>${escapeXml(blog.url)}</uri></author>
+  <generator>smallweb on Astro</generator>
+${items}
+</feed>`;
+
+  return new Response(atom, {
+    headers: {
+      'Content-Type': 'application/atom+xml; charset=utf-8',
+      'Cache-Control': 'public, max-age=3600',
+    },
+  });
+};
@@ -0,0 +1,75 @@
+import type { APIRoute } from 'astro';
+import { CATEGORIES } from '../lib/categories';
+import { getBlogs } from '../lib/site-data';
+
+const SITE_URL = 'https://smallweb.blog';
+
+function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function escapeAttr(text: string): string {
+  return escapeXml(text).replace(/"/g, '&quot;');
+}
+
+export const GET: APIRoute = async () => {
+  const blogs = [...getBlogs()].sort((a, b) => a.name.localeCompare(b.name));
+
+  // Each writer appears once, under their primary shelf (same grouping as /blogs),
+  // so importing the file never subscribes a reader to the same feed twice.
+  const blogsByCategory = new Map<string, typeof blogs>();
+  for (const blog of blogs) {
+    if (!blog.feed) continue;
+    const primary = blog.categories?.[0] || 'tech';
+    if (!blogsByCategory.has(primary)) blogsByCategory.set(primary, []);
+    blogsByCategory.get(primary)!.push(blog);
+  }
+
+  const outlines = CATEGORIES.map((category) => {
+    const items = blogsByCategory.get(category.slug);
+    if (!items || items.length === 0) return '';
+    const children = items
+      .map((blog) => {
+        const attrs = [
+          'type="rss"',
+          `text="${escapeAttr(blog.name)}"`,
+          `title="${escapeAttr(blog.name)}"`,
+          `xmlUrl="${escapeAttr(blog.feed || '')}"`,
+          `htmlUrl="${escapeAttr(blog.url)}"`,
+          blog.description ? `description="${escapeAttr(blog.description)}"` : '',
+          `category="${escapeAttr((blog.categories || []).join(','))}"`,
+        ].filter(Boolean);
+        return `      <outline ${attrs.join(' ')}/>`;
+      })
+      .join('\n');
+    return `    <outline text="${escapeAttr(category.name)}" title="${escapeAttr(category.name)}">
+${children}
+    </outline>`;
+  })
+    .filter(Boolean)
+    .join('\n');
+
+  const opml = `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>smallweb · the whole library</title>
+    <dateCreated>${new Date().toUTCString()}</dateCreated>
+    <ownerName>smallweb</ownerName>
+    <docs>http://opml.org/spec2.opml</docs>
+    <urlPublic>${SITE_URL}/blogs.opml</urlPublic>
+  </head>
+  <body>
+${outlines}
+  </body>
+</opml>`;
+
+  return new Response(opml, {
+    headers: {
+      'Content-Type': 'text/x-opml; charset=utf-8',
+      'Cache-Control': 'public, max-age=3600',
+    },
+  });
+};
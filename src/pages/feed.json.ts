@@ -0,0 +1,62 @@
+import type { APIRoute } from 'astro';
+import { getBlogs, getRecentPosts } from '../lib/site-data';
+import { getPostCategories } from '../lib/posts';
+
+const SITE_URL = 'https://smallweb.blog';
+const FEED_LIMIT = 100;
+
+// JSON Feed 1.1 twin of /rss.xml: same date window, same limit.
+export const GET: APIRoute = async () => {
+  const blogs = getBlogs();
+  const posts = getRecentPosts();
+  const blogMap = new Map(blogs.map((b) => [b.id, b]));
+
+  const now = new Date();
+  const currentYear = now.getFullYear();
+  const MIN_YEAR = currentYear - 2;
+  const MAX_YEAR = currentYear + 1;
+
+  const items = posts
+    .map((p) => ({ post: p, ts: new Date(p.date).getTime() }))
+    .filter((it) => {
+      if (Number.isNaN(it.ts)) return false;
+      const y = new Date(it.ts).getFullYear();
+      return y >= MIN_YEAR && y <= MAX_YEAR;
+    })
+    .sort((a, b) => b.ts - a.ts)
+    .slice(0, FEED_LIMIT)
+    .map(({ post, ts }) => {
+      const blog = blogMap.get(post.blogId);
+      return {
+        id: post.link,
+        url: post.link,
+        external_url: post.link,
+        title: post.title,
+        content_text: post.excerpt || '',
+        ...(post.excerpt ? { summary: post.excerpt } : {}),
+        date_published: new Date(ts).toISOString(),
+        ...(post.updatedAt ? { date_modified: post.updatedAt } : {}),
+        authors: [{ name: blog?.name || 'Unknown', ...(blog?.url ? { url: blog.url } : {}) }],
+        tags: getPostCategories(post, blog),
+      };
+    });
+
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: 'smallweb',
+    home_page_url: SITE_URL,
+    feed_url: `${SITE_URL}/feed.json`,
+    description: `A reading room for the unhurried web. Hand-picked essays from ${blogs.length} independent writers, refreshed every few hours.`,
+    icon: `${SITE_URL}/og-image.png`,
+    favicon: `${SITE_URL}/favicon.svg`,
+    language: 'en-US',
+    items,
+  };
+
+  return new Response(JSON.stringify(feed, null, 2), {
+    headers: {
+      'Content-Type': 'application/feed+json; charset=utf-8',
+      'Cache-Control': 'public, max-age=3600',
+    },
+  });
+};
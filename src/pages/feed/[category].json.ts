@@ -0,0 +1,64 @@
+import type { APIRoute, GetStaticPaths } from 'astro';
+import { CATEGORIES } from '../../lib/categories';
+import { getBlogs, getPosts } from '../../lib/site-data';
+import { getPostCategories } from '../../lib/posts';
+
+const SITE_URL = 'https://smallweb.blog';
+const FEED_LIMIT = 60;
+
+export const getStaticPaths: GetStaticPaths = () => {
+  return CATEGORIES.map((c) => ({ params: { category: c.slug }, props: { category: c } }));
+};
+
+// JSON Feed 1.1 twin of /rss/[slug].xml: same date window, same limit.
+export const GET: APIRoute = async ({ props }) => {
+  const { category } = props as { category: (typeof CATEGORIES)[number] };
+
+  const blogs = getBlogs();
+  const posts = getPosts();
+  const blogMap = new Map(blogs.map((b) => [b.id, b]));
+
+  const currentYear = new Date().getFullYear();
+  const MIN_YEAR = currentYear - 2;
+
+  const items = posts
+    .filter((p) => getPostCategories(p, blogMap.get(p.blogId)).includes(category.slug))
+    .map((p) => ({ post: p, ts: new Date(p.date).getTime() }))
+    .filter((it) => !Number.isNaN(it.ts) && new Date(it.ts).getFullYear() >= MIN_YEAR)
+    .sort((a, b) => b.ts - a.ts)
+    .slice(0, FEED_LIMIT)
+    .map(({ post, ts }) => {
+      const blog = blogMap.get(post.blogId);
+      return {
+        id: post.link,
+        url: post.link,
+        external_url: post.link,
+        title: post.title,
+        content_text: post.excerpt || '',
+        ...(post.excerpt ? { summary: post.excerpt } : {}),
+        date_published: new Date(ts).toISOString(),
+        ...(post.updatedAt ? { date_modified: post.updatedAt } : {}),
+        authors: [{ name: blog?.name || 'Unknown', ...(blog?.url ? { url: blog.url } : {}) }],
+        tags: getPostCategories(post, blog),
+      };
+    });
+
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: `smallweb · ${category.name}`,
+    home_page_url: `${SITE_URL}/category/${category.slug}`,
+    feed_url: `${SITE_URL}/feed/${category.slug}.json`,
+    description: `${category.description}. Essays from the ${category.name.toLowerCase()} shelf of smallweb.`,
+    icon: `${SITE_URL}/og-image.png`,
+    favicon: `${SITE_URL}/favicon.svg`,
+    language: 'en-US',
+    items,
+  };
+
+  return new Response(JSON.stringify(feed, null, 2), {
+    headers: {
+      'Content-Type': 'application/feed+json; charset=utf-8',
+      'Cache-Control': 'public, max-age=3600',
+    },
+  });
+};
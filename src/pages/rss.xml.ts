@@ -1,5 +1,6 @@
 import type { APIRoute } from 'astro';
-import { getBlogs, getPosts } from '../lib/site-data';
+import { getBlogs, getRecentPosts } from '../lib/site-data';
+import { getPostCategories } from '../lib/posts';
 
 const SITE_URL = 'https://smallweb.blog';
 const FEED_LIMIT = 100;
@@ -17,7 +18,7 @@ function escapeAttr(text: string): string {
 
 export const GET: APIRoute = async () => {
   const blogs = getBlogs();
-  const posts = getPosts();
+  const posts = getRecentPosts();
   const blogMap = new Map(blogs.map((b) => [b.id, b]));
 
   const now = new Date();
@@ -39,13 +40,17 @@ export const GET: APIRoute = async () => {
       const blog = blogMap.get(post.blogId);
       const pubDate = new Date(ts).toUTCString();
       const writer = blog?.name || 'Unknown';
-      const categories = (blog?.categories || [])
+      const categories = getPostCategories(post, blog)
         .map((c: string) => `      <category>${escapeXml(c)}</category>`)
         .join('\n');
       const description = post.excerpt
         ? `      <description><![CDATA[${post.excerpt}]]></description>\n`
         : '';
       const sourceUrl = blog?.feed ? ` url="${escapeAttr(blog.feed)}"` : '';
+      // Copies of the same essay on other blogs in the library.
+      const alsoOn = (post.alsoOn || [])
+        .map((copy) => `      <atom:link rel="related" href="${escapeAttr(copy.link)}" title="Also on ${escapeAttr(copy.blogName)}"/>\n`)
+        .join('');
 
       return `    <item>
       <title><![CDATA[${post.title}]]></title>
@@ -54,7 +59,7 @@ export const GET: APIRoute = async () => {
       <pubDate>${pubDate}</pubDate>
       <dc:creator><![CDATA[${writer}]]></dc:creator>
       <source${sourceUrl}>${escapeXml(writer)}</source>
-${description}${categories}
+${alsoOn}${description}${categories}
     </item>`;
     })
     .join('\n');
@@ -1,6 +1,7 @@
 import type { APIRoute, GetStaticPaths } from 'astro';
 import { CATEGORIES } from '../../lib/categories';
 import { getBlogs, getPosts } from '../../lib/site-data';
+import { getPostCategories } from '../../lib/posts';
 
 const SITE_URL = 'https://smallweb.blog';
 const FEED_LIMIT = 60;
@@ -28,12 +29,8 @@ export const GET: APIRoute = async ({ props }) => {
   const currentYear = now.getFullYear();
   const MIN_YEAR = currentYear - 2;
 
-  const categoryBlogIds = new Set(
-    blogs.filter((b) => (b.categories || []).includes(category.slug)).map((b) => b.id)
-  );
-
   const items = posts
-    .filter((p) => categoryBlogIds.has(p.blogId))
+    .filter((p) => getPostCategories(p, blogMap.get(p.blogId)).includes(category.slug))
     .map((p) => ({ post: p, ts: new Date(p.date).getTime() }))
     .filter((it) => !Number.isNaN(it.ts) && new Date(it.ts).getFullYear() >= MIN_YEAR)
     .sort((a, b) => b.ts - a.ts)
@@ -43,6 +40,9 @@ export const GET: APIRoute = async ({ props }) => {
       const writer = blog?.name || 'Unknown';
       const pubDate = new Date(ts).toUTCString();
       const sourceUrl = blog?.feed ? ` url="${escapeAttr(blog.feed)}"` : '';
+      const alsoOn = (post.alsoOn || [])
+        .map((copy) => `      <atom:link rel="related" href="${escapeAttr(copy.link)}" title="Also on ${escapeAttr(copy.blogName)}"/>\n`)
+        .join('');
       const desc = post.excerpt
         ? `      <description><![CDATA[${post.excerpt}]]></description>\n`
         : '';
@@ -53,7 +53,7 @@ export const GET: APIRoute = async ({ props }) => {
       <pubDate>${pubDate}</pubDate>
       <dc:creator><![CDATA[${writer}]]></dc:creator>
       <source${sourceUrl}>${escapeXml(writer)}</source>
-${desc}      <category>${escapeXml(category.slug)}</category>
+${alsoOn}${desc}      <category>${escapeXml(category.slug)}</category>
     </item>`;
     })
     .join('\n');
@@ -0,0 +1,76 @@
+import type { APIRoute, GetStaticPaths } from 'astro';
+import { getBlogs, getPostsForBlog } from '../../../lib/site-data';
+import { getPostCategories } from '../../../lib/posts';
+
+const SITE_URL = 'https://smallweb.blog';
+const FEED_LIMIT = 50;
+
+function escapeXml(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttr(text: string): string {
+  return escapeXml(text).replace(/"/g, '&quot;');
+}
+
+export const getStaticPaths: GetStaticPaths = () => {
+  return getBlogs().map((blog) => ({ params: { slug: blog.id }, props: { blog } }));
+};
+
+// A normalized mirror of one writer's feed: cached posts (dates already
+// resolved, duplicates already dropped), pointing back at the original feed.
+export const GET: APIRoute = async ({ props }) => {
+  const { blog } = props as { blog: ReturnType<typeof getBlogs>[number] };
+
+  const now = new Date();
+  const MAX_YEAR = now.getFullYear() + 1;
+
+  const items = getPostsForBlog(blog.id)
+    .map((p) => ({ post: p, ts: new Date(p.date).getTime() }))
+    .filter((it) => !Number.isNaN(it.ts) && new Date(it.ts).getFullYear() <= MAX_YEAR)
+    .sort((a, b) => b.ts - a.ts)
+    .slice(0, FEED_LIMIT)
+    .map(({ post, ts }) => {
+      const sourceUrl = blog.feed ? ` url="${escapeAttr(blog.feed)}"` : '';
+      const desc = post.excerpt
+        ? `      <description><![CDATA[${post.excerpt}]]></description>\n`
+        : '';
+      const categories = getPostCategories(post, blog)
+        .map((c: string) => `      <category>${escapeXml(c)}</category>`)
+        .join('\n');
+      return `    <item>
+      <title><![CDATA[${post.title}]]></title>
+      <link>${escapeXml(post.link)}</link>
+      <guid isPermaLink="true">${escapeXml(post.link)}</guid>
+      <pubDate>${new Date(ts).toUTCString()}</pubDate>
+      <dc:creator><![CDATA[${blog.name}]]></dc:creator>
+      <source${sourceUrl}>${escapeXml(blog.name)}</source>
+${desc}${categories}
+    </item>`;
+    })
+    .join('\n');
+
+  const rss = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"
+     xmlns:atom="http://www.w3.org/2005/Atom"
+     xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(blog.name)} · smallweb</title>
+    <link>${SITE_URL}/blog/${blog.id}</link>
+    <description>${escapeXml(blog.description || `Essays by ${blog.name}`)}</description>
+    <language>en-us</language>
+    <lastBuildDate>${now.toUTCString()}</lastBuildDate>
+    <generator>smallweb on Astro</generator>
+    <ttl>360</ttl>
+    <atom:link href="${SITE_URL}/rss/blog/${blog.id}.xml" rel="self" type="application/rss+xml"/>
+${blog.feed ? `    <atom:link href="${escapeAttr(blog.feed)}" rel="via"/>\n` : ''}${items}
+  </channel>
+</rss>`;
+
+  return new Response(rss, {
+    headers: {
+      'Content-Type': 'application/rss+xml; charset=utf-8',
+      'Cache-Control': 'public, max-age=3600',
+    },
+  });
+};
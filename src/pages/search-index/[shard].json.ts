@@ -0,0 +1,17 @@
+import type { APIRoute, GetStaticPaths } from 'astro';
+import { getSearchIndex } from '../../lib/search-index';
+
+export const getStaticPaths: GetStaticPaths = () => {
+  return [...getSearchIndex().files.keys()].map((shard) => ({ params: { shard } }));
+};
+
+// Shard names carry a content hash, so a given URL never changes.
+export const GET: APIRoute = async ({ params }) => {
+  const body = getSearchIndex().files.get(params.shard as string);
+  return new Response(body ?? '{}', {
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'public, max-age=31536000, immutable',
+    },
+  });
+};
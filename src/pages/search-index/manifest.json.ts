@@ -0,0 +1,11 @@
+import type { APIRoute } from 'astro';
+import { getSearchIndex } from '../../lib/search-index';
+
+export const GET: APIRoute = async () => {
+  return new Response(JSON.stringify(getSearchIndex().manifest), {
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-cache',
+    },
+  });
+};
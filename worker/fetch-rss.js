@@ -0,0 +1,158 @@
+// RSS proxy for feeds that block CI runners (Substack, "proxy": true blogs),
+// served by the site worker. Only feeds listed in data/blogs.json, bundled in
+// at deploy time, are fetched.
+export const FETCH_RSS_PATH = '/api/fetch-rss';
+export const FEED_TIMEOUT_MS = 15000;
+export const MAX_FEED_BYTES = 5 * 1024 * 1024;
+const FEED_CACHE_SECONDS = 300;
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const FEED_ACCEPT = 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.5';
+
+function canonicalFeedUrl(value) {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// Errors use the { error } body that fetchViaRssProxy reads. A 403 from the
+// proxy means "rate limited, retry later" to the fetcher, so refusals use 400.
+// `extra` adds fields such as the feed's own `upstreamStatus`.
+function proxyError(status, message, extra = {}) {
+  return new Response(JSON.stringify({ error: message, ...extra }), {
+    status,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-store',
+    },
+  });
+}
+
+function pickHeaders(source, names) {
+  const headers = new Headers();
+  for (const name of names) {
+    const value = source.get(name);
+    if (value) headers.set(name, value);
+  }
+  return headers;
+}
+
+// Reads at most MAX_FEED_BYTES; returns null if the body is larger.
+async function readLimitedBody(response) {
+  const declared = Number(response.headers.get('Content-Length'));
+  if (declared > MAX_FEED_BYTES) {
+    await response.body?.cancel();
+    return null;
+  }
+  if (!response.body) return new Uint8Array();
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > MAX_FEED_BYTES) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+  const body = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    body.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return body;
+}
+
+function isNotModified(request, cached) {
+  const etag = cached.headers.get('ETag');
+  const lastModified = cached.headers.get('Last-Modified');
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  if (ifNoneMatch) return Boolean(etag) && ifNoneMatch === etag;
+  const ifModifiedSince = request.headers.get('If-Modified-Since');
+  return Boolean(lastModified) && ifModifiedSince === lastModified;
+}
+
+function notModifiedResponse(headers) {
+  return new Response(null, { status: 304, headers: pickHeaders(headers, ['ETag', 'Last-Modified', 'Cache-Control']) });
+}
+
+// Returns the route handler for `blogs` (data/blogs.json's list).
+// `timeoutMs` covers the upstream request and its body; tests shorten it.
+export function createFetchRssHandler(blogs, { timeoutMs = FEED_TIMEOUT_MS } = {}) {
+  const allowedFeeds = new Set(blogs.map((blog) => canonicalFeedUrl(blog.feed)).filter(Boolean));
+
+  function upstreamFailure(error) {
+    if (error?.name === 'TimeoutError') return proxyError(504, `Upstream timed out after ${timeoutMs / 1000}s`);
+    return proxyError(502, `Upstream fetch failed: ${error?.message || error}`);
+  }
+
+  async function handleFetchRss(request, ctx) {
+    if (request.method !== 'GET') return proxyError(405, 'Only GET is supported');
+
+    const url = new URL(request.url);
+    const feedParam = url.searchParams.get('url');
+    if (!feedParam) return proxyError(400, 'Missing url parameter');
+    const feedUrl = canonicalFeedUrl(feedParam);
+    if (!feedUrl) return proxyError(400, 'Invalid feed URL');
+    if (!allowedFeeds.has(feedUrl)) return proxyError(400, 'Feed is not listed in data/blogs.json');
+
+    // Cached by feed URL alone; conditional headers are answered from the cached copy.
+    const cache = caches.default;
+    const cacheKey = new Request(`${url.origin}${FETCH_RSS_PATH}?url=${encodeURIComponent(feedUrl)}`);
+    const cached = await cache.match(cacheKey);
+    if (cached) {
+      return isNotModified(request, cached) ? notModifiedResponse(cached.headers) : cached;
+    }
+
+    let upstream;
+    try {
+      upstream = await fetch(feedUrl, {
+        headers: {
+          'User-Agent': BROWSER_USER_AGENT,
+          Accept: FEED_ACCEPT,
+          ...Object.fromEntries(pickHeaders(request.headers, ['If-None-Match', 'If-Modified-Since'])),
+        },
+        redirect: 'follow',
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (error) {
+      return upstreamFailure(error);
+    }
+
+    if (upstream.status === 304) return notModifiedResponse(upstream.headers);
+    if (!upstream.ok) {
+      await upstream.body?.cancel();
+      // Upstream 403/429 pass through as 403 so the fetcher backs off and
+      // retries. A 5xx becomes 502, with `upstreamStatus` telling the fetcher
+      // that the feed failed rather than the proxy.
+      const status = upstream.status === 429 ? 403 : upstream.status >= 500 ? 502 : upstream.status;
+      return proxyError(status, `Upstream returned ${upstream.status}`, { upstreamStatus: upstream.status });
+    }
+
+    // The timeout still runs while the body streams, so a stalled or reset
+    // body fails here rather than escaping as a bare 500.
+    let body;
+    try {
+      body = await readLimitedBody(upstream);
+    } catch (error) {
+      return upstreamFailure(error);
+    }
+    if (!body) return proxyError(502, `Feed is larger than ${MAX_FEED_BYTES / 1024 / 1024} MB`);
+
+    const headers = pickHeaders(upstream.headers, ['ETag', 'Last-Modified']);
+    headers.set('Content-Type', upstream.headers.get('Content-Type') || 'application/xml; charset=utf-8');
+    headers.set('Cache-Control', `public, max-age=${FEED_CACHE_SECONDS}`);
+    headers.set('X-Content-Type-Options', 'nosniff');
+    const response = new Response(body, { status: 200, headers });
+    ctx.waitUntil(cache.put(cacheKey, response.clone()));
+    return response;
+  }
+
+  return handleFetchRss;
+}
@@ -0,0 +1,210 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FETCH_RSS_PATH, MAX_FEED_BYTES, createFetchRssHandler } from './fetch-rss.js';
+
+// The worker's /api/fetch-rss route with `fetch` and `caches.default` stubbed,
+// so nothing leaves the process.
+
+const FEED = 'https://letters.example/feed';
+const FEED_XML = '<?xml version="1.0"?><rss version="2.0"><channel><title>Letters</title></channel></rss>';
+
+const handleFetchRss = createFetchRssHandler([
+  { id: 'letters', feed: FEED },
+  { id: 'broken', feed: 'not a url' },
+]);
+
+function proxyRequest(feedUrl, { method = 'GET', headers = {} } = {}) {
+  const url = new URL(`https://site.example${FETCH_RSS_PATH}`);
+  if (feedUrl !== undefined) url.searchParams.set('url', feedUrl);
+  return new Request(url, { method, headers });
+}
+
+// Runs the handler with `upstream(url, init)` standing in for fetch. Returns
+// the response, the upstream calls and the cache, after waitUntil settles.
+async function callProxy(request, { upstream = () => new Response(FEED_XML), cache = new Map() } = {}) {
+  const calls = [];
+  const pending = [];
+  const originalFetch = globalThis.fetch;
+  const originalCaches = globalThis.caches;
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url, init });
+    return upstream(url, init);
+  };
+  globalThis.caches = {
+    default: {
+      match: async (key) => cache.get(key.url)?.clone(),
+      put: async (key, response) => {
+        cache.set(key.url, response);
+      },
+    },
+  };
+  try {
+    const response = await handleFetchRss(request, { waitUntil: (promise) => pending.push(promise) });
+    await Promise.all(pending);
+    return { response, calls, cache };
+  } finally {
+    globalThis.fetch = originalFetch;
+    globalThis.caches = originalCaches;
+  }
+}
+
+async function assertProxyError(response, status, message, extra = {}) {
+  assert.equal(response.status, status);
+  assert.match(response.headers.get('Content-Type'), /^application\/json/);
+  assert.equal(response.headers.get('Cache-Control'), 'no-store');
+  assert.deepEqual(await response.json(), { error: message, ...extra });
+}
+
+function streamOf(chunk, count) {
+  let sent = 0;
+  return new ReadableStream({
+    pull(controller) {
+      if (sent++ < count) controller.enqueue(chunk);
+      else controller.close();
+    },
+  });
+}
+
+test('fetch-rss only proxies GET requests for feeds in blogs.json', async () => {
+  const missing = await callProxy(proxyRequest());
+  await assertProxyError(missing.response, 400, 'Missing url parameter');
+
+  const invalid = await callProxy(proxyRequest('ftp://letters.example/feed'));
+  await assertProxyError(invalid.response, 400, 'Invalid feed URL');
+
+  const unlisted = await callProxy(proxyRequest('https://elsewhere.example/feed'));
+  await assertProxyError(unlisted.response, 400, 'Feed is not listed in data/blogs.json');
+
+  const post = await callProxy(proxyRequest(FEED, { method: 'POST' }));
+  await assertProxyError(post.response, 405, 'Only GET is supported');
+
+  for (const { calls } of [missing, invalid, unlisted, post]) assert.equal(calls.length, 0);
+
+  // Listed feeds match after URL normalization.
+  const listed = await callProxy(proxyRequest('HTTPS://Letters.example/feed'));
+  assert.equal(listed.response.status, 200);
+  assert.equal(listed.calls[0].url, FEED);
+});
+
+test('fetch-rss returns the feed and caches it', async () => {
+  const { response, calls, cache } = await callProxy(proxyRequest(FEED), {
+    upstream: () => new Response(FEED_XML, {
+      headers: { 'Content-Type': 'application/rss+xml', ETag: '"v1"', 'Last-Modified': 'Mon, 05 Oct 2026 10:00:00 GMT' },
+    }),
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(await response.text(), FEED_XML);
+  assert.equal(response.headers.get('Content-Type'), 'application/rss+xml');
+  assert.equal(response.headers.get('ETag'), '"v1"');
+  assert.equal(response.headers.get('Cache-Control'), 'public, max-age=300');
+  assert.equal(response.headers.get('X-Content-Type-Options'), 'nosniff');
+  assert.match(calls[0].init.headers['User-Agent'], /Mozilla/);
+  assert.equal(calls[0].init.redirect, 'follow');
+  assert.deepEqual([...cache.keys()], [`https://site.example${FETCH_RSS_PATH}?url=${encodeURIComponent(FEED)}`]);
+});
+
+test('fetch-rss forwards conditional headers and answers them from the cache', async () => {
+  const conditional = { 'If-None-Match': '"v1"', 'If-Modified-Since': 'Mon, 05 Oct 2026 10:00:00 GMT' };
+  const notModified = await callProxy(proxyRequest(FEED, { headers: conditional }), {
+    upstream: () => new Response(null, { status: 304, headers: { ETag: '"v1"', 'Cache-Control': 'max-age=60' } }),
+  });
+  const forwarded = new Headers(notModified.calls[0].init.headers);
+  assert.equal(forwarded.get('If-None-Match'), '"v1"');
+  assert.equal(forwarded.get('If-Modified-Since'), conditional['If-Modified-Since']);
+  assert.equal(notModified.response.status, 304);
+  assert.equal(notModified.response.headers.get('ETag'), '"v1"');
+  assert.equal(notModified.response.headers.get('Cache-Control'), 'max-age=60');
+  assert.equal(notModified.cache.size, 0);
+
+  const cache = new Map();
+  await callProxy(proxyRequest(FEED), {
+    cache,
+    upstream: () => new Response(FEED_XML, { headers: { ETag: '"v2"' } }),
+  });
+
+  const revalidated = await callProxy(proxyRequest(FEED, { headers: { 'If-None-Match': '"v2"' } }), { cache });
+  assert.equal(revalidated.response.status, 304);
+  assert.equal(revalidated.response.headers.get('ETag'), '"v2"');
+  assert.equal(revalidated.calls.length, 0);
+
+  const stale = await callProxy(proxyRequest(FEED, { headers: { 'If-None-Match': '"v1"' } }), { cache });
+  assert.equal(stale.response.status, 200);
+  assert.equal(await stale.response.text(), FEED_XML);
+  assert.equal(stale.calls.length, 0);
+});
+
+test('fetch-rss refuses feeds over the size limit and upstreams that time out', async () => {
+  const declared = await callProxy(proxyRequest(FEED), {
+    upstream: () => new Response('<rss/>', { headers: { 'Content-Length': String(MAX_FEED_BYTES + 1) } }),
+  });
+  await assertProxyError(declared.response, 502, 'Feed is larger than 5 MB');
+
+  const streamed = await callProxy(proxyRequest(FEED), {
+    upstream: () => new Response(streamOf(new Uint8Array(1024 * 1024), 6)),
+  });
+  await assertProxyError(streamed.response, 502, 'Feed is larger than 5 MB');
+  assert.equal(streamed.cache.size, 0);
+
+  const timedOut = await callProxy(proxyRequest(FEED), {
+    upstream: (url, init) => {
+      assert.ok(init.signal instanceof AbortSignal);
+      throw new DOMException('The operation was aborted due to timeout', 'TimeoutError');
+    },
+  });
+  await assertProxyError(timedOut.response, 504, 'Upstream timed out after 15s');
+
+  const refused = await callProxy(proxyRequest(FEED), {
+    upstream: () => {
+      throw new TypeError('fetch failed');
+    },
+  });
+  await assertProxyError(refused.response, 502, 'Upstream fetch failed: fetch failed');
+});
+
+test('fetch-rss answers with a JSON error when the feed body stalls or breaks off', async () => {
+  const handleWithShortTimeout = createFetchRssHandler([{ id: 'letters', feed: FEED }], { timeoutMs: 50 });
+  const originalFetch = globalThis.fetch;
+  const originalCaches = globalThis.caches;
+  // Like fetch, the body stream errors with the signal's reason once it aborts.
+  globalThis.fetch = async (url, init) => new Response(new ReadableStream({
+    start(controller) {
+      controller.enqueue(new TextEncoder().encode('<rss>'));
+      init.signal.addEventListener('abort', () => controller.error(init.signal.reason));
+    },
+  }));
+  globalThis.caches = { default: { match: async () => undefined, put: async () => {} } };
+  // AbortSignal.timeout does not keep Node's event loop alive on its own.
+  const keepAlive = setTimeout(() => {}, 1000);
+  try {
+    const stalled = await handleWithShortTimeout(proxyRequest(FEED), { waitUntil() {} });
+    await assertProxyError(stalled, 504, 'Upstream timed out after 0.05s');
+  } finally {
+    clearTimeout(keepAlive);
+    globalThis.fetch = originalFetch;
+    globalThis.caches = originalCaches;
+  }
+
+  const reset = await callProxy(proxyRequest(FEED), {
+    upstream: () => new Response(new ReadableStream({
+      pull(controller) {
+        controller.error(new TypeError('terminated'));
+      },
+    })),
+  });
+  await assertProxyError(reset.response, 502, 'Upstream fetch failed: terminated');
+  assert.equal(reset.cache.size, 0);
+});
+
+test('fetch-rss passes upstream errors on, with 429 as 403 and 5xx as 502', async () => {
+  const limited = await callProxy(proxyRequest(FEED), { upstream: () => new Response('slow down', { status: 429 }) });
+  await assertProxyError(limited.response, 403, 'Upstream returned 429', { upstreamStatus: 429 });
+
+  const gone = await callProxy(proxyRequest(FEED), { upstream: () => new Response('missing', { status: 404 }) });
+  await assertProxyError(gone.response, 404, 'Upstream returned 404', { upstreamStatus: 404 });
+  assert.equal(gone.cache.size, 0);
+
+  const down = await callProxy(proxyRequest(FEED), { upstream: () => new Response('unavailable', { status: 503 }) });
+  await assertProxyError(down.response, 502, 'Upstream returned 503', { upstreamStatus: 503 });
+});
@@ -1,4 +1,6 @@
-// Cloudflare Worker serving static assets
+// Cloudflare Worker serving static assets and the RSS proxy used by the fetcher
+import blogsData from '../data/blogs.json';
+import { FETCH_RSS_PATH, createFetchRssHandler } from './fetch-rss.js';
 
 // Security headers for all HTML responses.
 // All fonts and styles are now self-hosted, so the CSP can be tight —
@@ -44,16 +46,30 @@ function getCacheHeader(pathname) {
   return cacheHeaders[ext] || 'public, max-age=3600';
 }
 
+// JSON Feed documents are served as plain .json assets; treat them like the RSS twins.
+function isJsonFeed(pathname) {
+  return pathname === '/feed.json' || (pathname.startsWith('/feed/') && pathname.endsWith('.json'));
+}
+
 function getCacheHeaderForResponse(pathname, contentType) {
   if (contentType.includes('text/html')) return cacheHeaders.html;
-  if (contentType.includes('xml')) return cacheHeaders.xml;
+  if (contentType.includes('xml') || isJsonFeed(pathname)) return cacheHeaders.xml;
+  // Search shards are content-hashed; the manifest pointing at them is not.
+  if (pathname === '/search-index/manifest.json') return cacheHeaders.html;
+  if (pathname.startsWith('/search-index/')) return cacheHeaders.js;
   return getCacheHeader(pathname);
 }
 
+const handleFetchRss = createFetchRssHandler(blogsData.blogs);
+
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
 
+    if (url.pathname === FETCH_RSS_PATH) {
+      return handleFetchRss(request, ctx);
+    }
+
     // For all requests, fetch from static assets and add security headers
     let response = await env.ASSETS.fetch(request);
 
@@ -69,6 +85,10 @@ export default {
     // Clone response and add headers
     const newHeaders = new Headers(response.headers);
 
+    if (response.ok && isJsonFeed(url.pathname)) {
+      newHeaders.set('Content-Type', 'application/feed+json; charset=utf-8');
+    }
+
     // HSTS + X-Content-Type-Options apply to every response.
     newHeaders.set('Strict-Transport-Security', securityHeaders['Strict-Transport-Security']);
     newHeaders.set('X-Content-Type-Options', securityHeaders['X-Content-Type-Options']);